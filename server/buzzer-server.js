@@ -0,0 +1,255 @@
+// Small LAN buzzer server: serves the phone page and relays buzzes and
+// answers between phones and the host app over WebSocket. No internet needed.
+//
+// host  -> server: { type: "host", room?, token? }    open (or reclaim) a room
+//                  { type: "teams", teams: [{ id, name }] }
+//                  { type: "status", buzzTeam, lockedTeams, buzzing }
+// server -> host:  { type: "room", code, token, joinUrls }
+//                  { type: "players", players: [{ id, name, team }] }
+//                  { type: "buzz", team, player, at }   at = server receive time (ms)
+//                  { type: "answer", team, player, text, at }
+// phone -> server: { type: "join", room, name } | { type: "pick", team }
+//                  { type: "buzz" } | { type: "answer", text }
+// server -> phone: { type: "joined", teams } | { type: "teams", teams }
+//                  { type: "status", buzzTeam, lockedTeams, buzzing } | { type: "error", error }
+// Teams are named by their id everywhere (team, buzzTeam, lockedTeams), so a
+// pick survives the host renaming, reordering or removing other teams; a
+// player without a team has team null. buzzing false (the host plays without
+// buzzers) drops buzzes; answers still go through.
+// A room's token is only ever sent to its host; reclaiming the room (after a
+// reload or a dropped connection) needs it, so no other tab or device can take
+// the room over by its code.
+// Errors are message keys (roomTaken, roomNotFound), so the phone page shows
+// them in its own language; it takes that from ?lang= (the host app adds its
+// language to the join URLs) or the browser.
+
+import { randomBytes } from "node:crypto";
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { networkInterfaces } from "node:os";
+import { fileURLToPath } from "node:url";
+import { WebSocketServer } from "ws";
+
+export const DEFAULT_BUZZER_PORT = 8787;
+
+const PHONE_PAGE = fileURLToPath(new URL("./phone.html", import.meta.url));
+const CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ"; // no I/O to avoid confusion
+
+const lanAddresses = () =>
+  Object.values(networkInterfaces())
+    .flat()
+    .filter((a) => a && a.family === "IPv4" && !a.internal)
+    .map((a) => a.address);
+
+// log lines for the terminal, in the language of the shell (LANG=de_DE…)
+const LOG_TEXT = {
+  de: {
+    disabled: "Buzzer-Server deaktiviert (Port {port}): {error}",
+    running: "Buzzer-Server läuft auf Port {port}{urls}",
+  },
+  en: {
+    disabled: "Buzzer server disabled (port {port}): {error}",
+    running: "Buzzer server running on port {port}{urls}",
+  },
+};
+
+const systemLanguage = () => {
+  const lang = (process.env.LC_ALL || process.env.LANG || "").slice(0, 2);
+  return LOG_TEXT[lang] ? lang : "de";
+};
+
+const send = (ws, msg) => {
+  if (ws && ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+};
+
+export function startBuzzerServer({
+  port = DEFAULT_BUZZER_PORT,
+  log = console.log,
+  lang = systemLanguage(),
+} = {}) {
+  const logText = (key, params) =>
+    (LOG_TEXT[lang] || LOG_TEXT.de)[key].replace(/\{(\w+)\}/g, (_, name) => params[name]);
+  const rooms = new Map(); // code -> { host, token, teams, status, players: Map<ws, player> }
+  let nextPlayerId = 1;
+
+  const makeCode = () => {
+    let code;
+    do {
+      code = Array.from({ length: 4 }, () =>
+        CODE_CHARS.charAt(Math.floor(Math.random() * CODE_CHARS.length))
+      ).join("");
+    } while (rooms.has(code));
+    return code;
+  };
+
+  const playerList = (room) =>
+    Array.from(room.players.values()).map(({ id, name, team }) => ({ id, name, team }));
+
+  const hasTeam = (room, id) => room.teams.some((team) => team.id === id);
+
+  const toPlayers = (room, msg) => room.players.forEach((_, ws) => send(ws, msg));
+
+  // a socket leaves its room; a room without host and players is gone
+  const leave = (ws, room) => {
+    if (room.players.delete(ws)) send(room.host, { type: "players", players: playerList(room) });
+    else if (room.host === ws) room.host = null;
+    if (!room.host && !room.players.size && rooms.get(room.code) === room) rooms.delete(room.code);
+  };
+
+  const http = createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== "/") {
+      res.writeHead(404).end();
+      return;
+    }
+    try {
+      const html = await readFile(PHONE_PAGE);
+      res.writeHead(200, { "content-type": "text/html; charset=utf-8" }).end(html);
+    } catch (err) {
+      res.writeHead(500).end(String(err));
+    }
+  });
+
+  const wss = new WebSocketServer({ server: http });
+
+  wss.on("connection", (ws) => {
+    let room = null;
+    let role = null;
+
+    ws.on("message", (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw);
+      } catch {
+        return;
+      }
+      if (!msg || typeof msg !== "object") return;
+      const at = Date.now();
+
+      if (msg.type === "host") {
+        if (role === "player") return;
+        // a host may take its room back with the token, even before the server
+        // noticed that its old socket is gone; a room that is gone is opened anew
+        const claimed = rooms.get(msg.room);
+        if (claimed && msg.token !== claimed.token) {
+          send(ws, { type: "error", error: "roomTaken" });
+          return;
+        }
+        if (room && room !== claimed) leave(ws, room);
+        const code = claimed ? msg.room : makeCode();
+        room = claimed || {
+          token: randomBytes(16).toString("hex"),
+          teams: [],
+          status: {},
+          players: new Map(),
+        };
+        room.host = ws;
+        room.code = code;
+        rooms.set(code, room);
+        role = "host";
+        send(ws, {
+          type: "room",
+          code,
+          token: room.token,
+          joinUrls: lanAddresses().map((ip) => `http://${ip}:${port}/?room=${code}`),
+        });
+        send(ws, { type: "players", players: playerList(room) });
+        return;
+      }
+
+      if (role === "host") {
+        // an old socket of a host that took its room back
+        if (room.host !== ws) return;
+        if (msg.type === "teams") {
+          room.teams = (Array.isArray(msg.teams) ? msg.teams : [])
+            .filter((team) => team && typeof team === "object")
+            .map((team) => ({ id: String(team.id), name: String(team.name ?? "") }));
+          toPlayers(room, { type: "teams", teams: room.teams });
+          // players of a removed team have to pick again
+          let dropped = false;
+          room.players.forEach((player) => {
+            if (player.team != null && !hasTeam(room, player.team)) {
+              player.team = null;
+              dropped = true;
+            }
+          });
+          if (dropped) send(room.host, { type: "players", players: playerList(room) });
+        } else if (msg.type === "status") {
+          room.status = {
+            buzzTeam: msg.buzzTeam ?? null,
+            lockedTeams: msg.lockedTeams || [],
+            buzzing: msg.buzzing !== false,
+          };
+          toPlayers(room, { type: "status", ...room.status });
+        }
+        return;
+      }
+
+      if (msg.type === "join") {
+        const target = rooms.get(String(msg.room || "").toUpperCase());
+        if (!target) {
+          send(ws, { type: "error", error: "roomNotFound" });
+          return;
+        }
+        // joining again (another room or name) replaces the old seat
+        if (room && room !== target) leave(ws, room);
+        room = target;
+        role = "player";
+        room.players.set(ws, {
+          id: nextPlayerId++,
+          name: String(msg.name || "").slice(0, 40),
+          team: null,
+        });
+        send(ws, { type: "joined", teams: room.teams });
+        send(ws, { type: "status", ...room.status });
+        send(room.host, { type: "players", players: playerList(room) });
+        return;
+      }
+
+      if (role !== "player") return;
+      const player = room.players.get(ws);
+      if (msg.type === "pick") {
+        player.team = hasTeam(room, msg.team) ? msg.team : null;
+        send(room.host, { type: "players", players: playerList(room) });
+      } else if (msg.type === "buzz" && player.team != null && room.status.buzzing !== false) {
+        send(room.host, { type: "buzz", team: player.team, player: player.name, at });
+      } else if (msg.type === "answer" && player.team != null) {
+        const text = String(msg.text || "").slice(0, 200);
+        send(room.host, { type: "answer", team: player.team, player: player.name, text, at });
+      }
+    });
+
+    ws.on("close", () => {
+      if (room) leave(ws, room);
+    });
+  });
+
+  // port taken or similar: no buzzer, but the dev server keeps running
+  let failed = false;
+  const onError = (err) => {
+    if (failed) return;
+    failed = true;
+    log(logText("disabled", { port, error: err.message }));
+    wss.close();
+    http.close();
+  };
+  http.on("error", onError);
+  wss.on("error", onError);
+
+  http.listen(port, () => {
+    const urls = lanAddresses().map((ip) => `http://${ip}:${port}/`);
+    log(logText("running", { port, urls: urls.length ? ` (${urls.join(", ")})` : "" }));
+  });
+
+  return {
+    close: () => {
+      wss.close();
+      http.close();
+    },
+  };
+}
+
+// `node server/buzzer-server.js` runs it standalone
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  startBuzzerServer({ port: Number(process.env.BUZZER_PORT) || DEFAULT_BUZZER_PORT });
+}
@@ -0,0 +1,210 @@
+import { createServer } from "node:net";
+import { afterEach, expect, it } from "vitest";
+import WebSocket from "ws";
+import { startBuzzerServer } from "./buzzer-server.js";
+
+const PORT = 38787;
+
+const cleanups = [];
+afterEach(async () => {
+  while (cleanups.length) await cleanups.pop()();
+});
+
+// resolves once the server logged that it runs (or that it gave up)
+const start = (port = PORT) =>
+  new Promise((resolve) => {
+    const server = startBuzzerServer({ port, lang: "en", log: (line) => resolve({ server, line }) });
+    cleanups.push(() => server.close());
+  });
+
+// a socket that keeps every message it gets; next(type) waits for the
+// first unread one of that type
+const connect = (port = PORT) =>
+  new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${port}`);
+    const inbox = [];
+    const waiting = [];
+    ws.on("message", (raw) => {
+      inbox.push(JSON.parse(raw));
+      waiting.splice(0).forEach((check) => check());
+    });
+    const next = (type) =>
+      new Promise((done) => {
+        const check = () => {
+          const i = inbox.findIndex((m) => m.type === type);
+          if (i < 0) waiting.push(check);
+          else done(inbox.splice(i, 1)[0]);
+        };
+        check();
+      });
+    const send = (msg) => ws.send(typeof msg === "string" ? msg : JSON.stringify(msg));
+    const close = () =>
+      new Promise((done) => {
+        if (ws.readyState === ws.CLOSED) done();
+        else {
+          ws.once("close", done);
+          ws.close();
+        }
+      });
+    ws.once("open", () => {
+      cleanups.push(close);
+      resolve({ ws, inbox, next, send, close });
+    });
+    ws.once("error", reject);
+  });
+
+const openRoom = async () => {
+  const host = await connect();
+  host.send({ type: "host" });
+  const { code } = await host.next("room");
+  await host.next("players");
+  return { host, code };
+};
+
+it("ignores messages that are no JSON objects", async () => {
+  await start();
+  const client = await connect();
+  for (const raw of ["not json", "null", "42", '"host"', "[]"]) client.send(raw);
+  client.send({ type: "host" });
+  expect((await client.next("room")).code).toMatch(/^[A-HJ-NP-Z]{4}$/);
+  expect(client.inbox.filter((m) => m.type === "error")).toEqual([]);
+});
+
+it("rejects unknown rooms and relays buzzes only for valid team picks", async () => {
+  await start();
+  const { host, code } = await openRoom();
+  const teams = [
+    { id: "t1", name: "Rot" },
+    { id: "t2", name: "Blau" },
+  ];
+  host.send({ type: "teams", teams });
+
+  const phone = await connect();
+  phone.send({ type: "join", room: "ZZZZ", name: "Ada" });
+  expect(await phone.next("error")).toEqual({ type: "error", error: "roomNotFound" });
+
+  phone.send({ type: "join", room: code.toLowerCase(), name: "Ada" });
+  expect((await phone.next("joined")).teams).toEqual(teams);
+  await host.next("players");
+
+  for (const team of ["t5", 1, null, { id: "t1" }]) {
+    phone.send({ type: "pick", team });
+    expect((await host.next("players")).players[0].team).toBe(null);
+  }
+  // without a team a buzz goes nowhere
+  phone.send({ type: "buzz" });
+  phone.send({ type: "pick", team: "t2" });
+  expect((await host.next("players")).players[0].team).toBe("t2");
+  phone.send({ type: "buzz" });
+  expect(await host.next("buzz")).toMatchObject({ team: "t2", player: "Ada" });
+  expect(host.inbox.filter((m) => m.type === "buzz")).toEqual([]);
+});
+
+it("keeps a pick by team id when the host reorders or removes teams", async () => {
+  await start();
+  const { host, code } = await openRoom();
+  host.send({
+    type: "teams",
+    teams: [
+      { id: "t1", name: "Rot" },
+      { id: "t2", name: "Blau" },
+    ],
+  });
+  const phone = await connect();
+  phone.send({ type: "join", room: code, name: "Ada" });
+  await phone.next("joined");
+  phone.send({ type: "pick", team: "t2" });
+  await host.next("players");
+  await host.next("players");
+
+  host.send({ type: "teams", teams: [{ id: "t2", name: "Blau" }] });
+  await phone.next("teams");
+  phone.send({ type: "buzz" });
+  expect((await host.next("buzz")).team).toBe("t2");
+
+  host.send({ type: "teams", teams: [{ id: "t1", name: "Rot" }] });
+  expect((await host.next("players")).players[0].team).toBe(null);
+});
+
+it("drops buzzes while the host plays without buzzers", async () => {
+  await start();
+  const { host, code } = await openRoom();
+  host.send({ type: "teams", teams: [{ id: "t1", name: "Rot" }] });
+  host.send({ type: "status", buzzTeam: null, lockedTeams: [], buzzing: false });
+  const phone = await connect();
+  phone.send({ type: "join", room: code, name: "Ada" });
+  expect((await phone.next("status")).buzzing).toBe(false);
+  phone.send({ type: "pick", team: "t1" });
+  phone.send({ type: "buzz" });
+  phone.send({ type: "answer", text: "Eiffelturm" });
+  expect(await host.next("answer")).toMatchObject({ team: "t1", text: "Eiffelturm" });
+  expect(host.inbox.filter((m) => m.type === "buzz")).toEqual([]);
+});
+
+it("keeps players from hosting", async () => {
+  await start();
+  const { code } = await openRoom();
+  const phone = await connect();
+  phone.send({ type: "join", room: code, name: "Ada" });
+  await phone.next("joined");
+  phone.send({ type: "host" });
+  phone.send({ type: "join", room: "ZZZZ" });
+  await phone.next("error");
+  expect(phone.inbox.filter((m) => m.type === "room")).toEqual([]);
+});
+
+it("gives a room back only to a host with its token", async () => {
+  await start();
+  const host = await connect();
+  host.send({ type: "host" });
+  const { code, token } = await host.next("room");
+  expect(token).toMatch(/^[0-9a-f]{32}$/);
+  const phone = await connect();
+  phone.send({ type: "join", room: code, name: "Ada" });
+  await phone.next("joined");
+
+  // the code alone is not enough, not even once the host has left
+  const other = await connect();
+  other.send({ type: "host", room: code });
+  expect(await other.next("error")).toEqual({ type: "error", error: "roomTaken" });
+  await host.close();
+  other.send({ type: "host", room: code, token: "0".repeat(32) });
+  expect(await other.next("error")).toEqual({ type: "error", error: "roomTaken" });
+
+  // the phone keeps the room alive while it has no host
+  const back = await connect();
+  back.send({ type: "host", room: code, token });
+  expect(await back.next("room")).toMatchObject({ code, token });
+  expect((await back.next("players")).players).toEqual([
+    expect.objectContaining({ name: "Ada", team: null }),
+  ]);
+});
+
+it("lets a host with the token take over from its old, still open socket", async () => {
+  await start();
+  const old = await connect();
+  old.send({ type: "host" });
+  const { code, token } = await old.next("room");
+  const phone = await connect();
+  phone.send({ type: "join", room: code, name: "Ada" });
+  await phone.next("joined");
+
+  const back = await connect();
+  back.send({ type: "host", room: code, token });
+  expect((await back.next("room")).code).toBe(code);
+  // the old socket no longer speaks for the room
+  old.send({ type: "teams", teams: [{ id: "t1", name: "Alt" }] });
+  old.send({ type: "host", room: code });
+  await old.next("error");
+  back.send({ type: "teams", teams: [{ id: "t2", name: "Neu" }] });
+  expect((await phone.next("teams")).teams).toEqual([{ id: "t2", name: "Neu" }]);
+  expect(phone.inbox.filter((m) => m.type === "teams")).toEqual([]);
+});
+
+it("logs and gives up when the port is taken", async () => {
+  const blocker = createServer();
+  await new Promise((resolve) => blocker.listen(PORT + 1, resolve));
+  cleanups.push(() => new Promise((resolve) => blocker.close(resolve)));
+  const { line } = await start(PORT + 1);
+  expect(line).toMatch(/^Buzzer server disabled \(port 38788\): .*EADDRINUSE/);
+});
@@ -1,129 +1,406 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-
-const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
-const lerp = (a, b, t) => a + (b - a) * t;
-
-const addRoundedRectPath = (ctx, x, y, w, h, r) => {
-  const radius = Math.min(r, w / 2, h / 2);
-  ctx.moveTo(x + radius, y);
-  ctx.arcTo(x + w, y, x + w, y + h, radius);
-  ctx.arcTo(x + w, y + h, x, y + h, radius);
-  ctx.arcTo(x, y + h, x, y, radius);
-  ctx.arcTo(x, y, x + w, y, radius);
-  ctx.closePath();
+import { clearSession, loadImages, loadSession, saveImages, saveSession } from "./session.js";
+import {
+  applyImageSettings,
+  downloadBlob,
+  emptyMeta,
+  exportPack,
+  importPack,
+  normalizeMeta,
+} from "./quizPack.js";
+import { PRESENTER_CHANNEL, openPresenterWindow } from "./presenterChannel.js";
+import {
+  DEFAULT_REVEAL_MODE,
+  coerceModeSetting,
+  getRevealMode,
+  listRevealModes,
+  readModeSettings,
+} from "./reveal/index.js";
+import { addRoundedRectPath, clamp } from "./reveal/util.js";
+import { analyzeImage } from "./reveal/saliency.js";
+import { buildRevealOrder, renderFrame } from "./renderReveal.js";
+import { CLIP_FORMATS, CLIP_HEIGHTS, DEFAULT_CLIP, recordClip } from "./clipExport.js";
+import {
+  DEFAULT_PRINT,
+  PRINT_FORMATS,
+  exportHandout,
+  exportSpriteSheets,
+  parseStepList,
+  renderStage,
+} from "./printExport.js";
+import { findBuzzTeam, validateBuzzKey } from "./buzzer.js";
+import {
+  findHotkeyTeam,
+  makeTeam,
+  teamColorAlpha,
+  validateHotkey,
+} from "./teams.js";
+import { createRemoteLink, defaultRemoteUrl, isRemoteUrl } from "./remote.js";
+import QRCode from "qrcode";
+import { checkAnswer, verdictColor, verdictLabel } from "./answerCheck.js";
+import {
+  DEFAULT_SCORING,
+  SCORING_CURVES,
+  pointsForStep,
+  pointsWithStreak,
+  readScoring,
+} from "./scoring.js";
+import {
+  EVENT_LABELS,
+  RESULT_COLUMNS,
+  makeEventId,
+  pointsByRound,
+  resultsFromLog,
+  stripSnapshots,
+  toCsv,
+} from "./history.js";
+import {
+  applyRoundSettings,
+  emptyRound,
+  formatImageList,
+  normalizeRound,
+  parseImageList,
+  resolvePlan,
+} from "./gamePlan.js";
+import { drawStandings, drawTitleCard } from "./planScreens.js";
+import { createScoreboardAnim, drawScoreboard } from "./scoreboard.js";
+import { createGlReveal, hasWebGl2 } from "./glReveal.js";
+import { displaySize, prepareImage } from "./imageEdit.js";
+import ImageEditor from "./ImageEditor.jsx";
+import { DEFAULT_EFFECTS, readEffects } from "./effects.js";
+import EffectStackEditor from "./EffectStackEditor.jsx";
+import {
+  imagesFromTransfer,
+  makeImageId,
+  moveOrder,
+  orderToMapping,
+  remapIndices,
+  remapRounds,
+  removeOrder,
+  shuffleOrder,
+  usedIndices,
+} from "./imageLibrary.js";
+import { LANGUAGES, getLanguage, localized, setLanguage, t } from "./i18n.js";
+import {
+  actionKeyName,
+  boundAction,
+  eventKey,
+  getKeyBindings,
+  isModifierKey,
+  isTypingTarget,
+  judgeKeyNames,
+  keyLegend,
+  keyName,
+  setKeyBindings,
+} from "./keyBindings.js";
+import { watchGamepads } from "./gamepad.js";
+import KeyBindingsEditor from "./KeyBindingsEditor.jsx";
+
+// off screen but still read by screen readers
+const srOnly = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
 };
 
-// Reveal order helper (grid tiles random)
-function makeRandomOrder(tileCount, seed = 1) {
-  // simple deterministic RNG (LCG)
-  let s = seed >>> 0;
-  const rnd = () => (s = (1664525 * s + 1013904223) >>> 0) / 2 ** 32;
-
-  const arr = Array.from({ length: tileCount }, (_, i) => i);
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(rnd() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr;
-}
-
-function makeSpiralOrder(tileN, direction = "outside-in", seed = 1) {
-  const order = [];
-  let top = 0;
-  let bottom = tileN - 1;
-  let left = 0;
-  let right = tileN - 1;
-
-  while (top <= bottom && left <= right) {
-    for (let x = left; x <= right; x++) order.push(top * tileN + x);
-    for (let y = top + 1; y <= bottom; y++) order.push(y * tileN + right);
-    if (top < bottom) {
-      for (let x = right - 1; x >= left; x--) order.push(bottom * tileN + x);
-    }
-    if (left < right) {
-      for (let y = bottom - 1; y > top; y--) order.push(y * tileN + left);
-    }
-    top += 1;
-    bottom -= 1;
-    left += 1;
-    right -= 1;
-  }
-
-  const baseOrder = direction === "inside-out" ? order.slice().reverse() : order;
-  const rotation = baseOrder.length ? seed % baseOrder.length : 0;
-  return baseOrder.slice(rotation).concat(baseOrder.slice(0, rotation));
-}
-
-function makeSegmentOrder(segments, seed = 1) {
-  return makeRandomOrder(segments, seed);
-}
-
-function createRng(seed = 1) {
-  let s = seed >>> 0;
-  return () => (s = (1664525 * s + 1013904223) >>> 0) / 2 ** 32;
-}
-
-function pointsForStep(stepIndex, stepsTotal, maxPoints = 20) {
-  // early = more points
-  const t = stepIndex / Math.max(stepsTotal - 1, 1);
-  const pts = Math.round(lerp(maxPoints, 1, t));
-  return clamp(pts, 1, maxPoints);
-}
+// label of a control repeated per image, round or team: "Antwort, bild.jpg"
+const forItem = (field, item) => t("a11y.forItem", { field, item });
 
 export default function App() {
   const canvasRef = useRef(null);
   const offscreenRef = useRef(null);
+  const glRef = useRef(undefined); // WebGL2 reveal renderer; null when unavailable
 
-  const [files, setFiles] = useState([]); // {name, url}
+  const [files, setFiles] = useState([]); // {name, url, blob, meta, used}
   const [current, setCurrent] = useState(0);
-  const [img, setImg] = useState(null);
+  const [img, setImg] = useState(null); // current image, edit applied (see imageEdit.js)
+  const [viewport, setViewport] = useState(displaySize);
   const [isGameActive, setIsGameActive] = useState(false);
+  // UI language; t() reads the module state, this re-renders on a switch
+  const [lang, setLang] = useState(getLanguage);
+  const changeLanguage = (next) => {
+    setLanguage(next);
+    setLang(next);
+  };
+  // same for the key bindings (see keyBindings.js)
+  const [keyBindings, setKeyBindingsState] = useState(getKeyBindings);
+  const changeKeyBindings = (next) => {
+    setKeyBindings(next);
+    setKeyBindingsState(getKeyBindings());
+  };
 
-  const [teams, setTeams] = useState([
-    { name: "A", score: 0 },
-    { name: "B", score: 0 },
-  ]);
+  // game plan (see gamePlan.js); an empty list plays all images as one round
+  const [rounds, setRounds] = useState([]);
+  const [roundIdx, setRoundIdx] = useState(0);
+  const [phase, setPhase] = useState("play"); // title | play | intermission | end
+  // images marked as used when the game started stay out of its plan
+  const [skipped, setSkipped] = useState([]);
+  const [skipUsed, setSkipUsed] = useState(true);
+  const plan = useMemo(
+    () => resolvePlan(rounds, files.length, skipped),
+    [rounds, files.length, skipped]
+  );
+  const startPlan = useMemo(
+    () => resolvePlan(rounds, files.length, skipUsed ? usedIndices(files) : []),
+    [rounds, files, skipUsed]
+  );
+  const round = plan[roundIdx] || plan[0];
 
-  // settings
-  const [tileN, setTileN] = useState(18); // grid size per axis
-  const [revealMode, setRevealMode] = useState("GRID_RANDOM");
-  const [spiralDirection, setSpiralDirection] = useState("outside-in");
-  const [wedgeSegments, setWedgeSegments] = useState(18);
-  const [stepsTotal, setStepsTotal] = useState(20);
+  // full-screen scoreboard (S key; always at the end of the game)
+  const [showScoreboard, setShowScoreboard] = useState(false);
+  // the browser refused fullscreen (no key or click in this window)
+  const [fullscreenRefused, setFullscreenRefused] = useState(false);
+  useEffect(() => {
+    if (!fullscreenRefused) return;
+    const timer = setTimeout(() => setFullscreenRefused(false), 4000);
+    return () => clearTimeout(timer);
+  }, [fullscreenRefused]);
+  const [scoreBreakdown, setScoreBreakdown] = useState(true); // points per round
+  const boardAnimRef = useRef(null);
+  if (!boardAnimRef.current) boardAnimRef.current = createScoreboardAnim();
+
+  const [teams, setTeams] = useState(() => {
+    const first = makeTeam([]);
+    return [first, makeTeam([first])];
+  });
+  const [teamKeyError, setTeamKeyError] = useState("");
+
+  // buzzer round: who buzzed, and who is locked out until the next image
+  const [buzzerMode, setBuzzerMode] = useState(false);
+  const [buzz, setBuzz] = useState(null); // {team, time, resume}
+  const [lockedTeams, setLockedTeams] = useState([]);
+
+  // phone buzzers via the LAN server (npm run dev:buzzer)
+  const [remoteEnabled, setRemoteEnabled] = useState(false);
+  const [remoteUrl, setRemoteUrl] = useState(defaultRemoteUrl);
+  const [remoteStatus, setRemoteStatus] = useState("closed");
+  const [remoteRoom, setRemoteRoom] = useState(null); // {code, joinUrls}
+  const [remoteRoomLost, setRemoteRoomLost] = useState(false); // old room taken, new code
+  const [remotePlayers, setRemotePlayers] = useState([]);
+  const [remoteAnswers, setRemoteAnswers] = useState([]); // {team, player, text, at, stepIndex}
+  const [joinQr, setJoinQr] = useState("");
+  const remoteRef = useRef(null);
+
+  // scoring rules and the current winning streak
+  const [scoring, setScoring] = useState(DEFAULT_SCORING);
+  const [streak, setStreak] = useState({ team: -1, wins: 0 });
+
+  // typed answers: tolerance in edits, and every verdict given so far
+  const [answerTolerance, setAnswerTolerance] = useState(1);
+  // verdict entry: {id, team, text, source, player, imageName, round, stepIndex, points, verdict, auto}
+  const [verdicts, setVerdicts] = useState([]);
+  const [answerTeam, setAnswerTeam] = useState(0);
+  const [answerText, setAnswerText] = useState("");
+
+  // settings (game defaults; quiz-pack images may override some of them)
+  const [baseTileN, setTileN] = useState(18); // grid size per axis
+  const [baseRevealMode, setRevealMode] = useState(DEFAULT_REVEAL_MODE);
+  // settings declared by the reveal modes (spiralDirection, wedgeSegments, …)
+  const [modeSettings, setModeSettings] = useState(() => readModeSettings());
+  const [baseStepsTotal, setStepsTotal] = useState(20);
   const [stepIndex, setStepIndex] = useState(0);
-  const [disturb, setDisturb] = useState(10); // 0..10 pixelation strength
+  const [baseDisturb, setDisturb] = useState(10); // 0..10 overall strength of the effects
+  const [effects, setEffects] = useState(DEFAULT_EFFECTS); // distortion stack, see effects.js
+  const [fairReveal, setFairReveal] = useState(false); // hide telling pieces until late
+  const [fairStrength, setFairStrength] = useState(6); // 0..10
   const [showHud, setShowHud] = useState(true);
+  const [highContrastHud, setHighContrastHud] = useState(false);
+  // no step animation, still confetti, no award flash (light-sensitive guests)
+  const [reducedMotion, setReducedMotion] = useState(
+    () => !!window.matchMedia?.("(prefers-reduced-motion: reduce)").matches
+  );
+  const [gpuRender, setGpuRender] = useState(hasWebGl2); // shader renderer, Canvas2D otherwise
+  const [stepIntervalSec, setStepIntervalSec] = useState(3); // auto-advance interval
+  const [autoPlay, setAutoPlay] = useState(false);
+
+  // effective settings for the current image: base, then round, then image
+  const currentMeta = files[current]?.meta;
+  const baseSettings = useMemo(
+    () => ({
+      ...modeSettings,
+      tileN: baseTileN,
+      revealMode: baseRevealMode,
+      stepsTotal: baseStepsTotal,
+      disturb: baseDisturb,
+      effects,
+    }),
+    [modeSettings, baseTileN, baseRevealMode, baseStepsTotal, baseDisturb, effects]
+  );
+  const settings = useMemo(
+    () => applyImageSettings(applyRoundSettings(baseSettings, round), currentMeta),
+    [baseSettings, round, currentMeta]
+  );
+  const category = currentMeta?.category || round.category;
+  const { revealMode, stepsTotal, disturb } = settings;
+  const canStart = startPlan[0].images.length > 0;
 
-  const tileCount = tileN * tileN;
-  const canStart = files.length > 0;
+  // last saved session (if any), offered on the start screen
+  const [savedSession, setSavedSession] = useState(() => loadSession());
+  const [resumeError, setResumeError] = useState("");
 
-  const revealDurationMs = 420;
+  const awardFlashMs = 700;
+  const awardFlashRef = useRef({ color: "", at: -Infinity });
   const lastStepRef = useRef({ index: 0, time: 0 });
+  // start of the running auto-advance countdown (step change or resume)
+  const countdownRef = useRef({ start: 0, resumedAt: 0 });
 
   // reveal order per round
   const [seed, setSeed] = useState(1);
-  const revealOrder = useMemo(() => {
-    if (revealMode === "SPIRAL_GRID") {
-      return makeSpiralOrder(tileN, spiralDirection, seed);
-    }
-    return makeRandomOrder(tileCount, seed);
-  }, [tileN, tileCount, revealMode, spiralDirection, seed]);
-  const wedgeOrder = useMemo(
-    () => makeSegmentOrder(wedgeSegments, seed),
-    [wedgeSegments, seed]
+  // number of the image's showing; a reset keeps it, so the results list one
+  // row per showing (see resultsFromLog)
+  const [play, setPlay] = useState(0);
+  const analysis = useMemo(() => (fairReveal && img ? analyzeImage(img) : null), [fairReveal, img]);
+  const revealOrder = useMemo(
+    () => buildRevealOrder(settings, seed, analysis, fairStrength),
+    [settings, seed, analysis, fairStrength]
   );
 
-  // load image when current changes
+  // event log with undo/redo; each entry keeps the game state from before it
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const gameStateRef = useRef(null);
   useEffect(() => {
-    const f = files[current];
-    if (!f) {
+    gameStateRef.current = {
+      teams,
+      current,
+      stepIndex,
+      seed,
+      play,
+      streak,
+      lockedTeams,
+      verdicts,
+      roundIdx,
+      phase,
+    };
+  });
+
+  const logEvent = (type, data = {}) => {
+    const before = gameStateRef.current;
+    const entry = {
+      id: makeEventId(),
+      type,
+      imageName: files[before.current]?.name || "",
+      image: before.current,
+      roundIdx: before.roundIdx,
+      roundTitle: plan[before.roundIdx]?.title || "",
+      round: before.seed,
+      play: before.play,
+      stepIndex: before.stepIndex,
+      at: Date.now(),
+      ...data,
+      before,
+    };
+    setHistory((h) => ({ past: [...h.past, entry], future: [] }));
+  };
+
+  // persist everything except the image blobs (those go to IndexedDB on pick)
+  useEffect(() => {
+    if (!files.length) return;
+    saveSession({
+      imageCount: files.length,
+      imageMeta: files.map((f) => f.meta),
+      imageUsed: files.map((f) => f.used),
+      current,
+      seed,
+      play,
+      stepIndex,
+      teams,
+      streak,
+      lockedTeams,
+      rounds,
+      roundIdx,
+      phase,
+      skipped,
+      log: stripSnapshots(history.past),
+      settings: {
+        ...modeSettings,
+        tileN: baseTileN,
+        revealMode: baseRevealMode,
+        stepsTotal: baseStepsTotal,
+        disturb: baseDisturb,
+        effects,
+        showHud,
+        highContrastHud,
+        reducedMotion,
+        gpuRender,
+        stepIntervalSec,
+        fairReveal,
+        fairStrength,
+        buzzerMode,
+        answerTolerance,
+        scoring,
+        scoreBreakdown,
+        skipUsed,
+      },
+    });
+  }, [
+    files,
+    current,
+    seed,
+    play,
+    stepIndex,
+    teams,
+    streak,
+    lockedTeams,
+    rounds,
+    roundIdx,
+    phase,
+    history,
+    modeSettings,
+    baseTileN,
+    baseRevealMode,
+    baseStepsTotal,
+    baseDisturb,
+    effects,
+    showHud,
+    highContrastHud,
+    reducedMotion,
+    gpuRender,
+    stepIntervalSec,
+    fairReveal,
+    fairStrength,
+    buzzerMode,
+    answerTolerance,
+    scoring,
+    scoreBreakdown,
+    skipped,
+    skipUsed,
+  ]);
+
+  // load image when current changes; its edit is applied ahead of the draw loop,
+  // cropped and downscaled to the screen
+  const currentUrl = files[current]?.url;
+  const currentEdit = files[current]?.meta.edit;
+  useEffect(() => {
+    if (!currentUrl) {
       setImg(null);
       return;
     }
+    let cancelled = false;
     const image = new Image();
-    image.onload = () => setImg(image);
-    image.src = f.url;
-  }, [files, current]);
+    image.onload = () => {
+      if (cancelled) return;
+      setImg(
+        prepareImage(image, currentEdit, {
+          maxW: viewport.w,
+          maxH: viewport.h,
+          aspect: viewport.w / viewport.h,
+        })
+      );
+    };
+    image.src = currentUrl;
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUrl, currentEdit, viewport]);
+
+  useEffect(() => {
+    const onResize = () => setViewport(displaySize());
+    window.addEventListener("resize", onResize);
+    return () => window.removeEventListener("resize", onResize);
+  }, []);
 
   // cleanup object URLs
   useEffect(() => {
@@ -133,57 +410,519 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const nextStep = () => setStepIndex((s) => clamp(s + 1, 0, stepsTotal));
-  const prevStep = () => setStepIndex((s) => clamp(s - 1, 0, stepsTotal));
+  const restoreGameState = (s) => {
+    setTeams(s.teams);
+    setCurrent(s.current);
+    setStepIndex(s.stepIndex);
+    setSeed(s.seed);
+    setPlay(s.play);
+    setStreak(s.streak);
+    setLockedTeams(s.lockedTeams);
+    setVerdicts(s.verdicts);
+    setRoundIdx(s.roundIdx);
+    setPhase(s.phase);
+    setBuzz(null);
+    setRemoteAnswers([]);
+    setAutoPlay(false);
+  };
+
+  // entries restored from a saved session have no snapshot and stay put
+  const canUndo = !!history.past.at(-1)?.before;
+  const canRedo = history.future.length > 0;
+
+  const roundPoints = useMemo(
+    () =>
+      scoreBreakdown && plan.length > 1
+        ? pointsByRound(history.past, teams.length, plan.length)
+        : null,
+    [scoreBreakdown, plan.length, history.past, teams.length]
+  );
+  const undo = () => {
+    const entry = history.past.at(-1);
+    if (!entry?.before) return;
+    const after = gameStateRef.current;
+    setHistory((h) => ({ past: h.past.slice(0, -1), future: [{ ...entry, after }, ...h.future] }));
+    restoreGameState(entry.before);
+  };
+  const redo = () => {
+    const entry = history.future[0];
+    if (!entry) return;
+    setHistory((h) => ({ past: [...h.past, entry], future: h.future.slice(1) }));
+    restoreGameState(entry.after);
+  };
+
+  const nextStep = () => {
+    if (gameStateRef.current.stepIndex >= stepsTotal) return;
+    logEvent("step");
+    setStepIndex((s) => clamp(s + 1, 0, stepsTotal));
+  };
+  const prevStep = () => {
+    if (gameStateRef.current.stepIndex <= 0) return;
+    logEvent("step-back");
+    setStepIndex((s) => clamp(s - 1, 0, stepsTotal));
+  };
   const resetRound = () => {
     setStepIndex(0);
     setSeed((x) => x + 1);
   };
+  const clearImageState = () => {
+    setBuzz(null);
+    setLockedTeams([]);
+    setRemoteAnswers([]);
+    setPlay((x) => x + 1);
+    resetRound();
+  };
+  // next image of the round; after the last one the standings (or the end screen)
   const nextImage = () => {
     if (!files.length) return;
-    setCurrent((c) => (c + 1) % files.length);
+    clearImageState();
+    const pos = round.images.indexOf(current);
+    if (pos + 1 < round.images.length) setCurrent(round.images[pos + 1]);
+    else {
+      setAutoPlay(false);
+      setPhase(roundIdx + 1 < plan.length ? "intermission" : "end");
+    }
+  };
+  const startRound = (idx, roundPlan = plan) => {
+    setRoundIdx(idx);
+    setCurrent(roundPlan[idx].images[0]);
+    setPhase("title");
+    clearImageState();
+  };
+  // title card -> reveal, standings -> next round's title card
+  const advancePhase = () => {
+    if (phase === "title") {
+      logEvent("phase");
+      setPhase("play");
+    } else if (phase === "intermission") {
+      logEvent("phase");
+      startRound(roundIdx + 1);
+    }
+  };
+  const startGame = () => {
+    setSkipped(skipUsed ? usedIndices(files) : []);
+    startRound(0, startPlan);
+    // a game without a plan goes straight to the first image
+    if (!rounds.length) setPhase("play");
+    setAutoPlay(false);
+    setIsGameActive(true);
+  };
+  // host actions; nextImage/resetRound alone are also used after an award
+  const skipImage = () => {
+    if (!files.length) return;
+    logEvent("skip");
+    nextImage();
+  };
+  const restartRound = () => {
+    logEvent("reset");
     resetRound();
   };
 
-  const awardTeam = (teamIdx) => {
-    const pts = pointsForStep(stepIndex, stepsTotal, 20);
+  const toggleAutoPlay = () => setAutoPlay((x) => !x);
+  const toggleScoreboard = () => setShowScoreboard((x) => !x);
+
+  // points a team would get now (or at an earlier step), streak included;
+  // teamIdx -1 is any team without a streak
+  const pointsFor = (teamIdx, atStep = stepIndex) =>
+    pointsWithStreak(
+      pointsForStep(atStep, stepsTotal, scoring),
+      streak.team === teamIdx ? streak.wins : 0,
+      scoring
+    );
+  // what the HUD shows: the points now, plus a line while a streak raises the
+  // streak team's points
+  const hudPoints = pointsFor(-1);
+  const streakPoints = teams[streak.team] ? pointsFor(streak.team) : hudPoints;
+  const hudStreak =
+    streakPoints !== hudPoints
+      ? t("hud.streak", { team: teams[streak.team].name, points: streakPoints })
+      : "";
+
+  const awardTeam = (teamIdx, pts = pointsFor(teamIdx)) => {
+    logEvent("award", { team: teamIdx, points: pts });
+    awardFlashRef.current = { color: teams[teamIdx]?.color, at: performance.now() };
+    setAutoPlay(false);
+    setStreak((s) => ({ team: teamIdx, wins: s.team === teamIdx ? s.wins + 1 : 1 }));
     setTeams((t) =>
       t.map((x, i) => (i === teamIdx ? { ...x, score: x.score + pts } : x))
     );
     nextImage();
   };
 
-  // keyboard controls
+  // first buzz wins; later ones in the same tick must not replace it
+  const buzzIn = (teamIdx, source = {}) => {
+    if (lockedTeams.includes(teamIdx)) return;
+    setBuzz((b) => b ?? { team: teamIdx, time: performance.now(), resume: autoPlay, ...source });
+    setAutoPlay(false);
+  };
+  const judgeCorrect = () => {
+    if (buzz) awardTeam(buzz.team);
+  };
+  // a wrong answer locks the team out until the next image and ends its buzz
+  const lockOut = (teamIdx) => {
+    setLockedTeams((l) => (l.includes(teamIdx) ? l : [...l, teamIdx]));
+    if (buzz?.team !== teamIdx) return;
+    setAutoPlay(buzz.resume);
+    setBuzz(null);
+  };
+  const judgeWrong = () => {
+    if (!buzz) return;
+    logEvent("wrong", { team: buzz.team, points: -scoring.wrongPoints });
+    setTeams((t) =>
+      t.map((x, i) => (i === buzz.team ? { ...x, score: x.score - scoring.wrongPoints } : x))
+    );
+    lockOut(buzz.team);
+  };
+  const cancelBuzz = () => {
+    if (!buzz) return;
+    setAutoPlay(buzz.resume);
+    setBuzz(null);
+  };
+
+  // typed answer from the host keyboard or a phone; correct ones score like awardTeam
+  const submitAnswer = (teamIdx, text, { source = "host", player = "", atStep = stepIndex } = {}) => {
+    if (!text.trim() || !teams[teamIdx] || phase !== "play") return;
+    const { verdict } = checkAnswer(text, files[current]?.meta, answerTolerance);
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+      team: teamIdx,
+      text: text.trim(),
+      source,
+      player,
+      imageName: files[current]?.name || "",
+      image: current,
+      round: seed,
+      play,
+      stepIndex: atStep,
+      points: pointsFor(teamIdx, atStep),
+      penalty: scoring.wrongPoints,
+      verdict,
+      auto: verdict !== null,
+    };
+    setVerdicts((v) => [...v, entry]);
+    if (verdict === "correct") awardTeam(teamIdx, entry.points);
+    else if (verdict === "wrong" && buzz?.team === teamIdx) judgeWrong();
+    else if (verdict === "wrong") {
+      logEvent("wrong", { team: teamIdx, points: -entry.penalty });
+      if (!entry.penalty) return;
+      setTeams((t) =>
+        t.map((x, i) => (i === teamIdx ? { ...x, score: x.score - entry.penalty } : x))
+      );
+    }
+  };
+
+  // host override; the score follows the verdict change
+  const overrideVerdict = (id, verdict) => {
+    const entry = verdicts.find((v) => v.id === id);
+    if (!entry || entry.verdict === verdict) return;
+    const stillOpen = entry.round === seed && verdict === "correct";
+    const value = (v) =>
+      v === "correct" ? entry.points : v === "wrong" ? -(entry.penalty || 0) : 0;
+    const delta = value(verdict) - value(entry.verdict);
+    if (!stillOpen) {
+      // booked on the round the answer was given in
+      logEvent("override", {
+        team: entry.team,
+        points: delta,
+        round: entry.round,
+        image: entry.image,
+        play: entry.play,
+        imageName: entry.imageName,
+      });
+    }
+    setVerdicts((list) =>
+      list.map((v) => (v.id === id ? { ...v, verdict, auto: false } : v))
+    );
+    if (stillOpen) {
+      // awarded like the closed case, so a wrong answer's penalty comes back
+      awardTeam(entry.team, delta);
+      return;
+    }
+    if (delta) {
+      setTeams((t) => t.map((x, i) => (i === entry.team ? { ...x, score: x.score + delta } : x)));
+    }
+    // wrong on the image still shown: like judging a buzz wrong
+    if (entry.round === seed && verdict === "wrong") lockOut(entry.team);
+  };
+
+  useEffect(() => {
+    if (!remoteEnabled) return;
+    const link = createRemoteLink(remoteUrl);
+    remoteRef.current = link;
+    const onStatus = (ev) => setRemoteStatus(ev.detail);
+    link.events.addEventListener("status", onStatus);
+    // the first connect attempt reports before anyone listens
+    setRemoteStatus(link.status);
+    return () => {
+      link.events.removeEventListener("status", onStatus);
+      link.close();
+      remoteRef.current = null;
+      setRemoteStatus("closed");
+      setRemoteRoom(null);
+      setRemoteRoomLost(false);
+      setRemotePlayers([]);
+    };
+  }, [remoteEnabled, remoteUrl]);
+
+  // phones see team names and whether they may buzz; the server and phones
+  // know teams by id, game state here by index
+  const remoteTeams = JSON.stringify(teams.map(({ id, name }) => ({ id, name })));
+  useEffect(() => {
+    if (remoteStatus !== "open") return;
+    remoteRef.current?.send({ type: "teams", teams: JSON.parse(remoteTeams) });
+  }, [remoteStatus, remoteTeams]);
+  const remoteGameStatus = JSON.stringify({
+    buzzTeam: teams[buzz?.team]?.id ?? null,
+    lockedTeams: lockedTeams.map((i) => teams[i]?.id),
+    buzzing: buzzerMode,
+  });
+  useEffect(() => {
+    if (remoteStatus !== "open") return;
+    remoteRef.current?.send({ type: "status", ...JSON.parse(remoteGameStatus) });
+  }, [remoteStatus, remoteGameStatus]);
+
+  // the phone page follows the host's language
+  const joinUrls = (remoteRoom?.joinUrls || []).map((u) => `${u}&lang=${getLanguage()}`);
+  const joinUrl = joinUrls[0] || "";
+  useEffect(() => {
+    if (!joinUrl) return;
+    let cancelled = false;
+    QRCode.toDataURL(joinUrl, { margin: 1, width: 220 })
+      .then((url) => !cancelled && setJoinQr(url))
+      .catch(() => !cancelled && setJoinQr(""));
+    return () => {
+      cancelled = true;
+    };
+  }, [joinUrl]);
+
+  // presenter window link: open state plus a counter bumped on each "hello"
+  const channelRef = useRef(null);
+  const [presenter, setPresenter] = useState({ open: false, seq: 0 });
+
+  useEffect(() => {
+    const ch = new BroadcastChannel(PRESENTER_CHANNEL);
+    channelRef.current = ch;
+    const onMessage = (ev) => {
+      if (ev.data?.type === "hello") setPresenter((p) => ({ open: true, seq: p.seq + 1 }));
+      else if (ev.data?.type === "bye") setPresenter((p) => ({ ...p, open: false }));
+    };
+    ch.addEventListener("message", onMessage);
+    ch.postMessage({ type: "ping" });
+    return () => {
+      ch.removeEventListener("message", onMessage);
+      ch.close();
+      channelRef.current = null;
+    };
+  }, []);
+
+  // mirror the game state to the presenter window
+  const currentFile = files[current];
+  useEffect(() => {
+    if (!presenter.open) return;
+    const points = pointsForStep(stepIndex, stepsTotal, scoring);
+    channelRef.current?.postMessage({
+      type: "state",
+      state: {
+        isGameActive,
+        current,
+        total: files.length,
+        imageName: currentFile?.name || "",
+        image: currentFile?.blob || null,
+        meta: currentFile?.meta || null,
+        category,
+        phase,
+        showScoreboard,
+        round: { title: round.title, index: roundIdx, total: plan.length },
+        roundImage: round.images.indexOf(current) + 1,
+        roundImages: round.images.length,
+        stepIndex,
+        stepsTotal,
+        points,
+        teamPoints: teams.map((_, i) =>
+          pointsWithStreak(points, streak.team === i ? streak.wins : 0, scoring)
+        ),
+        teams,
+        autoPlay,
+        buzzerMode,
+        buzz,
+        lockedTeams,
+        verdicts,
+        events: stripSnapshots(history.past.slice(-8)),
+        canUndo: !!history.past.at(-1)?.before,
+        canRedo: history.future.length > 0,
+      },
+    });
+  }, [
+    presenter,
+    isGameActive,
+    current,
+    files.length,
+    currentFile,
+    category,
+    phase,
+    showScoreboard,
+    round,
+    roundIdx,
+    plan.length,
+    stepIndex,
+    stepsTotal,
+    teams,
+    autoPlay,
+    buzzerMode,
+    buzz,
+    lockedTeams,
+    verdicts,
+    scoring,
+    streak,
+    history,
+  ]);
+
+  // keyboard, clicker and gamepad controls (local, or forwarded from the
+  // presenter window); key -> action via the bindings, then team keys
+  const onKeyRef = useRef(null);
   useEffect(() => {
+    const commands = {
+      prevStep,
+      nextStep,
+      nextImage: skipImage,
+      resetRound: restartRound,
+      toggleAutoPlay,
+      undo,
+      redo,
+      advancePhase,
+      toggleScoreboard,
+      judgeCorrect,
+      judgeWrong,
+      cancelBuzz,
+      fullscreen: () => {
+        const el = document.documentElement;
+        // gamepad presses are no user activation, so the request may be refused
+        if (!document.fullscreenElement) {
+          el.requestFullscreen?.()?.catch(() => setFullscreenRefused(true));
+        } else document.exitFullscreen?.()?.catch(() => {});
+      },
+    };
+    // title card, standings and end screen only move on (these still work)
+    const anyPhase = ["advancePhase", "toggleScoreboard", "fullscreen", "undo", "redo"];
+    const judging = ["judgeCorrect", "judgeWrong", "cancelBuzz"];
+
     const onKey = (e) => {
-      if (!isGameActive) return;
-      if (e.key === " " || e.code === "Space") {
+      if (!isGameActive || isModifierKey(e.key)) return;
+      // typing an answer must not trigger shortcuts
+      if (isTypingTarget(e.target)) return;
+      const key = eventKey(e);
+      const action = boundAction(key);
+      if (phase !== "play" && !anyPhase.includes(action)) {
+        if (["nextStep", "nextImage", "judgeCorrect"].includes(action)) {
+          e.preventDefault();
+          advancePhase();
+        }
+        return;
+      }
+      if (action && (buzz || !judging.includes(action))) {
         e.preventDefault();
-        nextStep();
-      } else if (e.key.toLowerCase() === "n") {
-        nextImage();
-      } else if (e.key.toLowerCase() === "r") {
-        resetRound();
-      } else if (e.key.toLowerCase() === "f") {
-        const el = document.documentElement;
-        if (!document.fullscreenElement) el.requestFullscreen?.();
-        else document.exitFullscreen?.();
-      } else {
-        // A,B,C... awarding
-        const k = e.key.toUpperCase();
-        const idx = k.charCodeAt(0) - 65;
-        if (idx >= 0 && idx < teams.length) awardTeam(idx);
+        commands[action]();
+      } else if (buzzerMode && findBuzzTeam(key, teams) >= 0) {
+        buzzIn(findBuzzTeam(key, teams));
+      } else if (findHotkeyTeam(key, teams) >= 0) {
+        awardTeam(findHotkeyTeam(key, teams));
+      }
+    };
+    onKeyRef.current = onKey;
+    const onMessage = (ev) => {
+      const msg = ev.data;
+      if (msg?.type === "key") {
+        onKey({ ...msg, preventDefault: () => {} });
+      } else if (msg?.type === "command" && isGameActive) {
+        if (phase !== "play" && !anyPhase.includes(msg.name)) return;
+        if (msg.name === "award") {
+          if (msg.team >= 0 && msg.team < teams.length) awardTeam(msg.team);
+        } else if (msg.name === "answer") {
+          submitAnswer(msg.team, String(msg.text || ""));
+        } else if (msg.name === "overrideVerdict") {
+          overrideVerdict(msg.id, msg.verdict);
+        } else {
+          commands[msg.name]?.();
+        }
+      }
+    };
+    // phones: buzzes arrive in server receive order, so the first one wins
+    const onRemote = (ev) => {
+      const msg = ev.detail;
+      if (msg.type === "room") setRemoteRoom({ code: msg.code, joinUrls: msg.joinUrls });
+      else if (msg.type === "players") setRemotePlayers(msg.players);
+      else if (msg.type === "error" && msg.error === "roomTaken") setRemoteRoomLost(true);
+      else if (!isGameActive || phase !== "play") return;
+      const teamIdx = teams.findIndex((x) => x.id === msg.team);
+      if (teamIdx < 0) return;
+      if (msg.type === "buzz" && buzzerMode) buzzIn(teamIdx, { player: msg.player, at: msg.at });
+      else if (msg.type === "answer") {
+        setRemoteAnswers((list) => [...list, { ...msg, team: teamIdx, stepIndex }]);
+        submitAnswer(teamIdx, msg.text, { source: "phone", player: msg.player });
       }
     };
+    const ch = channelRef.current;
+    const remote = remoteRef.current?.events;
     window.addEventListener("keydown", onKey);
-    return () => window.removeEventListener("keydown", onKey);
+    ch?.addEventListener("message", onMessage);
+    remote?.addEventListener("message", onRemote);
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      ch?.removeEventListener("message", onMessage);
+      remote?.removeEventListener("message", onRemote);
+    };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [teams.length, stepIndex, stepsTotal, files.length, isGameActive]);
+  }, [
+    teams,
+    stepIndex,
+    stepsTotal,
+    files.length,
+    isGameActive,
+    buzzerMode,
+    buzz,
+    lockedTeams,
+    autoPlay,
+    remoteStatus,
+    verdicts,
+    answerTolerance,
+    current,
+    seed,
+    scoring,
+    streak,
+    history,
+    plan,
+    roundIdx,
+    phase,
+  ]);
+
+  // gamepad buttons go through onKey as "Pad:<n>" keys. One long-lived watcher,
+  // so a held button is not reported again after each state change; an open
+  // presenter window reads the pad and forwards the presses instead.
+  useEffect(() => {
+    if (presenter.open) return;
+    return watchGamepads((key) => onKeyRef.current?.({ key, preventDefault: () => {} }));
+  }, [presenter.open]);
 
   useEffect(() => {
     lastStepRef.current = { index: stepIndex, time: performance.now() };
   }, [stepIndex]);
 
+  // resuming restarts the countdown for the current step
+  useEffect(() => {
+    if (autoPlay) countdownRef.current.resumedAt = performance.now();
+  }, [autoPlay]);
+
+  // auto-advance: one timeout per step, restarted on step change or resume
+  useEffect(() => {
+    if (!isGameActive || !autoPlay || phase !== "play" || stepIndex >= stepsTotal) return;
+    const intervalMs = stepIntervalSec * 1000;
+    const start = Math.max(lastStepRef.current.time, countdownRef.current.resumedAt);
+    countdownRef.current.start = start;
+    const timer = setTimeout(nextStep, Math.max(intervalMs - (performance.now() - start), 0));
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isGameActive, autoPlay, phase, stepIndex, stepsTotal, stepIntervalSec]);
+
   // draw loop
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -193,13 +932,12 @@ export default function App() {
     // offscreen canvas for pixelation
     if (!offscreenRef.current) offscreenRef.current = document.createElement("canvas");
     const off = offscreenRef.current;
-    const offCtx = off.getContext("2d");
+    if (gpuRender && glRef.current === undefined) glRef.current = createGlReveal();
 
     let raf = 0;
 
-    const draw = () => {
-      raf = requestAnimationFrame(draw);
-
+    // returns true while something on screen still moves
+    const drawFrame = () => {
       const w = canvas.clientWidth;
       const h = canvas.clientHeight;
       const dpr = window.devicePixelRatio || 1;
@@ -215,218 +953,665 @@ export default function App() {
       ctx.fillStyle = "#111";
       ctx.fillRect(0, 0, w, h);
 
-      if (!img) {
-        ctx.fillStyle = "#ddd";
-        ctx.font = "20px system-ui";
-        ctx.fillText("Bilder laden, dann Space drücken …", 20, 40);
-        return;
+      if (showScoreboard || phase === "end") {
+        return drawScoreboard(ctx, w, h, boardAnimRef.current, {
+          teams,
+          podium: phase === "end",
+          breakdown: roundPoints,
+          roundTitles: plan.map((r, i) => r.title || t("board.roundShort", { n: i + 1 })),
+          reducedMotion,
+        });
       }
-
-      // fit image into canvas (contain)
-      const iw = img.naturalWidth;
-      const ih = img.naturalHeight;
-      const scale = Math.min(w / iw, h / ih);
-      const dw = Math.round(iw * scale);
-      const dh = Math.round(ih * scale);
-      const dx = Math.round((w - dw) / 2);
-      const dy = Math.round((h - dh) / 2);
-
-      const t = clamp(disturb / 10, 0, 1);
-      const revealProgress = clamp(stepIndex / stepsTotal, 0, 1);
-      const revealFade = 1 - revealProgress;
-
-      // Pixelation: render downscaled then upscale nearest-neighbor
-      const basePixelScale = lerp(1.0, 0.05, t); // 1.0 -> sharp, 0.05 -> very pixelated
-      const pixelScale = lerp(1.0, basePixelScale, revealFade);
-      const pw = Math.max(1, Math.floor(dw * pixelScale));
-      const ph = Math.max(1, Math.floor(dh * pixelScale));
-
-      off.width = pw;
-      off.height = ph;
-      offCtx.imageSmoothingEnabled = true;
-      offCtx.clearRect(0, 0, pw, ph);
-      // draw original into small offscreen
-      offCtx.drawImage(img, 0, 0, pw, ph);
-
-      ctx.save();
-      // Reveal mask (mode-specific)
-      ctx.beginPath();
-
-      const tilesToShow = Math.floor((stepIndex / stepsTotal) * tileCount);
-      const prevTiles = Math.floor((Math.max(stepIndex - 1, 0) / stepsTotal) * tileCount);
-      const incomingTiles = Math.max(tilesToShow - prevTiles, 0);
-      const { time: lastStepTime } = lastStepRef.current;
-      const stepProgress = clamp((performance.now() - lastStepTime) / revealDurationMs, 0, 1);
-      const easedProgress = 1 - (1 - stepProgress) ** 3;
-
-      const randForTile = (idx) => {
-        const x = Math.sin((idx + seed * 131) * 12.9898) * 43758.5453;
-        return x - Math.floor(x);
-      };
-
-      if (revealMode === "WEDGES_RADIAL") {
-        const segmentsToShow = Math.floor((stepIndex / stepsTotal) * wedgeSegments);
-        const prevSegments = Math.floor((Math.max(stepIndex - 1, 0) / stepsTotal) * wedgeSegments);
-        const incomingSegments = Math.max(segmentsToShow - prevSegments, 0);
-        const revealSegments = Math.max(segmentsToShow, 0);
-        const centerX = dx + dw / 2;
-        const centerY = dy + dh / 2;
-        const radius = Math.max(dw, dh) * 0.6;
-        const baseRng = createRng(seed * 173 + wedgeSegments);
-        const angleOffset = baseRng() * Math.PI * 2;
-        const segmentAngle = (Math.PI * 2) / wedgeSegments;
-
-        for (let i = 0; i < revealSegments; i++) {
-          const segIdx = wedgeOrder[i];
-          const startAngle = angleOffset + segIdx * segmentAngle;
-          const endAngle = startAngle + segmentAngle;
-          ctx.moveTo(centerX, centerY);
-          ctx.arc(centerX, centerY, radius, startAngle, endAngle);
-          ctx.closePath();
-        }
-
-        if (incomingSegments > 0 && stepProgress < 1) {
-          ctx.save();
-          ctx.globalCompositeOperation = "screen";
-          ctx.fillStyle = `rgba(120, 220, 255, ${0.35 * (1 - easedProgress)})`;
-          for (let i = prevSegments; i < segmentsToShow; i++) {
-            const segIdx = wedgeOrder[i];
-            const startAngle = angleOffset + segIdx * segmentAngle;
-            const endAngle = startAngle + segmentAngle;
-            ctx.beginPath();
-            ctx.moveTo(centerX, centerY);
-            ctx.arc(centerX, centerY, radius * 1.02, startAngle, endAngle);
-            ctx.closePath();
-            ctx.fill();
-          }
-          ctx.restore();
-        }
-      } else {
-        const tileW = dw / tileN;
-        const tileH = dh / tileN;
-
-        for (let i = 0; i < prevTiles; i++) {
-          const idx = revealOrder[i];
-          const tx = idx % tileN;
-          const ty = Math.floor(idx / tileN);
-          const x0 = dx + tx * tileW;
-          const y0 = dy + ty * tileH;
-          const r = lerp(4, Math.min(tileW, tileH) * 0.3, randForTile(idx));
-          addRoundedRectPath(ctx, x0, y0, tileW + 0.5, tileH + 0.5, r);
-        }
-
-        const popScale = lerp(0.25, 1.08, easedProgress);
-        const rotScale = lerp(0.18, 0, easedProgress);
-
-        for (let i = prevTiles; i < tilesToShow; i++) {
-          const idx = revealOrder[i];
-          const tx = idx % tileN;
-          const ty = Math.floor(idx / tileN);
-          const x0 = dx + tx * tileW;
-          const y0 = dy + ty * tileH;
-          const cx = x0 + tileW / 2;
-          const cy = y0 + tileH / 2;
-          const rand = randForTile(idx);
-          const scale = popScale * (0.9 + rand * 0.2);
-          const rot = (rand - 0.5) * rotScale;
-
-          ctx.save();
-          ctx.translate(cx, cy);
-          ctx.rotate(rot);
-          const w = tileW * scale;
-          const h = tileH * scale;
-          const r = lerp(6, Math.min(w, h) * 0.35, rand);
-          addRoundedRectPath(ctx, -w * 0.5, -h * 0.5, w, h, r);
-          ctx.restore();
-        }
+      if (phase !== "play") {
+        const info = { round, index: roundIdx, total: plan.length, teams };
+        if (phase === "title") drawTitleCard(ctx, w, h, info);
+        else drawStandings(ctx, w, h, info);
+        return false;
       }
 
-      ctx.clip();
-
-      const blurBase = lerp(0, 14, t);
-      const blurPx = blurBase * revealFade;
-      const canBlur = typeof ctx.filter === "string";
-
-      if (canBlur && blurPx > 0.05) {
-        ctx.filter = `blur(${blurPx.toFixed(2)}px)`;
+      const { animating: revealing, hud } = renderFrame(
+        ctx,
+        img,
+        {
+          w,
+          h,
+          off,
+          settings,
+          revealOrder,
+          seed,
+          stepIndex,
+          lastStepTime: lastStepRef.current.time,
+          gl: gpuRender ? glRef.current : null,
+          pixelRatio: dpr,
+          reducedMotion,
+          hud: showHud && {
+            points: hudPoints,
+            streak: hudStreak,
+            legend: keyLegend(teams, { buzzerMode }),
+            highContrast: highContrastHud,
+          },
+        },
+        performance.now()
+      );
+      if (!img) return false;
+
+      // buzz banner
+      if (buzz && teams[buzz.team]) {
+        const bw = Math.min(w - 40, 520);
+        const bx = (w - bw) / 2;
+        const by = h - 120;
+        ctx.fillStyle = "rgba(0,0,0,0.7)";
+        ctx.beginPath();
+        addRoundedRectPath(ctx, bx, by, bw, 90, 14);
+        ctx.fill();
+        ctx.strokeStyle = teams[buzz.team].color;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        ctx.fillStyle = "#ffd54a";
+        ctx.font = "bold 30px system-ui";
+        ctx.textAlign = "center";
+        const who = buzz.player ? ` (${buzz.player})` : "";
+        ctx.fillText(t("game.buzzed", { team: teams[buzz.team].name, who }), w / 2, by + 42);
+        ctx.fillStyle = "#ddd";
+        ctx.font = "15px system-ui";
+        ctx.fillText(t("game.judgeHelp", judgeKeyNames()), w / 2, by + 72);
+        ctx.textAlign = "start";
       }
-
-      // Upscale (nearest)
-      ctx.imageSmoothingEnabled = false;
-      ctx.drawImage(off, dx, dy, dw, dh);
-
-      if (canBlur) {
-        ctx.filter = "none";
+      if (lockedTeams.length) {
+        ctx.fillStyle = "#f88";
+        ctx.font = "15px system-ui";
+        const names = lockedTeams.map((i) => teams[i]?.name).join(", ");
+        ctx.fillText(t("game.locked", { names }), 20, h - 20);
       }
 
-      // Confetti overlay (noise)
-      const noiseStrength = lerp(0.08, 0.45, t) * revealFade;
-      if (noiseStrength > 0.01) {
-        const rng = createRng(seed * 997 + stepIndex * 911);
-        const area = dw * dh;
-        const density = lerp(0.0008, 0.006, t) * revealFade;
-        const count = Math.floor(area * density);
-        for (let i = 0; i < count; i++) {
-          const size = lerp(2, 6, rng());
-          const x = dx + rng() * (dw - size);
-          const y = dy + rng() * (dh - size);
-          const r = Math.floor(80 + rng() * 175);
-          const g = Math.floor(80 + rng() * 175);
-          const b = Math.floor(80 + rng() * 175);
-          ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${noiseStrength})`;
-          ctx.fillRect(x, y, size, size);
-        }
+      // auto-advance countdown ring, next to the HUD
+      const counting = !!hud && autoPlay && stepIndex < stepsTotal;
+      if (counting) {
+        const intervalMs = stepIntervalSec * 1000;
+        const elapsed = performance.now() - countdownRef.current.start;
+        const remaining = clamp(1 - elapsed / intervalMs, 0, 1);
+        const rr = 22;
+        const rx = hud.x + hud.w + 12 + rr;
+        const ry = hud.y + 8 + rr;
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = "rgba(255,255,255,0.2)";
+        ctx.beginPath();
+        ctx.arc(rx, ry, rr, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.strokeStyle = "rgb(120, 220, 255)";
+        ctx.beginPath();
+        ctx.arc(rx, ry, rr, -Math.PI / 2, -Math.PI / 2 + remaining * Math.PI * 2);
+        ctx.stroke();
+        ctx.font = "14px system-ui";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(String(Math.ceil((remaining * intervalMs) / 1000)), rx, ry);
+        ctx.textAlign = "start";
+        ctx.textBaseline = "alphabetic";
       }
+      return revealing || counting;
+    };
 
-      ctx.restore();
-
-      // HUD
-      if (showHud) {
-        ctx.fillStyle = "rgba(0,0,0,0.45)";
-        ctx.fillRect(10, 10, 280, 90);
-        ctx.fillStyle = "#fff";
-        ctx.font = "16px system-ui";
-        const pts = pointsForStep(stepIndex, stepsTotal, 20);
-        ctx.fillText(`Step: ${stepIndex}/${stepsTotal}`, 20, 35);
-        ctx.fillText(`Aktuelle Punkte: ${pts}`, 20, 58);
-        ctx.fillText(`Keys: Space | A/B/... | N | R | F`, 20, 81);
-      }
+    // short full-canvas flash in the scoring team's color, over every screen
+    const drawAwardFlash = () => {
+      const { color, at } = awardFlashRef.current;
+      const k = 1 - (performance.now() - at) / awardFlashMs;
+      if (k <= 0 || reducedMotion) return false;
+      ctx.fillStyle = teamColorAlpha(color, 0.45 * k);
+      ctx.fillRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+      return true;
+    };
+
+    // redraw only while something animates; state changes restart this
+    // effect, resizes (window, fullscreen) wake it up again
+    const draw = () => {
+      const moving = drawFrame();
+      const flashing = drawAwardFlash();
+      raf = moving || flashing ? requestAnimationFrame(draw) : 0;
     };
 
     draw();
-    return () => cancelAnimationFrame(raf);
+    const resizeObserver = new ResizeObserver(() => {
+      if (!raf) draw();
+    });
+    resizeObserver.observe(canvas);
+    return () => {
+      cancelAnimationFrame(raf);
+      resizeObserver.disconnect();
+    };
   }, [
     img,
-    tileN,
-    tileCount,
+    settings,
     revealOrder,
-    wedgeOrder,
     revealMode,
-    spiralDirection,
-    wedgeSegments,
     stepIndex,
     stepsTotal,
     disturb,
     showHud,
     seed,
+    autoPlay,
+    stepIntervalSec,
+    buzz,
+    lockedTeams,
+    teams,
+    hudPoints,
+    hudStreak,
+    scoring,
+    phase,
+    round,
+    roundIdx,
+    plan,
+    showScoreboard,
+    roundPoints,
+    gpuRender,
+    buzzerMode,
+    lang,
+    keyBindings,
+    highContrastHud,
+    reducedMotion,
   ]);
 
-  const onPickFiles = (e) => {
-    const picked = Array.from(e.target.files || []);
-    if (!picked.length) return;
-    const mapped = picked.map((f) => ({ name: f.name, url: URL.createObjectURL(f) }));
-    setFiles(mapped);
+  // cleared on unmount, so a remount (StrictMode) creates a fresh renderer
+  useEffect(
+    () => () => {
+      glRef.current?.dispose();
+      glRef.current = undefined;
+    },
+    []
+  );
+
+  // every change of the library goes to IndexedDB as well; failures show up
+  // in the pack section's error line
+  const [packError, setPackError] = useState("");
+  const commitFiles = (next) => {
+    setFiles(next);
+    // an empty library leaves no game to resume
+    if (!next.length) {
+      clearSession();
+      setSavedSession(null);
+    }
+    saveImages(next).catch((err) =>
+      setPackError(t("library.saveFailed", { error: err.message || String(err) }))
+    );
+  };
+  const toLibraryEntry = (f) => ({
+    id: makeImageId(),
+    name: f.name,
+    url: URL.createObjectURL(f.blob),
+    blob: f.blob,
+    meta: f.meta || emptyMeta(),
+    used: false,
+  });
+
+  // images: [{name, blob, meta?}] -> replaces the current set
+  const loadImageSet = (images) => {
+    files.forEach((f) => URL.revokeObjectURL(f.url));
+    commitFiles(images.map(toLibraryEntry));
     setCurrent(0);
     setSeed((x) => x + 1);
+    setPlay((x) => x + 1);
     setStepIndex(0);
+    setRounds([]);
+    setRoundIdx(0);
+    setPhase("play");
+    setSkipped([]);
+    setHistory({ past: [], future: [] });
+  };
+
+  // appended after the current images; rounds keep their lists
+  const addImages = (images) => {
+    if (images.length) commitFiles([...files, ...images.map(toLibraryEntry)]);
+  };
+
+  // order: old indices in their new order; images left out are removed.
+  // Rounds, the current image and the skip list follow the images.
+  const reorderImages = (order) => {
+    const map = orderToMapping(order, files.length);
+    files.forEach((f, i) => map[i] < 0 && URL.revokeObjectURL(f.url));
+    commitFiles(order.map((i) => files[i]));
+    setRounds((list) => remapRounds(list, map));
+    setSkipped((list) => remapIndices(list, map));
+    setCurrent((c) => Math.max(map[c] ?? 0, 0));
+    setClipImage((c) => Math.max(map[c] ?? 0, 0));
+    setEditingImage((e) => (e === null ? null : map[e] >= 0 ? map[e] : null));
+  };
+  const moveImage = (from, to) => {
+    if (from !== to) reorderImages(moveOrder(files.length, from, to));
+  };
+  const removeImage = (idx) => reorderImages(removeOrder(files.length, [idx]));
+  const [shuffleSeed, setShuffleSeed] = useState(1);
+  const [editingImage, setEditingImage] = useState(null); // index in the image editor
+  const editorOpenerRef = useRef(null); // gets the focus back when the editor closes
+  const shuffleImages = () => reorderImages(shuffleOrder(files.length, shuffleSeed));
+  // used flags go to the session like the metadata; the blobs stay untouched
+  const setImageUsed = (idx, used) =>
+    setFiles((list) => list.map((f, i) => (i === idx ? { ...f, used } : f)));
+  const resetUsed = () => setFiles((list) => list.map((f) => ({ ...f, used: false })));
+
+  const onPickFiles = (e) => {
+    const picked = Array.from(e.target.files || []);
+    e.target.value = "";
+    addImages(picked.map((f) => ({ name: f.name, blob: f })));
+  };
+
+  // library drops: a dragged thumbnail moves, dropped files are added
+  const dragImageRef = useRef(null);
+  const [dropTarget, setDropTarget] = useState(null); // index, or "panel" for files
+  const onLibraryDrop = (e, idx = files.length) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const from = dragImageRef.current;
+    dragImageRef.current = null;
+    if (from != null) moveImage(from, Math.min(idx, files.length - 1));
+    else addImages(imagesFromTransfer(e.dataTransfer));
+  };
+
+  // keyboard focus follows the screen: into the game view on start, back to
+  // the setup heading when the game ends
+  const gameViewRef = useRef(null);
+  const setupHeadingRef = useRef(null);
+  const wasGameActiveRef = useRef(false);
+  useEffect(() => {
+    if (isGameActive === wasGameActiveRef.current) return;
+    wasGameActiveRef.current = isGameActive;
+    (isGameActive ? gameViewRef : setupHeadingRef).current?.focus();
+  }, [isGameActive]);
+
+  // pasted images (setup screen only; text pastes go to the inputs as usual)
+  useEffect(() => {
+    if (isGameActive) return;
+    const onPaste = (e) => {
+      const pasted = imagesFromTransfer(e.clipboardData, { pasted: true });
+      if (!pasted.length) return;
+      e.preventDefault();
+      addImages(pasted);
+    };
+    window.addEventListener("paste", onPaste);
+    return () => window.removeEventListener("paste", onPaste);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isGameActive, files]);
+
+  // images shown in a game count as used for later games
+  useEffect(() => {
+    if (!isGameActive || phase !== "play" || !files[current] || files[current].used) return;
+    setImageUsed(current, true);
+  }, [isGameActive, phase, current, files]);
+
+  const [packTitle, setPackTitle] = useState("");
+
+  const onImportPack = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const pack = await importPack(file);
+      const cfg = pack.settings;
+      if (cfg.tileN != null) setTileN(cfg.tileN);
+      if (cfg.revealMode) setRevealMode(cfg.revealMode);
+      setModeSettings(readModeSettings(cfg));
+      if (cfg.stepsTotal != null) setStepsTotal(cfg.stepsTotal);
+      if (cfg.disturb != null) setDisturb(cfg.disturb);
+      setEffects(cfg.effects ? readEffects(cfg.effects) : DEFAULT_EFFECTS);
+      if (cfg.scoring) setScoring(readScoring(cfg.scoring));
+      setPackTitle(pack.title);
+      setPackError("");
+      loadImageSet(pack.images);
+      setRounds(pack.rounds.map((r, i) => normalizeRound(r, i + 1)));
+    } catch (err) {
+      setPackError(err.message);
+    }
+  };
+
+  const onExportPack = async () => {
+    try {
+      const blob = await exportPack(files, {
+        title: packTitle,
+        settings: { ...baseSettings, scoring },
+        rounds,
+      });
+      const slug = (packTitle || "quiz").replace(/[^\w-]+/g, "_");
+      downloadBlob(blob, `${slug}.dalliklick.json`);
+      setPackError("");
+    } catch (err) {
+      setPackError(t("pack.exportFailed", { error: err.message }));
+    }
+  };
+
+  // settings an image gets in the game: base, its round's and its own overrides
+  const settingsForImage = (idx) => {
+    const imageRound = plan.find((r) => r.images.includes(idx));
+    return applyImageSettings(applyRoundSettings(baseSettings, imageRound), files[idx]?.meta);
+  };
+  const loadImageElement = async (url) => {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  };
+  // exports: the image as played, at most height px high
+  const loadEditedImage = async (f, height) =>
+    prepareImage(await loadImageElement(f.url), f.meta.edit, {
+      maxH: height,
+      aspect: viewport.w / viewport.h,
+    });
+
+  // reveal clip of one image with the settings it gets in the game
+  const [clip, setClip] = useState(DEFAULT_CLIP);
+  const [clipImage, setClipImage] = useState(0);
+  const [clipProgress, setClipProgress] = useState(null); // 0..1 while recording
+  const [clipError, setClipError] = useState("");
+  const updateClip = (patch) => setClip((c) => ({ ...c, ...patch }));
+  const onExportClip = async () => {
+    const f = files[clipImage];
+    if (!f || clipProgress !== null) return;
+    setClipError("");
+    setClipProgress(0);
+    try {
+      const image = await loadEditedImage(f, clip.height);
+      const clipSettings = settingsForImage(clipImage);
+      const order = buildRevealOrder(
+        clipSettings,
+        seed,
+        fairReveal ? analyzeImage(image) : null,
+        fairStrength
+      );
+      const blob = await recordClip({
+        ...clip,
+        img: image,
+        settings: clipSettings,
+        revealOrder: order,
+        seed,
+        points: (step) => pointsForStep(step, clipSettings.stepsTotal, scoring),
+        onProgress: setClipProgress,
+      });
+      const slug = f.name.replace(/\.[^.]+$/, "").replace(/[^\w-]+/g, "_");
+      downloadBlob(blob, `${slug}.${clip.format}`);
+    } catch (err) {
+      setClipError(err.message || String(err));
+    } finally {
+      setClipProgress(null);
+    }
+  };
+
+  // printable stages of every image, numbered in game-plan order
+  const [printOpts, setPrintOpts] = useState(DEFAULT_PRINT);
+  const [printBusy, setPrintBusy] = useState(false);
+  const [printError, setPrintError] = useState("");
+  const updatePrint = (patch) => setPrintOpts((p) => ({ ...p, ...patch }));
+  const onExportPrint = async () => {
+    if (printBusy) return;
+    setPrintBusy(true);
+    setPrintError("");
+    try {
+      const order = [...new Set(plan.flatMap((r) => r.images))];
+      const items = [];
+      for (const [n, idx] of order.entries()) {
+        const f = files[idx];
+        const image = await loadEditedImage(f, printOpts.height);
+        const imageSettings = settingsForImage(idx);
+        const revealOrder = buildRevealOrder(
+          imageSettings,
+          seed,
+          fairReveal ? analyzeImage(image) : null,
+          fairStrength
+        );
+        const steps = parseStepList(printOpts.steps, imageSettings.stepsTotal);
+        if (!steps.length) continue;
+        items.push({
+          number: n + 1,
+          name: f.name,
+          meta: f.meta,
+          stages: steps.map((stepIndex) => ({
+            stepIndex,
+            canvas: renderStage({
+              img: image,
+              settings: imageSettings,
+              revealOrder,
+              seed,
+              stepIndex,
+              height: printOpts.height,
+            }),
+          })),
+        });
+      }
+      if (!items.length) throw new Error(t("print.noSteps"));
+      const slug = (packTitle || "quiz").replace(/[^\w-]+/g, "_");
+      if (printOpts.format === "pdf") {
+        downloadBlob(await exportHandout(items, { title: packTitle }), `${slug}-handout.pdf`);
+      } else {
+        downloadBlob(await exportSpriteSheets(items), `${slug}-${t("print.fileStages")}.zip`);
+      }
+    } catch (err) {
+      setPrintError(err.message || String(err));
+    } finally {
+      setPrintBusy(false);
+    }
+  };
+
+  const updateMeta = (idx, patch) =>
+    setFiles((list) =>
+      list.map((f, i) => (i === idx ? { ...f, meta: { ...f.meta, ...patch } } : f))
+    );
+
+  const resumeGame = async () => {
+    const s = savedSession;
+    let stored;
+    try {
+      stored = await loadImages();
+    } catch (err) {
+      setResumeError(t("setup.resumeLoadFailed", { error: err.message || String(err) }));
+      return;
+    }
+    if (!stored.length) {
+      setResumeError(t("setup.resumeNoImages"));
+      return;
+    }
+    files.forEach((f) => URL.revokeObjectURL(f.url));
+    setFiles(
+      stored.map((f, i) => ({
+        ...f,
+        url: URL.createObjectURL(f.blob),
+        meta: normalizeMeta(s.imageMeta?.[i]),
+        used: Boolean(s.imageUsed?.[i]),
+      }))
+    );
+    const cfg = s.settings || {};
+    if (cfg.tileN) setTileN(cfg.tileN);
+    if (cfg.revealMode) setRevealMode(getRevealMode(cfg.revealMode).id);
+    setModeSettings(readModeSettings(cfg));
+    if (cfg.stepsTotal) setStepsTotal(cfg.stepsTotal);
+    if (cfg.disturb != null) setDisturb(cfg.disturb);
+    if (cfg.effects) setEffects(readEffects(cfg.effects));
+    if (cfg.showHud != null) setShowHud(cfg.showHud);
+    if (cfg.highContrastHud != null) setHighContrastHud(cfg.highContrastHud);
+    if (cfg.reducedMotion != null) setReducedMotion(cfg.reducedMotion);
+    if (cfg.gpuRender != null) setGpuRender(cfg.gpuRender && hasWebGl2());
+    if (cfg.stepIntervalSec) setStepIntervalSec(cfg.stepIntervalSec);
+    if (cfg.fairReveal != null) setFairReveal(cfg.fairReveal);
+    if (cfg.fairStrength != null) setFairStrength(cfg.fairStrength);
+    if (cfg.buzzerMode != null) setBuzzerMode(cfg.buzzerMode);
+    if (cfg.scoring) setScoring(readScoring(cfg.scoring));
+    if (cfg.answerTolerance != null) setAnswerTolerance(cfg.answerTolerance);
+    if (cfg.scoreBreakdown != null) setScoreBreakdown(cfg.scoreBreakdown);
+    if (cfg.skipUsed != null) setSkipUsed(cfg.skipUsed);
+    const resumedTeams = Array.isArray(s.teams) && s.teams.length ? s.teams : teams;
+    setTeams(resumedTeams);
+    // streak and lockout refer to teams by index
+    const isTeam = (i) => Number.isInteger(i) && i >= 0 && i < resumedTeams.length;
+    const wins = s.streak?.wins;
+    setStreak(
+      isTeam(s.streak?.team) && Number.isInteger(wins) && wins > 0
+        ? { team: s.streak.team, wins }
+        : { team: -1, wins: 0 }
+    );
+    setLockedTeams(Array.isArray(s.lockedTeams) ? [...new Set(s.lockedTeams.filter(isTeam))] : []);
+    setCurrent(clamp(s.current || 0, 0, stored.length - 1));
+    setSeed(s.seed || 1);
+    setPlay(s.play || 0);
+    setStepIndex(s.stepIndex || 0);
+    setRounds(Array.isArray(s.rounds) ? s.rounds.map((r, i) => normalizeRound(r, i + 1)) : []);
+    setRoundIdx(s.roundIdx || 0);
+    setPhase(s.phase || "play");
+    setSkipped(Array.isArray(s.skipped) ? s.skipped : []);
+    setHistory({ past: Array.isArray(s.log) ? s.log : [], future: [] });
+    setIsGameActive(true);
+  };
+
+  const lastVerdict = verdicts[verdicts.length - 1];
+
+  const updateScoring = (patch) => setScoring((r) => readScoring({ ...r, ...patch }));
+  // number fields keep the typed text and are read (and clamped) when left, so a
+  // half-typed value never rewrites another field; left empty they keep their value
+  const scoringInput = (field, scale = 1) => ({
+    defaultValue: Math.round(scoring[field] * scale),
+    onBlur: (e) => {
+      const text = e.target.value.trim();
+      const next = readScoring({ ...scoring, ...(text && { [field]: Number(text) / scale }) });
+      setScoring(next);
+      e.target.value = Math.round(next[field] * scale);
+    },
+  });
+
+  const updateModeSetting = (def, value) =>
+    setModeSettings((m) => ({ ...m, [def.key]: coerceModeSetting(def, value) }));
+
+  // new rounds take the images no other round uses yet
+  const addRound = () =>
+    setRounds((list) => {
+      const used = new Set(list.flatMap((r) => r.images));
+      const rest = files.map((_, i) => i).filter((i) => !used.has(i));
+      return [...list, emptyRound(list.length + 1, rest)];
+    });
+  const updateRound = (idx, patch) =>
+    setRounds((list) => list.map((r, i) => (i === idx ? { ...r, ...patch } : r)));
+  const removeRound = (idx) => setRounds((list) => list.filter((_, i) => i !== idx));
+  // "" falls back to the base setting
+  const updateRoundSetting = (idx, key, value) =>
+    setRounds((list) =>
+      list.map((r, i) => {
+        if (i !== idx) return r;
+        const next = { ...r.settings, [key]: value };
+        if (value === "") delete next[key];
+        return { ...r, settings: next };
+      })
+    );
+  const unplannedImages = rounds.length
+    ? files.map((_, i) => i).filter((i) => !rounds.some((r) => r.images.includes(i)))
+    : [];
+
+  const addTeam = () => setTeams((t) => [...t, makeTeam(t)]);
+  const updateTeam = (teamIdx, patch) =>
+    setTeams((t) => t.map((x, i) => (i === teamIdx ? { ...x, ...patch } : x)));
+  const setBuzzKey = (teamIdx, key) => {
+    const error = validateBuzzKey(key, teamIdx, teams);
+    setTeamKeyError(error);
+    if (!error) updateTeam(teamIdx, { buzzKey: key });
+  };
+  const setHotkey = (teamIdx, key) => {
+    const error = validateHotkey(key, teamIdx, teams);
+    setTeamKeyError(error);
+    if (!error) updateTeam(teamIdx, { hotkey: key });
   };
 
-  const addTeam = () => {
-    const nextLetter = String.fromCharCode(65 + teams.length);
-    setTeams((t) => [...t, { name: nextLetter, score: 0 }]);
+  // game state refers to teams by index: follow a removed (-1) or moved team.
+  // Undo snapshots hold the old team list, so they are dropped.
+  const remapTeams = (next, map) => {
+    const re = (i) => map[i] ?? -1;
+    const reTeam = (x) => ({ ...x, team: re(x.team) });
+    setTeams(next);
+    setBuzz(null);
+    setAnswerTeam((a) => Math.max(0, re(a)));
+    setLockedTeams((l) => l.map(re).filter((i) => i >= 0));
+    setStreak((s) => (re(s.team) >= 0 ? reTeam(s) : { team: -1, wins: 0 }));
+    setVerdicts((list) => list.filter((v) => re(v.team) >= 0).map(reTeam));
+    setHistory((h) => ({
+      past: stripSnapshots(h.past)
+        .filter((e) => e.team == null || re(e.team) >= 0)
+        .map((e) => (e.team == null ? e : reTeam(e))),
+      future: [],
+    }));
+  };
+  const removeTeam = (teamIdx) => {
+    if (teams.length <= 1) return;
+    remapTeams(
+      teams.filter((_, i) => i !== teamIdx),
+      teams.map((_, i) => (i < teamIdx ? i : i === teamIdx ? -1 : i - 1))
+    );
+  };
+  const moveTeam = (teamIdx, dir) => {
+    const to = teamIdx + dir;
+    if (to < 0 || to >= teams.length) return;
+    const map = teams.map((_, i) => (i === teamIdx ? to : i === to ? teamIdx : i));
+    const next = teams.slice();
+    [next[teamIdx], next[to]] = [next[to], next[teamIdx]];
+    remapTeams(next, map);
   };
   const resetScores = () => setTeams((t) => t.map((x) => ({ ...x, score: 0 })));
 
+  const results = resultsFromLog(history.past, teams);
+  const resultsFileName = `${(packTitle || "quiz").replace(/[^\w-]+/g, "_")}-${t("results.fileName")}`;
+  const onExportResultsCsv = () =>
+    downloadBlob(
+      new Blob([toCsv(results, RESULT_COLUMNS)], { type: "text/csv;charset=utf-8" }),
+      `${resultsFileName}.csv`
+    );
+  const onExportResultsJson = () =>
+    downloadBlob(
+      new Blob(
+        [
+          JSON.stringify(
+            {
+              title: packTitle,
+              exportedAt: new Date().toISOString(),
+              teams: teams.map((t) => ({ name: t.name, score: t.score })),
+              results,
+              events: stripSnapshots(history.past),
+            },
+            null,
+            2
+          ),
+        ],
+        { type: "application/json" }
+      ),
+      `${resultsFileName}.json`
+    );
+
+  const languageSelect = (
+    <label style={{ display: "flex", gap: 6, alignItems: "center", color: "#aaa" }}>
+      {t("app.language")}
+      <select value={lang} onChange={(e) => changeLanguage(e.target.value)}>
+        {LANGUAGES.map((l) => (
+          <option key={l.value} value={l.value}>
+            {l.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  // what the canvas shows, for screen readers (read out when it changes)
+  let announcement = "";
+  if (phase === "play") {
+    announcement = t("a11y.step", { step: stepIndex, total: stepsTotal, points: hudPoints });
+    if (hudStreak) announcement += `, ${hudStreak}`;
+    if (buzz) {
+      const who = buzz.player ? ` (${buzz.player})` : "";
+      announcement += `. ${t("game.buzzed", { team: teams[buzz.team].name, who })}`;
+    }
+  } else if (phase === "title") {
+    const of = t("plan.roundOf", { n: roundIdx + 1, total: plan.length });
+    announcement = `${of}: ${round.title || t("plan.round", { n: roundIdx + 1 })}`;
+  } else if (phase === "intermission") {
+    announcement = t("plan.standingsAfter", { n: roundIdx + 1, total: plan.length });
+  } else if (phase === "end") {
+    announcement = t("board.gameOver");
+  }
+  const scoreAnnouncement = t("a11y.scores", {
+    scores: teams
+      .map((team) => t("a11y.teamScore", { team: team.name, score: team.score }))
+      .join(", "),
+  });
+
   if (!isGameActive) {
     return (
       <div
@@ -449,7 +1634,8 @@ export default function App() {
           }}
         >
           <strong>Dalli Klick Modern</strong>
-          <span style={{ color: "#aaa" }}>Startbildschirm</span>
+          <span style={{ color: "#aaa" }}>{t("setup.screen")}</span>
+          <div style={{ marginLeft: "auto" }}>{languageSelect}</div>
         </header>
         <main
           style={{
@@ -471,68 +1657,504 @@ export default function App() {
             }}
           >
             <div>
-              <h1 style={{ margin: 0, fontSize: 26 }}>Spiel vorbereiten</h1>
-              <p style={{ margin: "8px 0 0", color: "#bbb" }}>
-                Lade zuerst die Bilder und lege die Spielregeln fest. Danach startest du den
-                Spielmodus.
-              </p>
+              <h1 ref={setupHeadingRef} tabIndex={-1} style={{ margin: 0, fontSize: 26 }}>
+                {t("setup.title")}
+              </h1>
+              <p style={{ margin: "8px 0 0", color: "#bbb" }}>{t("setup.intro")}</p>
             </div>
 
-            <section style={{ display: "grid", gap: 12 }}>
-              <strong>Bilder</strong>
-              <input type="file" accept="image/*" multiple onChange={onPickFiles} />
+            {savedSession?.imageCount > 0 && (
+              <section style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
+                <button onClick={resumeGame}>{t("setup.resume")}</button>
+                <span style={{ color: "#bbb" }}>
+                  {t("setup.resumeInfo", {
+                    count: savedSession.imageCount,
+                    image: (savedSession.current || 0) + 1,
+                    step: savedSession.stepIndex || 0,
+                  })}
+                  {savedSession.savedAt
+                    ? ` – ${t("setup.savedAt", { date: new Date(savedSession.savedAt).toLocaleString(lang) })}`
+                    : ""}
+                </span>
+                {resumeError && <span style={{ color: "#f88" }}>{resumeError}</span>}
+              </section>
+            )}
+
+            {results.length > 0 && (
+              <section style={{ display: "grid", gap: 12 }}>
+                <strong>{t("results.title")}</strong>
+                <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+                  <button onClick={onExportResultsCsv}>{t("results.exportCsv")}</button>
+                  <button onClick={onExportResultsJson}>{t("results.exportJson")}</button>
+                  <button onClick={() => setHistory({ past: [], future: [] })}>
+                    {t("results.clearLog")}
+                  </button>
+                </div>
+                <div style={{ maxHeight: 260, overflow: "auto" }}>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                    <thead>
+                      <tr>
+                        {RESULT_COLUMNS.map(([key, label]) => (
+                          <th
+                            key={key}
+                            style={{ textAlign: "left", color: "#888", padding: "4px 6px" }}
+                          >
+                            {localized(label)}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.map((r) => (
+                        <tr key={r.id} style={{ borderTop: "1px solid #222" }}>
+                          {RESULT_COLUMNS.map(([key]) => (
+                            <td key={key} style={{ padding: "4px 6px" }}>
+                              {r[key]}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            )}
+
+            <section
+              style={{
+                display: "grid",
+                gap: 12,
+                outline: dropTarget === "panel" ? "2px dashed #4a90e2" : "none",
+                outlineOffset: 6,
+              }}
+              onDragOver={(e) => {
+                e.preventDefault();
+                if (dragImageRef.current == null) setDropTarget("panel");
+              }}
+              onDragLeave={(e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+              }}
+              onDrop={(e) => onLibraryDrop(e)}
+            >
+              <strong>{t("library.title")}</strong>
+              <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
+                <input
+                  type="file"
+                  accept="image/*"
+                  multiple
+                  onChange={onPickFiles}
+                  aria-label={t("library.pick")}
+                />
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {t("library.seed")}
+                  <input
+                    type="number"
+                    min="1"
+                    value={shuffleSeed}
+                    onChange={(e) =>
+                      setShuffleSeed(Math.max(1, parseInt(e.target.value || "1", 10)))
+                    }
+                    style={{ width: 80 }}
+                  />
+                </label>
+                <button onClick={shuffleImages} disabled={files.length < 2}>
+                  {t("library.shuffle")}
+                </button>
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {t("library.skipUsed")}
+                  <input
+                    type="checkbox"
+                    checked={skipUsed}
+                    onChange={(e) => setSkipUsed(e.target.checked)}
+                  />
+                </label>
+                <button onClick={resetUsed} disabled={!files.some((f) => f.used)}>
+                  {t("library.resetUsed")}
+                </button>
+                <button onClick={() => loadImageSet([])} disabled={!files.length}>
+                  {t("library.removeAll")}
+                </button>
+              </div>
               <span style={{ color: "#bbb" }}>
-                {files.length ? `${files.length} Bilder geladen.` : "Noch keine Bilder ausgewählt."}
+                {files.length
+                  ? t("library.summary", {
+                      count: files.length,
+                      used: usedIndices(files).length,
+                    })
+                  : t("library.empty")}
               </span>
+              {files.length > 0 && (
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                  {files.map((f, i) => (
+                    <figure
+                      key={f.url}
+                      draggable
+                      onDragStart={(e) => {
+                        dragImageRef.current = i;
+                        e.dataTransfer.effectAllowed = "move";
+                      }}
+                      onDragEnd={() => {
+                        dragImageRef.current = null;
+                        setDropTarget(null);
+                      }}
+                      onDragOver={(e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        setDropTarget(i);
+                      }}
+                      onDrop={(e) => {
+                        e.stopPropagation();
+                        onLibraryDrop(e, i);
+                      }}
+                      style={{
+                        margin: 0,
+                        width: 120,
+                        display: "grid",
+                        gap: 4,
+                        padding: 6,
+                        background: "#151515",
+                        border: `1px solid ${dropTarget === i ? "#4a90e2" : "#222"}`,
+                        borderRadius: 8,
+                        opacity: f.used ? 0.5 : 1,
+                        cursor: "grab",
+                      }}
+                    >
+                      <img
+                        src={f.url}
+                        alt={f.name}
+                        draggable={false}
+                        style={{ width: "100%", height: 80, objectFit: "cover", borderRadius: 4 }}
+                      />
+                      <figcaption
+                        title={f.name}
+                        style={{
+                          fontSize: 12,
+                          color: "#bbb",
+                          overflow: "hidden",
+                          textOverflow: "ellipsis",
+                          whiteSpace: "nowrap",
+                        }}
+                      >
+                        {i + 1}. {f.name}
+                      </figcaption>
+                      <div style={{ display: "flex", gap: 4, alignItems: "center", fontSize: 12 }}>
+                        <label style={{ display: "flex", gap: 4, alignItems: "center" }}>
+                          <input
+                            type="checkbox"
+                            checked={f.used}
+                            onChange={(e) => setImageUsed(i, e.target.checked)}
+                          />
+                          {t("library.used")}
+                        </label>
+                        <button
+                          onClick={(e) => {
+                            editorOpenerRef.current = e.currentTarget;
+                            setEditingImage(editingImage === i ? null : i);
+                          }}
+                          title={t("library.edit")}
+                          aria-label={forItem(t("library.edit"), f.name)}
+                          style={{ marginLeft: "auto" }}
+                        >
+                          ✎
+                        </button>
+                        <button
+                          onClick={() => removeImage(i)}
+                          title={t("library.remove")}
+                          aria-label={forItem(t("library.remove"), f.name)}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    </figure>
+                  ))}
+                </div>
+              )}
+              {files[editingImage] && (
+                <ImageEditor
+                  file={files[editingImage]}
+                  aspect={viewport.w / viewport.h}
+                  onChange={(edit) => updateMeta(editingImage, { edit })}
+                  onClose={() => {
+                    setEditingImage(null);
+                    editorOpenerRef.current?.focus();
+                  }}
+                />
+              )}
             </section>
 
             <section style={{ display: "grid", gap: 12 }}>
-              <strong>Konfiguration</strong>
+              <strong>{t("pack.title")}</strong>
+              <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {t("pack.import")}
+                  <input type="file" accept=".json,application/json" onChange={onImportPack} />
+                </label>
+                <input
+                  type="text"
+                  placeholder={t("pack.titlePlaceholder")}
+                  aria-label={t("pack.titlePlaceholder")}
+                  value={packTitle}
+                  onChange={(e) => setPackTitle(e.target.value)}
+                />
+                <button onClick={onExportPack} disabled={!files.length}>
+                  {t("pack.export")}
+                </button>
+              </div>
+              {packError && <span style={{ color: "#f88" }}>{packError}</span>}
+              {files.length > 0 && (
+                <details>
+                  <summary style={{ cursor: "pointer" }}>{t("pack.metaSummary")}</summary>
+                  <div style={{ display: "grid", gap: 8, marginTop: 8 }}>
+                    {files.map((f, i) => (
+                      <div
+                        key={f.url}
+                        style={{
+                          display: "grid",
+                          gridTemplateColumns: "minmax(120px, 1fr) repeat(4, minmax(90px, 1fr))",
+                          gap: 6,
+                          alignItems: "center",
+                        }}
+                      >
+                        <span style={{ color: "#bbb", overflow: "hidden", textOverflow: "ellipsis" }}>
+                          {i + 1}. {f.name}
+                          {Object.keys(f.meta.settings).length > 0 && " ⚙"}
+                        </span>
+                        <input
+                          type="text"
+                          placeholder={t("pack.answer")}
+                          aria-label={forItem(t("pack.answer"), f.name)}
+                          value={f.meta.answer}
+                          onChange={(e) => updateMeta(i, { answer: e.target.value })}
+                        />
+                        <input
+                          type="text"
+                          placeholder={t("pack.alternatives")}
+                          aria-label={forItem(t("pack.alternatives"), f.name)}
+                          value={f.meta.alternatives.join(", ")}
+                          onChange={(e) =>
+                            updateMeta(i, {
+                              alternatives: e.target.value.split(",").map((x) => x.trimStart()),
+                            })
+                          }
+                        />
+                        <input
+                          type="text"
+                          placeholder={t("pack.category")}
+                          aria-label={forItem(t("pack.category"), f.name)}
+                          value={f.meta.category}
+                          onChange={(e) => updateMeta(i, { category: e.target.value })}
+                        />
+                        <input
+                          type="text"
+                          placeholder={t("pack.hint")}
+                          aria-label={forItem(t("pack.hint"), f.name)}
+                          value={f.meta.hint}
+                          onChange={(e) => updateMeta(i, { hint: e.target.value })}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </details>
+              )}
+              <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                {t("pack.answerTolerance")}
+                <input
+                  type="number"
+                  min="0"
+                  max="3"
+                  value={answerTolerance}
+                  onChange={(e) =>
+                    setAnswerTolerance(clamp(parseInt(e.target.value || "0", 10), 0, 3))
+                  }
+                  style={{ width: 80 }}
+                />
+              </label>
+            </section>
+
+            <section style={{ display: "grid", gap: 12 }}>
+              <strong>{t("plan.title")}</strong>
+              <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
+                <button onClick={addRound} disabled={!files.length}>
+                  {t("plan.addRound")}
+                </button>
+                <span style={{ color: "#888" }}>
+                  {rounds.length ? t("plan.summary", { count: rounds.length }) : t("plan.none")}
+                </span>
+              </div>
+              {rounds.map((r, i) => (
+                <div
+                  key={i}
+                  style={{
+                    display: "grid",
+                    gridTemplateColumns: "repeat(3, minmax(100px, 1fr)) minmax(140px, 1fr) 90px auto",
+                    gap: 6,
+                    alignItems: "center",
+                  }}
+                >
+                  <input
+                    type="text"
+                    placeholder={t("plan.round", { n: i + 1 })}
+                    aria-label={forItem(t("pack.titlePlaceholder"), t("plan.round", { n: i + 1 }))}
+                    value={r.title}
+                    onChange={(e) => updateRound(i, { title: e.target.value })}
+                  />
+                  <input
+                    type="text"
+                    placeholder={t("pack.category")}
+                    aria-label={forItem(t("pack.category"), t("plan.round", { n: i + 1 }))}
+                    value={r.category}
+                    onChange={(e) => updateRound(i, { category: e.target.value })}
+                  />
+                  {/* edited as text ("1-5, 8"), parsed when leaving the field */}
+                  <input
+                    key={formatImageList(r.images)}
+                    type="text"
+                    placeholder={t("plan.imagesPlaceholder")}
+                    aria-label={forItem(t("library.title"), t("plan.round", { n: i + 1 }))}
+                    defaultValue={formatImageList(r.images)}
+                    onBlur={(e) =>
+                      updateRound(i, { images: parseImageList(e.target.value, files.length) })
+                    }
+                  />
+                  <select
+                    value={r.settings.revealMode ?? ""}
+                    aria-label={forItem(t("config.revealMode"), t("plan.round", { n: i + 1 }))}
+                    onChange={(e) => updateRoundSetting(i, "revealMode", e.target.value)}
+                  >
+                    <option value="">{t("plan.modeAsAbove")}</option>
+                    {listRevealModes().map((m) => (
+                      <option key={m.id} value={m.id}>
+                        {localized(m.label)}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="5"
+                    max="80"
+                    placeholder={t("config.steps")}
+                    aria-label={forItem(t("config.steps"), t("plan.round", { n: i + 1 }))}
+                    value={r.settings.stepsTotal ?? ""}
+                    onChange={(e) =>
+                      updateRoundSetting(
+                        i,
+                        "stepsTotal",
+                        e.target.value === "" ? "" : clamp(parseInt(e.target.value, 10), 5, 80)
+                      )
+                    }
+                  />
+                  <button
+                    onClick={() => removeRound(i)}
+                    title={t("plan.removeRound")}
+                    aria-label={forItem(t("plan.removeRound"), t("plan.round", { n: i + 1 }))}
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              {rounds.length > 1 && (
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {t("plan.scoreBreakdown")}
+                  <input
+                    type="checkbox"
+                    checked={scoreBreakdown}
+                    onChange={(e) => setScoreBreakdown(e.target.checked)}
+                  />
+                </label>
+              )}
+              {unplannedImages.length > 0 && (
+                <span style={{ color: "#f8c36a" }}>
+                  {t("plan.unplanned", { images: formatImageList(unplannedImages) })}
+                </span>
+              )}
+            </section>
+
+            <section style={{ display: "grid", gap: 12 }}>
+              <strong>{t("config.title")}</strong>
               <label style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
-                Aufdeckmodus
+                {t("config.revealMode")}
                 <select
-                  value={revealMode}
+                  value={baseRevealMode}
                   onChange={(e) => setRevealMode(e.target.value)}
                   style={{ minWidth: 220 }}
                 >
-                  <option value="GRID_RANDOM">Raster zufällig (GRID_RANDOM)</option>
-                  <option value="WEDGES_RADIAL">Tortenstücke radial (WEDGES_RADIAL)</option>
-                  <option value="SPIRAL_GRID">Spirale (SPIRAL_GRID)</option>
+                  {listRevealModes().map((m) => (
+                    <option key={m.id} value={m.id}>
+                      {localized(m.label)}
+                    </option>
+                  ))}
                 </select>
               </label>
 
-              {revealMode === "SPIRAL_GRID" && (
-                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
-                  Spiralrichtung
-                  <select
-                    value={spiralDirection}
-                    onChange={(e) => setSpiralDirection(e.target.value)}
-                  >
-                    <option value="outside-in">Außen → Innen</option>
-                    <option value="inside-out">Innen → Außen</option>
-                  </select>
+              {getRevealMode(baseRevealMode).settings.map((def) => (
+                <label key={def.key} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {localized(def.label)}
+                  {def.type === "select" ? (
+                    <select
+                      value={modeSettings[def.key]}
+                      onChange={(e) => updateModeSetting(def, e.target.value)}
+                    >
+                      {def.options.map((o) => (
+                        <option key={o.value} value={o.value}>
+                          {localized(o.label)}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type="number"
+                      min={def.min}
+                      max={def.max}
+                      value={modeSettings[def.key]}
+                      onChange={(e) => updateModeSetting(def, e.target.value)}
+                      style={{ width: 80 }}
+                    />
+                  )}
                 </label>
-              )}
+              ))}
 
               <label style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
-                Störgrad (Pixelation, Blur, Konfetti)
+                {t("config.disturb")}
                 <input
                   type="range"
                   min="0"
                   max="10"
-                  value={disturb}
+                  value={baseDisturb}
                   onChange={(e) => setDisturb(parseInt(e.target.value, 10))}
                 />
-                {disturb}
+                {baseDisturb}
+              </label>
+
+              <EffectStackEditor effects={effects} onChange={setEffects} />
+
+              <label style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                {t("config.fairReveal")}
+                <input
+                  type="checkbox"
+                  checked={fairReveal}
+                  onChange={(e) => setFairReveal(e.target.checked)}
+                />
+                {fairReveal && (
+                  <>
+                    <input
+                      type="range"
+                      min="0"
+                      max="10"
+                      value={fairStrength}
+                      onChange={(e) => setFairStrength(parseInt(e.target.value, 10))}
+                    />
+                    {fairStrength}
+                  </>
+                )}
               </label>
 
               <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
-                Rastergröße (Tiles)
+                {t("config.tileN")}
                 <input
                   type="number"
                   min="6"
                   max="40"
-                  value={tileN}
+                  value={baseTileN}
                   onChange={(e) =>
                     setTileN(clamp(parseInt(e.target.value || "18", 10), 6, 40))
                   }
@@ -541,12 +2163,12 @@ export default function App() {
               </label>
 
               <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
-                Schritte
+                {t("config.steps")}
                 <input
                   type="number"
                   min="5"
                   max="80"
-                  value={stepsTotal}
+                  value={baseStepsTotal}
                   onChange={(e) =>
                     setStepsTotal(clamp(parseInt(e.target.value || "20", 10), 5, 80))
                   }
@@ -554,62 +2176,529 @@ export default function App() {
                 />
               </label>
 
-              {revealMode === "WEDGES_RADIAL" && (
-                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
-                  Segmente (Tortenstücke)
-                  <input
-                    type="number"
-                    min="6"
-                    max="36"
-                    value={wedgeSegments}
-                    onChange={(e) =>
-                      setWedgeSegments(clamp(parseInt(e.target.value || "18", 10), 6, 36))
-                    }
-                    style={{ width: 80 }}
-                  />
-                </label>
-              )}
+              <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                {t("config.autoInterval")}
+                <input
+                  type="number"
+                  min="1"
+                  max="30"
+                  value={stepIntervalSec}
+                  onChange={(e) =>
+                    setStepIntervalSec(clamp(parseInt(e.target.value || "3", 10), 1, 30))
+                  }
+                  style={{ width: 80 }}
+                />
+              </label>
 
               <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
-                HUD anzeigen
+                {t("config.showHud")}
                 <input
                   type="checkbox"
                   checked={showHud}
                   onChange={(e) => setShowHud(e.target.checked)}
                 />
               </label>
+
+              <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                {t("config.highContrastHud")}
+                <input
+                  type="checkbox"
+                  checked={highContrastHud}
+                  onChange={(e) => setHighContrastHud(e.target.checked)}
+                />
+              </label>
+
+              <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                {t("config.reducedMotion")}
+                <input
+                  type="checkbox"
+                  checked={reducedMotion}
+                  onChange={(e) => setReducedMotion(e.target.checked)}
+                />
+              </label>
+
+              <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                {t("config.gpuRender")}
+                <input
+                  type="checkbox"
+                  checked={gpuRender}
+                  disabled={!hasWebGl2()}
+                  onChange={(e) => setGpuRender(e.target.checked)}
+                />
+              </label>
             </section>
 
+            {files.length > 0 && (
+              <section style={{ display: "grid", gap: 12 }}>
+                <strong>{t("clip.title")}</strong>
+                <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
+                  <select
+                    value={clipImage}
+                    aria-label={t("clip.image")}
+                    onChange={(e) => setClipImage(parseInt(e.target.value, 10))}
+                    style={{ maxWidth: 220 }}
+                  >
+                    {files.map((f, i) => (
+                      <option key={f.url} value={i}>
+                        {i + 1}. {f.name}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={clip.format}
+                    aria-label={t("clip.format")}
+                    onChange={(e) => updateClip({ format: e.target.value })}
+                  >
+                    {CLIP_FORMATS.map((o) => (
+                      <option key={o.value} value={o.value}>
+                        {localized(o.label)}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={clip.height}
+                    aria-label={t("clip.height")}
+                    onChange={(e) => updateClip({ height: parseInt(e.target.value, 10) })}
+                  >
+                    {CLIP_HEIGHTS.map((hh) => (
+                      <option key={hh} value={hh}>
+                        {hh}p
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div style={{ display: "flex", gap: 16, alignItems: "center", flexWrap: "wrap" }}>
+                  <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                    {t("clip.framesPerStep")}
+                    <input
+                      type="number"
+                      min="1"
+                      max="30"
+                      value={clip.framesPerStep}
+                      onChange={(e) =>
+                        updateClip({
+                          framesPerStep: clamp(parseInt(e.target.value || "12", 10), 1, 30),
+                        })
+                      }
+                      style={{ width: 70 }}
+                    />
+                  </label>
+                  <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                    {t("clip.stepSec")}
+                    <input
+                      type="number"
+                      min="0.2"
+                      max="10"
+                      step="0.1"
+                      value={clip.stepSec}
+                      onChange={(e) =>
+                        updateClip({ stepSec: clamp(parseFloat(e.target.value || "1"), 0.2, 10) })
+                      }
+                      style={{ width: 70 }}
+                    />
+                  </label>
+                  <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                    {t("clip.hud")}
+                    <input
+                      type="checkbox"
+                      checked={clip.hud}
+                      onChange={(e) => updateClip({ hud: e.target.checked })}
+                    />
+                  </label>
+                  <button onClick={onExportClip} disabled={clipProgress !== null}>
+                    {clipProgress === null
+                      ? t("clip.create")
+                      : t("clip.recording", { percent: Math.round(clipProgress * 100) })}
+                  </button>
+                </div>
+                {clip.format === "webm" && (
+                  <span style={{ color: "#888" }}>
+                    {t("clip.realtime")}
+                  </span>
+                )}
+                {clipError && <span style={{ color: "#f88" }}>{clipError}</span>}
+              </section>
+            )}
+
+            {files.length > 0 && (
+              <section style={{ display: "grid", gap: 12 }}>
+                <strong>{t("print.title")}</strong>
+                <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
+                  <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                    {t("config.steps")}
+                    <input
+                      type="text"
+                      placeholder={t("print.stepsPlaceholder")}
+                      value={printOpts.steps}
+                      onChange={(e) => updatePrint({ steps: e.target.value })}
+                      style={{ width: 120 }}
+                    />
+                  </label>
+                  <select
+                    value={printOpts.format}
+                    aria-label={t("clip.format")}
+                    onChange={(e) => updatePrint({ format: e.target.value })}
+                  >
+                    {PRINT_FORMATS.map((o) => (
+                      <option key={o.value} value={o.value}>
+                        {localized(o.label)}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={printOpts.height}
+                    aria-label={t("clip.height")}
+                    onChange={(e) => updatePrint({ height: parseInt(e.target.value, 10) })}
+                  >
+                    {[400, 600, 900].map((hh) => (
+                      <option key={hh} value={hh}>
+                        {hh} px
+                      </option>
+                    ))}
+                  </select>
+                  <button onClick={onExportPrint} disabled={printBusy}>
+                    {printBusy ? t("print.busy") : t("pack.export")}
+                  </button>
+                </div>
+                <span style={{ color: "#888" }}>
+                  {t("print.help")}
+                </span>
+                {printError && <span style={{ color: "#f88" }}>{printError}</span>}
+              </section>
+            )}
+
             <section style={{ display: "grid", gap: 12 }}>
-              <strong>Teams</strong>
-              <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
-                <button onClick={addTeam}>+ Team</button>
-                <button onClick={resetScores}>Punkte löschen</button>
+              <strong>{t("scoring.title")}</strong>
+              <div style={{ display: "flex", gap: 16, alignItems: "center", flexWrap: "wrap" }}>
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {t("scoring.max")}
+                  <input
+                    type="number"
+                    min="1"
+                    key={scoring.maxPoints}
+                    {...scoringInput("maxPoints")}
+                    style={{ width: 70 }}
+                  />
+                </label>
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {t("scoring.min")}
+                  <input
+                    type="number"
+                    min="0"
+                    key={scoring.minPoints}
+                    {...scoringInput("minPoints")}
+                    style={{ width: 70 }}
+                  />
+                </label>
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {t("scoring.curve")}
+                  <select
+                    value={scoring.curve}
+                    onChange={(e) => updateScoring({ curve: e.target.value })}
+                  >
+                    {SCORING_CURVES.map((c) => (
+                      <option key={c.value} value={c.value}>
+                        {localized(c.label)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {scoring.curve === "tiers" && (
+                  <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                    {t("scoring.tiers")}
+                    <input
+                      type="number"
+                      min="2"
+                      max="10"
+                      key={scoring.tierCount}
+                      {...scoringInput("tierCount")}
+                      style={{ width: 70 }}
+                    />
+                  </label>
+                )}
               </div>
+              <div style={{ display: "flex", gap: 16, alignItems: "center", flexWrap: "wrap" }}>
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {t("scoring.earlyBonus")}
+                  <input
+                    type="number"
+                    min="0"
+                    key={scoring.earlyBonus}
+                    {...scoringInput("earlyBonus")}
+                    style={{ width: 70 }}
+                  />
+                  {t("scoring.beforeStep")}
+                  <input
+                    type="number"
+                    min="1"
+                    key={scoring.earlyBonusStep}
+                    {...scoringInput("earlyBonusStep")}
+                    aria-label={t("scoring.beforeStep")}
+                    style={{ width: 70 }}
+                  />
+                </label>
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {t("scoring.streakBonus")}
+                  <input
+                    type="number"
+                    min="0"
+                    max="500"
+                    step="10"
+                    key={scoring.streakBonus}
+                    {...scoringInput("streakBonus", 100)}
+                    style={{ width: 70 }}
+                  />
+                  {t("scoring.streakCap")}
+                  <input
+                    type="number"
+                    min="1"
+                    max="20"
+                    key={scoring.streakCap}
+                    {...scoringInput("streakCap")}
+                    aria-label={t("scoring.streakCap")}
+                    style={{ width: 70 }}
+                  />
+                </label>
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {t("scoring.wrongPoints")}
+                  <input
+                    type="number"
+                    min="0"
+                    key={scoring.wrongPoints}
+                    {...scoringInput("wrongPoints")}
+                    style={{ width: 70 }}
+                  />
+                </label>
+              </div>
+              <span style={{ color: "#888" }}>
+                {t("scoring.preview")}{" "}
+                {Array.from({ length: baseStepsTotal + 1 }, (_, i) =>
+                  pointsForStep(i, baseStepsTotal, scoring)
+                ).join(" · ")}
+              </span>
+            </section>
+
+            <section style={{ display: "grid", gap: 12 }}>
+              <strong>{t("teams.title")}</strong>
               <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
-                {teams.map((t) => (
+                <button onClick={addTeam}>{t("teams.add")}</button>
+                <button onClick={resetScores}>{t("teams.resetScores")}</button>
+              </div>
+              <div style={{ display: "grid", gap: 6 }}>
+                {teams.map((team, i) => (
                   <div
-                    key={t.name}
+                    key={team.id}
                     style={{
-                      padding: "8px 12px",
+                      display: "flex",
+                      gap: 8,
+                      alignItems: "center",
+                      flexWrap: "wrap",
+                      padding: "6px 10px",
                       background: "#151515",
+                      borderLeft: `4px solid ${team.color}`,
                       borderRadius: 8,
                     }}
                   >
-                    <b>{t.name}</b>: {t.score}
+                    <input
+                      type="color"
+                      value={team.color}
+                      onChange={(e) => updateTeam(i, { color: e.target.value })}
+                      title={t("teams.color")}
+                      aria-label={forItem(t("teams.color"), team.name)}
+                    />
+                    <input
+                      type="text"
+                      value={team.name}
+                      maxLength={30}
+                      onChange={(e) => updateTeam(i, { name: e.target.value })}
+                      aria-label={t("a11y.teamName", { n: i + 1 })}
+                      style={{ width: 140 }}
+                    />
+                    <label style={{ color: "#bbb" }}>
+                      {t("teams.key")}{" "}
+                      <input
+                        type="text"
+                        value={keyName(team.hotkey)}
+                        readOnly
+                        onKeyDown={(e) => {
+                          if (isModifierKey(e.key)) return;
+                          e.preventDefault();
+                          setHotkey(i, e.key === "Delete" ? "" : eventKey(e));
+                        }}
+                        style={{ width: 64, textAlign: "center" }}
+                        title={t("teams.pressKey")}
+                      />
+                    </label>
+                    {buzzerMode && (
+                      <label style={{ color: "#bbb" }}>
+                        {t("teams.buzzer")}{" "}
+                        <input
+                          type="text"
+                          value={keyName(team.buzzKey)}
+                          readOnly
+                          onKeyDown={(e) => {
+                            if (isModifierKey(e.key)) return;
+                            e.preventDefault();
+                            setBuzzKey(i, e.key === "Delete" ? "" : eventKey(e));
+                          }}
+                          style={{ width: 64, textAlign: "center" }}
+                          title={t("teams.pressKey")}
+                        />
+                      </label>
+                    )}
+                    <input
+                      type="text"
+                      placeholder={t("teams.players")}
+                      aria-label={forItem(t("teams.players"), team.name)}
+                      value={team.players.join(", ")}
+                      onChange={(e) =>
+                        updateTeam(i, { players: e.target.value.split(",").map((x) => x.trimStart()) })
+                      }
+                      style={{ flex: 1, minWidth: 160 }}
+                    />
+                    <span style={{ minWidth: 60 }}>{t("teams.score", { score: team.score })}</span>
+                    <button
+                      onClick={() => moveTeam(i, -1)}
+                      disabled={i === 0}
+                      title={t("teams.up")}
+                      aria-label={forItem(t("teams.up"), team.name)}
+                    >
+                      ▲
+                    </button>
+                    <button
+                      onClick={() => moveTeam(i, 1)}
+                      disabled={i === teams.length - 1}
+                      title={t("teams.down")}
+                      aria-label={forItem(t("teams.down"), team.name)}
+                    >
+                      ▼
+                    </button>
+                    <button
+                      onClick={() => removeTeam(i)}
+                      disabled={teams.length <= 1}
+                      title={t("teams.remove")}
+                      aria-label={forItem(t("teams.remove"), team.name)}
+                    >
+                      ✕
+                    </button>
                   </div>
                 ))}
               </div>
               <span style={{ color: "#888" }}>
-                Punkte werden im Spielmodus vergeben (Taste A/B/…).
+                {t("teams.help")}
               </span>
+              <div style={{ display: "flex", gap: 16, alignItems: "center", flexWrap: "wrap" }}>
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {t("teams.buzzerMode")}
+                  <input
+                    type="checkbox"
+                    checked={buzzerMode}
+                    onChange={(e) => setBuzzerMode(e.target.checked)}
+                  />
+                </label>
+              </div>
+              {buzzerMode && (
+                <span style={{ color: "#888" }}>
+                  {t("teams.buzzerHelp", judgeKeyNames())}
+                </span>
+              )}
+              {teamKeyError && <span style={{ color: "#f88" }}>{teamKeyError}</span>}
+            </section>
+
+            <section style={{ display: "grid", gap: 12 }}>
+              <strong>{t("bindings.title")}</strong>
+              <KeyBindingsEditor
+                bindings={keyBindings}
+                onChange={changeKeyBindings}
+                teams={teams}
+                buzzerMode={buzzerMode}
+                onTeamChange={updateTeam}
+              />
+            </section>
+
+            <section style={{ display: "grid", gap: 12 }}>
+              <strong>{t("remote.title")}</strong>
+              <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {t("remote.enable")}
+                  <input
+                    type="checkbox"
+                    checked={remoteEnabled}
+                    onChange={(e) => setRemoteEnabled(e.target.checked)}
+                    disabled={!remoteEnabled && !isRemoteUrl(remoteUrl)}
+                  />
+                </label>
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  {t("remote.server")}
+                  <input
+                    type="text"
+                    value={remoteUrl}
+                    onChange={(e) => setRemoteUrl(e.target.value)}
+                    disabled={remoteEnabled}
+                    style={{ width: 220 }}
+                  />
+                </label>
+                {remoteEnabled && (
+                  <span style={{ color: remoteStatus === "open" ? "#8f8" : "#f88" }}>
+                    {remoteStatus === "open"
+                      ? t("remote.connected")
+                      : remoteStatus === "error"
+                        ? t("remote.invalidUrl")
+                        : t("remote.disconnected")}
+                  </span>
+                )}
+                {!remoteEnabled && !isRemoteUrl(remoteUrl) && (
+                  <span style={{ color: "#f88" }}>{t("remote.invalidUrl")}</span>
+                )}
+              </div>
+              {remoteEnabled && remoteRoom && (
+                <div style={{ display: "flex", gap: 16, alignItems: "center", flexWrap: "wrap" }}>
+                  {joinQr && <img src={joinQr} alt={t("remote.qrAlt")} width={160} height={160} />}
+                  <div style={{ display: "grid", gap: 6 }}>
+                    <span>
+                      {t("remote.roomCode")}{" "}
+                      <b style={{ fontSize: 22, letterSpacing: 2 }}>{remoteRoom.code}</b>
+                    </span>
+                    {remoteRoomLost && (
+                      <span style={{ color: "#f88" }}>{t("remote.roomLost")}</span>
+                    )}
+                    {joinUrls.map((u) => (
+                      <code key={u} style={{ color: "#bbb" }}>
+                        {u}
+                      </code>
+                    ))}
+                    <span style={{ color: "#bbb" }}>
+                      {t("remote.playersConnected", { count: remotePlayers.length })}
+                      {remotePlayers.length > 0 &&
+                        `: ${remotePlayers
+                          .map((p) => {
+                            const team = teams.find((x) => x.id === p.team);
+                            return `${p.name || "?"} (${team?.name ?? "–"})`;
+                          })
+                          .join(", ")}`}
+                    </span>
+                  </div>
+                </div>
+              )}
+              {!remoteEnabled && (
+                <span style={{ color: "#888" }}>
+                  {t("remote.help")}
+                </span>
+              )}
             </section>
 
             <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
-              <button onClick={() => setIsGameActive(true)} disabled={!canStart}>
-                Spiel starten
+              <button onClick={startGame} disabled={!canStart}>
+                {t("setup.start")}
               </button>
-              {!canStart && <span style={{ color: "#888" }}>Bitte erst Bilder laden.</span>}
+              {history.past.length > 0 && phase !== "end" && (
+                <button onClick={() => setIsGameActive(true)}>{t("setup.backToGame")}</button>
+              )}
+              {!canStart && (
+                <span style={{ color: "#888" }}>
+                  {files.length ? t("setup.allUsed") : t("setup.noImages")}
+                </span>
+              )}
             </div>
           </div>
         </main>
@@ -618,7 +2707,17 @@ export default function App() {
   }
 
   return (
-    <div style={{ height: "100vh", display: "grid", gridTemplateRows: "auto 1fr" }}>
+    <div
+      ref={gameViewRef}
+      tabIndex={-1}
+      style={{ height: "100vh", display: "grid", gridTemplateRows: "auto 1fr", outline: "none" }}
+    >
+      <div aria-live="polite" aria-atomic="true" style={srOnly}>
+        {announcement}
+      </div>
+      <div aria-live="polite" aria-atomic="true" style={srOnly}>
+        {scoreAnnouncement}
+      </div>
       <header
         style={{
           display: "flex",
@@ -633,25 +2732,182 @@ export default function App() {
       >
         <strong>Dalli Klick Modern</strong>
 
-        <button onClick={prevStep}>◀ Schritt</button>
-        <button onClick={nextStep}>Schritt ▶ (Space)</button>
-        <button onClick={nextImage}>Nächstes Bild (N)</button>
-        <button onClick={resetRound}>Runde reset (R)</button>
+        {/* with a presenter window open, this is the audience view: no controls */}
+        {!presenter.open && (
+          <>
+            {phase === "play" ? (
+              <>
+                <button onClick={prevStep}>
+                  {t("game.prevStep", { key: actionKeyName("prevStep") })}
+                </button>
+                <button onClick={nextStep}>
+                  {t("game.nextStep", { key: actionKeyName("nextStep") })}
+                </button>
+                <button onClick={skipImage}>
+                  {t("game.nextImage", { key: actionKeyName("nextImage") })}
+                </button>
+                <button onClick={restartRound}>
+                  {t("game.resetRound", { key: actionKeyName("resetRound") })}
+                </button>
+                <button onClick={toggleAutoPlay}>
+                  {t(autoPlay ? "game.pause" : "game.auto", {
+                    key: actionKeyName("toggleAutoPlay"),
+                  })}
+                </button>
+              </>
+            ) : (
+              phase !== "end" && (
+                <button onClick={advancePhase}>
+                  {t("game.continue", { key: actionKeyName("nextStep") })}
+                </button>
+              )
+            )}
+            <button
+              onClick={undo}
+              disabled={!canUndo}
+              title={
+                canUndo
+                  ? `${localized(EVENT_LABELS[history.past.at(-1).type])} (${actionKeyName("undo")})`
+                  : actionKeyName("undo")
+              }
+            >
+              {t("game.undo")}
+            </button>
+            <button
+              onClick={redo}
+              disabled={!canRedo}
+              title={
+                canRedo
+                  ? `${localized(EVENT_LABELS[history.future[0].type])} (${actionKeyName("redo")})`
+                  : actionKeyName("redo")
+              }
+            >
+              {t("game.redo")}
+            </button>
+            <button onClick={toggleScoreboard}>
+              {t("game.scoreboard", { key: actionKeyName("toggleScoreboard") })}
+            </button>
+            <button onClick={openPresenterWindow}>{t("game.presenter")}</button>
+            <button onClick={() => setIsGameActive(false)}>{t("results.title")}</button>
+            {buzz && (
+              <>
+                <button onClick={judgeCorrect}>
+                  {t("game.correct", { key: actionKeyName("judgeCorrect") })}
+                </button>
+                <button onClick={judgeWrong}>
+                  {t("game.wrong", { key: actionKeyName("judgeWrong") })}
+                </button>
+              </>
+            )}
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                submitAnswer(answerTeam, answerText);
+                setAnswerText("");
+              }}
+              style={{ display: "flex", gap: 6, alignItems: "center" }}
+            >
+              <select
+                value={answerTeam}
+                aria-label={t("a11y.answerTeam")}
+                onChange={(e) => setAnswerTeam(parseInt(e.target.value, 10))}
+              >
+                {teams.map((team, i) => (
+                  <option key={team.id} value={i}>
+                    {t("team.name", { name: team.name })}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="text"
+                placeholder={t("pack.answer")}
+                aria-label={t("pack.answer")}
+                value={answerText}
+                onChange={(e) => setAnswerText(e.target.value)}
+                style={{ width: 160 }}
+              />
+              <button type="submit">{t("game.check")}</button>
+            </form>
+            {lastVerdict && (
+              <span style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                <span style={{ color: verdictColor(lastVerdict.verdict) }}>
+                  {teams[lastVerdict.team]?.name}: {t("game.quote", { text: lastVerdict.text })}{" "}
+                  {verdictLabel(lastVerdict.verdict)}
+                </span>
+                <button
+                  onClick={() => overrideVerdict(lastVerdict.id, "correct")}
+                  aria-label={t("a11y.markCorrect")}
+                >
+                  ✔
+                </button>
+                <button
+                  onClick={() => overrideVerdict(lastVerdict.id, "wrong")}
+                  aria-label={t("a11y.markWrong")}
+                >
+                  ✘
+                </button>
+              </span>
+            )}
+          </>
+        )}
+        {plan.length > 1 && (
+          <span style={{ color: "#aaa" }}>
+            {t("game.round", { n: roundIdx + 1, total: plan.length })}
+            {phase === "play" &&
+              ` · ${t("game.image", {
+                n: round.images.indexOf(current) + 1,
+                total: round.images.length,
+              })}`}
+          </span>
+        )}
+        {fullscreenRefused && (
+          <span role="status" style={{ color: "#ffd54a" }}>
+            {t("game.fullscreenRefused", { key: actionKeyName("fullscreen") })}
+          </span>
+        )}
+        {phase === "play" && category && (
+          <span style={{ color: "#aaa" }}>{t("game.category", { category })}</span>
+        )}
+        {remoteRoom && (
+          <span style={{ color: "#aaa" }}>
+            {t("game.room", { code: remoteRoom.code, count: remotePlayers.length })}
+            {remoteAnswers.length > 0 &&
+              ` · ${t("game.answers", { count: remoteAnswers.length })}`}
+          </span>
+        )}
 
         <div style={{ marginLeft: "auto", display: "flex", gap: 10, alignItems: "center" }}>
-          {teams.map((t, i) => (
-            <div key={t.name} style={{ padding: "6px 10px", background: "#151515", borderRadius: 8 }}>
-              <b>{t.name}</b>: {t.score}{" "}
-              <button onClick={() => awardTeam(i)} style={{ marginLeft: 8 }}>
-                + (Taste {t.name})
-              </button>
+          {teams.map((team, i) => (
+            <div
+              key={team.id}
+              title={team.players.filter(Boolean).join(", ")}
+              style={{
+                padding: "6px 10px",
+                background: buzz?.team === i ? "#4a3c00" : "#151515",
+                borderLeft: `4px solid ${team.color}`,
+                borderRadius: 8,
+                opacity: lockedTeams.includes(i) ? 0.45 : 1,
+              }}
+            >
+              <b style={{ color: team.color }}>{team.name}</b>: {team.score}{" "}
+              {!presenter.open && phase === "play" && (
+                <button onClick={() => awardTeam(i)} style={{ marginLeft: 8 }}>
+                  +{pointsFor(i)}
+                  {team.hotkey && ` (${t("game.teamKey", { key: keyName(team.hotkey) })})`}
+                </button>
+              )}
             </div>
           ))}
         </div>
       </header>
 
       <div style={{ position: "relative", background: "#111" }}>
-        <canvas ref={canvasRef} style={{ width: "100%", height: "100%", display: "block" }} />
+        <canvas
+          ref={canvasRef}
+          role="img"
+          aria-label={announcement}
+          style={{ width: "100%", height: "100%", display: "block" }}
+        />
       </div>
     </div>
   );
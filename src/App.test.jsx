@@ -0,0 +1,232 @@
+// @vitest-environment jsdom
+import React, { StrictMode, act } from "react";
+import { createRoot } from "react-dom/client";
+import { renderToString } from "react-dom/server";
+import { afterEach, expect, it, vi } from "vitest";
+import App from "./App.jsx";
+import Presenter from "./Presenter.jsx";
+import { t } from "./i18n.js";
+import { downloadBlob } from "./quizPack.js";
+import { loadImages } from "./session.js";
+
+vi.mock("./quizPack.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  downloadBlob: vi.fn(),
+}));
+vi.mock("./session.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadImages: vi.fn(),
+}));
+
+// Smoke checks: the setup screen and the presenter window render and mount
+// without throwing. A played game is checked through the buttons, with a
+// canvas that draws nothing.
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+let root = null;
+afterEach(() => {
+  act(() => root?.unmount());
+  root = null;
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+  localStorage.clear();
+});
+
+const mount = (element) => {
+  const container = document.createElement("div");
+  root = createRoot(container);
+  act(() => root.render(<StrictMode>{element}</StrictMode>));
+  return container;
+};
+
+it("renders the setup screen", () => {
+  expect(renderToString(<App />)).toContain("<h1");
+});
+
+it("mounts the setup screen with its effects", () => {
+  expect(mount(<App />).querySelector("h1")).not.toBeNull();
+});
+
+it("mounts the presenter window", () => {
+  expect(() => mount(<Presenter />)).not.toThrow();
+});
+
+// 2D context whose calls do nothing; jsdom has no canvas
+const fakeContext = () => {
+  const ctx = new Proxy(
+    { measureText: () => ({ width: 0 }) },
+    { get: (target, prop) => (prop in target ? target[prop] : () => ctx) }
+  );
+  return ctx;
+};
+
+const buttonText = (container, text) =>
+  [...container.querySelectorAll("button")].find((b) => b.textContent.includes(text));
+const click = (button) => act(() => button.click());
+
+// App with stand-ins for what jsdom lacks, and three images picked
+function mountWithImages() {
+  vi.spyOn(HTMLCanvasElement.prototype, "getContext").mockImplementation((type) =>
+    type === "2d" ? fakeContext() : null
+  );
+  URL.createObjectURL ??= () => "";
+  URL.revokeObjectURL ??= () => {};
+  let urls = 0;
+  vi.spyOn(URL, "createObjectURL").mockImplementation(() => `blob:image${++urls}`);
+  vi.spyOn(URL, "revokeObjectURL").mockImplementation(() => {});
+  vi.stubGlobal(
+    "ResizeObserver",
+    class {
+      observe() {}
+      disconnect() {}
+    }
+  );
+
+  const container = mount(<App />);
+  const picker = container.querySelector('input[type="file"][accept="image/*"]');
+  const images = ["a.jpg", "b.jpg", "c.jpg"].map((name) => new File(["x"], name));
+  Object.defineProperty(picker, "files", { value: images, configurable: true });
+  act(() => picker.dispatchEvent(new Event("change", { bubbles: true })));
+  return container;
+}
+
+// team boxes in the header: "<name>: <score> +<points>"
+const teamBox = (container, i) => container.querySelectorAll("header b")[i].parentElement;
+const teamScore = (container, i) =>
+  Number(teamBox(container, i).textContent.match(/: (-?\d+)/)[1]);
+
+// the host's answer form in the game header
+function typeAnswer(container, team, text) {
+  const answer = container.querySelector(`input[aria-label="${t("pack.answer")}"]`);
+  const select = container.querySelector("header select");
+  const setValue = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, "value").set;
+  act(() => {
+    select.value = String(team);
+    select.dispatchEvent(new Event("change", { bubbles: true }));
+    setValue.call(answer, text);
+    answer.dispatchEvent(new Event("input", { bubbles: true }));
+  });
+  act(() => answer.form.requestSubmit());
+}
+
+it("forgets the saved session when all images are removed", () => {
+  const container = mountWithImages();
+  expect(JSON.parse(localStorage.getItem("dalliklick.session")).imageCount).toBe(3);
+  click(buttonText(container, t("library.removeAll")));
+  expect(localStorage.getItem("dalliklick.session")).toBe(null);
+});
+
+it("undoes and redoes awards, skips and corrections and exports the results", async () => {
+  const container = mountWithImages();
+  click(buttonText(container, t("setup.start")));
+
+  const score = (i) => teamScore(container, i);
+
+  // image 1 to team 1
+  click(teamBox(container, 0).querySelector("button"));
+  // image 2: a typed answer without a stored solution, marked correct by the host
+  typeAnswer(container, 1, "Eiffelturm");
+  click(container.querySelector(`button[aria-label="${t("a11y.markCorrect")}"]`));
+  expect([score(0), score(1)]).toEqual([20, 20]);
+  // image 3: the correction of the closed image 2 takes its points back, then a skip
+  click(container.querySelector(`button[aria-label="${t("a11y.markWrong")}"]`));
+  expect([score(0), score(1)]).toEqual([20, 0]);
+  click(buttonText(container, t("game.nextImage", { key: "" }).split("(")[0]));
+
+  click(buttonText(container, t("game.undo")));
+  click(buttonText(container, t("game.undo")));
+  expect([score(0), score(1)]).toEqual([20, 20]);
+  click(buttonText(container, t("game.redo")));
+  expect([score(0), score(1)]).toEqual([20, 0]);
+  click(buttonText(container, t("game.redo")));
+  expect(buttonText(container, t("game.redo")).disabled).toBe(true);
+
+  click(buttonText(container, t("results.title")));
+  click(buttonText(container, t("results.exportJson")));
+  const json = JSON.parse(await downloadBlob.mock.lastCall[0].text());
+  expect(json.teams.map((team) => team.score)).toEqual([20, 0]);
+  expect(json.events.map((e) => e.type)).toEqual(["award", "award", "override", "skip"]);
+  expect(json.results.map((r) => [r.imageName, r.winner, r.points, r.outcome])).toEqual([
+    ["a.jpg", "A", 20, t("results.solved")],
+    ["b.jpg", "B", 0, t("results.solved")],
+    ["c.jpg", "", 0, t("results.skipped")],
+  ]);
+
+  click(buttonText(container, t("results.exportCsv")));
+  const csv = (await downloadBlob.mock.lastCall[0].text()).split("\n");
+  expect(downloadBlob.mock.lastCall[1]).toMatch(/\.csv$/);
+  expect(csv).toHaveLength(4);
+  expect(csv[1].split(";").slice(2, 6)).toEqual(["a.jpg", t("results.solved"), "A", "20"]);
+});
+
+it("locks a team out when its answer on the current image is marked wrong", () => {
+  const container = mountWithImages();
+  click(buttonText(container, t("setup.start")));
+  typeAnswer(container, 0, "Eiffelturm");
+  expect(teamBox(container, 0).style.opacity).toBe("1");
+  click(container.querySelector(`button[aria-label="${t("a11y.markWrong")}"]`));
+  expect(teamBox(container, 0).style.opacity).toBe("0.45");
+  expect(teamBox(container, 1).style.opacity).toBe("1");
+});
+
+it("reads a scoring field when it is left, keeping the other fields as they are", () => {
+  const container = mountWithImages();
+  const field = (label) =>
+    [...container.querySelectorAll("label")]
+      .find((l) => l.textContent.startsWith(label))
+      .querySelector("input");
+  const setValue = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, "value").set;
+  const type = (input, text) =>
+    act(() => {
+      setValue.call(input, text);
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+    });
+  const leave = (input) =>
+    act(() => input.dispatchEvent(new FocusEvent("focusout", { bubbles: true })));
+  const saved = () => JSON.parse(localStorage.getItem("dalliklick.session")).settings.scoring;
+
+  type(field(t("scoring.min")), "10");
+  leave(field(t("scoring.min")));
+  // on the way to 50, max is 5 for a moment; min must not follow it
+  type(field(t("scoring.max")), "5");
+  type(field(t("scoring.max")), "");
+  type(field(t("scoring.max")), "50");
+  expect(saved()).toMatchObject({ maxPoints: 20, minPoints: 10 });
+  leave(field(t("scoring.max")));
+  expect(saved()).toMatchObject({ maxPoints: 50, minPoints: 10 });
+
+  // an emptied field keeps its value, one out of range is clamped
+  type(field(t("scoring.max")), "");
+  leave(field(t("scoring.max")));
+  type(field(t("scoring.min")), "80");
+  leave(field(t("scoring.min")));
+  expect(saved()).toMatchObject({ maxPoints: 50, minPoints: 50 });
+  expect(field(t("scoring.max")).value).toBe("50");
+  expect(field(t("scoring.min")).value).toBe("50");
+});
+
+it("resumes the winning streak and the locked out teams of a saved game", async () => {
+  let container = mountWithImages();
+  click(buttonText(container, t("setup.start")));
+  click(teamBox(container, 0).querySelector("button"));
+  typeAnswer(container, 1, "Eiffelturm");
+  click(container.querySelector(`button[aria-label="${t("a11y.markWrong")}"]`));
+  const saved = () => JSON.parse(localStorage.getItem("dalliklick.session"));
+  expect(saved()).toMatchObject({ streak: { team: 0, wins: 1 }, lockedTeams: [1] });
+
+  // indices from an older or edited save that name no team are dropped
+  localStorage.setItem(
+    "dalliklick.session",
+    JSON.stringify({ ...saved(), lockedTeams: [1, 1, 7, "0"] })
+  );
+  act(() => root.unmount());
+  loadImages.mockResolvedValue(
+    ["a.jpg", "b.jpg", "c.jpg"].map((name, id) => ({ id, name, blob: new Blob(["x"]) }))
+  );
+  container = mount(<App />);
+  await act(() => buttonText(container, t("setup.resume")).click());
+  expect(teamBox(container, 0).style.opacity).toBe("1");
+  expect(teamBox(container, 1).style.opacity).toBe("0.45");
+  expect(saved()).toMatchObject({ streak: { team: 0, wins: 1 }, lockedTeams: [1] });
+});
@@ -0,0 +1,122 @@
+import React, { useState } from "react";
+import {
+  BUILTIN_PRESETS,
+  CHANNEL_MODES,
+  EFFECTS,
+  FADE_CURVES,
+  loadEffectPresets,
+  readEffects,
+  saveEffectPresets,
+} from "./effects.js";
+import { localized, t } from "./i18n.js";
+
+const sameStack = (a, b) => JSON.stringify(readEffects(a)) === JSON.stringify(readEffects(b));
+
+// Strength and fade curve per distortion effect, plus presets: the built-in
+// ones and the host's own (kept in localStorage across games).
+export default function EffectStackEditor({ effects, onChange }) {
+  const [ownPresets, setOwnPresets] = useState(loadEffectPresets);
+  const [presetName, setPresetName] = useState("");
+
+  const presets = [
+    ...BUILTIN_PRESETS.map((p, i) => ({ ...p, key: `builtin:${i}` })),
+    ...ownPresets.map((p) => ({ ...p, key: `own:${p.name}`, own: true })),
+  ];
+  const selected = presets.find((p) => sameStack(p.effects, effects));
+
+  const updateEffect = (id, patch) =>
+    onChange(readEffects({ ...effects, [id]: { ...effects[id], ...patch } }));
+
+  const storePresets = (next) => {
+    setOwnPresets(next);
+    saveEffectPresets(next);
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    storePresets([...ownPresets.filter((p) => p.name !== name), { name, effects }]);
+    setPresetName("");
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <strong>{t("effects.title")}</strong>
+        <select
+          value={selected?.key || ""}
+          aria-label={t("effects.preset")}
+          onChange={(e) => {
+            const preset = presets.find((p) => p.key === e.target.value);
+            if (preset) onChange(readEffects(preset.effects));
+          }}
+        >
+          <option value="">{t("effects.custom")}</option>
+          {presets.map((p) => (
+            <option key={p.key} value={p.key}>
+              {p.own ? `★ ${p.name}` : localized(p.name)}
+            </option>
+          ))}
+        </select>
+        {selected?.own && (
+          <button onClick={() => storePresets(ownPresets.filter((p) => p.name !== selected.name))}>
+            {t("effects.deletePreset")}
+          </button>
+        )}
+        <input
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder={t("effects.presetName")}
+          style={{ width: 160 }}
+        />
+        <button onClick={savePreset} disabled={!presetName.trim()}>
+          {t("effects.savePreset")}
+        </button>
+      </div>
+
+      {EFFECTS.map(({ id, label }) => (
+        <div key={id} style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+          <span style={{ minWidth: 140 }}>{localized(label)}</span>
+          <input
+            type="range"
+            min="0"
+            max="10"
+            aria-label={localized(label)}
+            value={effects[id].strength}
+            onChange={(e) => updateEffect(id, { strength: parseInt(e.target.value, 10) })}
+          />
+          <span style={{ width: 20 }}>{effects[id].strength}</span>
+          <select
+            value={effects[id].curve}
+            aria-label={t("a11y.forItem", { field: t("effects.curve"), item: localized(label) })}
+            disabled={!effects[id].strength}
+            onChange={(e) => updateEffect(id, { curve: e.target.value })}
+          >
+            {FADE_CURVES.map((c) => (
+              <option key={c.value} value={c.value}>
+                {localized(c.label)}
+              </option>
+            ))}
+          </select>
+          {id === "channels" && (
+            <select
+              value={effects.channels.mode}
+              aria-label={t("a11y.forItem", {
+                field: t("effects.channelMode"),
+                item: localized(label),
+              })}
+              disabled={!effects.channels.strength}
+              onChange={(e) => updateEffect(id, { mode: e.target.value })}
+            >
+              {CHANNEL_MODES.map((m) => (
+                <option key={m.value} value={m.value}>
+                  {localized(m.label)}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
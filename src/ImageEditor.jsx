@@ -0,0 +1,226 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  DEFAULT_EDIT,
+  FIT_MODES,
+  IMAGE_FILTERS,
+  ROTATIONS,
+  cropRect,
+  normalizeEdit,
+  prepareImage,
+} from "./imageEdit.js";
+import { localized, t } from "./i18n.js";
+
+const PREVIEW_W = 360;
+const PREVIEW_H = 240;
+// arrow keys move the focus point in 5 % steps
+const FOCUS_KEYS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+const drawInto = (canvas, source) => {
+  if (!canvas) return;
+  canvas.width = source.naturalWidth || source.width;
+  canvas.height = source.naturalHeight || source.height;
+  canvas.getContext("2d").drawImage(source, 0, 0);
+};
+
+// Crop/focus editor for one image: the rotated original with the crop
+// rectangle (click sets the focus point) next to the result as played.
+// aspect is the screen's width / height, used by "cover". Opening it moves the
+// keyboard focus to its close button; Esc closes it.
+export default function ImageEditor({ file, aspect, onChange, onClose }) {
+  const sourceRef = useRef(null);
+  const resultRef = useRef(null);
+  const closeRef = useRef(null);
+  const [image, setImage] = useState(null);
+  const [loadError, setLoadError] = useState(null); // {url, message}
+  const edit = normalizeEdit(file.meta.edit);
+
+  useEffect(() => {
+    let cancelled = false;
+    const el = new Image();
+    el.src = file.url;
+    el.decode()
+      .then(() => !cancelled && setImage(el))
+      .catch(
+        (err) => !cancelled && setLoadError({ url: file.url, message: err.message || String(err) })
+      );
+    return () => {
+      cancelled = true;
+    };
+  }, [file.url]);
+
+  // rotated image size; the overlay only needs its proportions
+  const turned = edit.rotate % 180 !== 0;
+  const sw = (turned ? image?.naturalHeight : image?.naturalWidth) || 1;
+  const sh = (turned ? image?.naturalWidth : image?.naturalHeight) || 1;
+  const crop = cropRect(sw, sh, edit, aspect);
+
+  useEffect(() => {
+    if (!image) return;
+    drawInto(
+      sourceRef.current,
+      prepareImage(image, { rotate: edit.rotate }, { maxW: PREVIEW_W, maxH: PREVIEW_H })
+    );
+    drawInto(
+      resultRef.current,
+      prepareImage(image, edit, { maxW: PREVIEW_W, maxH: PREVIEW_H, aspect })
+    );
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [image, file.meta.edit, aspect]);
+
+  useEffect(() => closeRef.current?.focus(), []);
+
+  const update = (patch) => onChange(normalizeEdit({ ...edit, ...patch }));
+
+  const setFocus = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    update({
+      focusX: (e.clientX - box.left) / box.width,
+      focusY: (e.clientY - box.top) / box.height,
+    });
+  };
+
+  const moveFocus = (e) => {
+    const dir = FOCUS_KEYS[e.key];
+    if (!dir) return;
+    e.preventDefault();
+    update({ focusX: edit.focusX + dir[0] * 0.05, focusY: edit.focusY + dir[1] * 0.05 });
+  };
+
+  return (
+    <section
+      aria-label={t("editor.title", { name: file.name })}
+      onKeyDown={(e) => e.key === "Escape" && onClose()}
+      style={{
+        display: "grid",
+        gap: 12,
+        padding: 12,
+        background: "#121212",
+        border: "1px solid #222",
+        borderRadius: 8,
+      }}
+    >
+      <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+        <strong>{t("editor.title", { name: file.name })}</strong>
+        <button ref={closeRef} onClick={onClose} style={{ marginLeft: "auto" }}>
+          {t("editor.close")}
+        </button>
+      </div>
+      {loadError?.url === file.url && (
+        <span role="alert" style={{ color: "#f88" }}>
+          {t("editor.loadFailed", { error: loadError.message })}
+        </span>
+      )}
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "start" }}>
+        <div style={{ display: "grid", gap: 4 }}>
+          <span style={{ color: "#888" }}>{t("editor.original")}</span>
+          <div
+            role="button"
+            tabIndex={0}
+            aria-label={t("editor.focusPoint")}
+            style={{ position: "relative", width: "fit-content", cursor: "crosshair" }}
+            onClick={setFocus}
+            onKeyDown={moveFocus}
+          >
+            <canvas ref={sourceRef} style={{ display: "block", maxWidth: PREVIEW_W }} />
+            <div
+              style={{
+                position: "absolute",
+                left: `${(crop.x / sw) * 100}%`,
+                top: `${(crop.y / sh) * 100}%`,
+                width: `${(crop.w / sw) * 100}%`,
+                height: `${(crop.h / sh) * 100}%`,
+                border: "2px solid #ffd54a",
+                boxShadow: "0 0 0 9999px rgba(0,0,0,0.45)",
+                pointerEvents: "none",
+              }}
+            />
+            <div
+              style={{
+                position: "absolute",
+                left: `calc(${edit.focusX * 100}% - 5px)`,
+                top: `calc(${edit.focusY * 100}% - 5px)`,
+                width: 10,
+                height: 10,
+                borderRadius: "50%",
+                background: "#ffd54a",
+                pointerEvents: "none",
+              }}
+            />
+          </div>
+        </div>
+        <div style={{ display: "grid", gap: 4 }}>
+          <span style={{ color: "#888" }}>{t("editor.inGame")}</span>
+          <canvas
+            ref={resultRef}
+            role="img"
+            aria-label={t("editor.inGame")}
+            style={{ display: "block", maxWidth: PREVIEW_W }}
+          />
+        </div>
+      </div>
+
+      <div style={{ display: "flex", gap: 16, alignItems: "center", flexWrap: "wrap" }}>
+        <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          {t("editor.zoom")}
+          <input
+            type="range"
+            min="1"
+            max="8"
+            step="0.1"
+            value={edit.zoom}
+            onChange={(e) => update({ zoom: parseFloat(e.target.value) })}
+          />
+          {edit.zoom.toFixed(1)}×
+        </label>
+        <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          {t("editor.fit")}
+          <select value={edit.fit} onChange={(e) => update({ fit: e.target.value })}>
+            {FIT_MODES.map((m) => (
+              <option key={m.value} value={m.value}>
+                {localized(m.label)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          {t("editor.rotate")}
+          <select
+            value={edit.rotate}
+            onChange={(e) => update({ rotate: parseInt(e.target.value, 10) })}
+          >
+            {ROTATIONS.map((deg) => (
+              <option key={deg} value={deg}>
+                {deg}°
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          {t("editor.filter")}
+          <select value={edit.filter} onChange={(e) => update({ filter: e.target.value })}>
+            {IMAGE_FILTERS.map((f) => (
+              <option key={f.value} value={f.value}>
+                {localized(f.label)}
+              </option>
+            ))}
+          </select>
+        </label>
+        {edit.filter === "posterize" && (
+          <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            {t("editor.levels")}
+            <input
+              type="number"
+              min="2"
+              max="8"
+              value={edit.levels}
+              onChange={(e) => update({ levels: parseInt(e.target.value || "4", 10) })}
+              style={{ width: 60 }}
+            />
+          </label>
+        )}
+        <button onClick={() => onChange({ ...DEFAULT_EDIT })}>{t("editor.reset")}</button>
+      </div>
+    </section>
+  );
+}
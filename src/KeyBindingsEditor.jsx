@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from "react";
+import { validateBuzzKey } from "./buzzer.js";
+import { watchGamepads } from "./gamepad.js";
+import { t } from "./i18n.js";
+import {
+  ACTIONS,
+  actionLabel,
+  defaultBindingsFor,
+  eventKey,
+  isModifierKey,
+  keyName,
+  sameKey,
+  validateBinding,
+} from "./keyBindings.js";
+import { validateHotkey } from "./teams.js";
+
+const rowStyle = { display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" };
+
+// Keys per game action plus the teams' award and buzz keys. A slot records
+// the next key, clicker or gamepad button; conflicts are refused with the
+// same messages as in the team editor.
+export default function KeyBindingsEditor({ bindings, onChange, teams, buzzerMode, onTeamChange }) {
+  // { action } or { team, prop: "hotkey" | "buzzKey" }
+  const [recording, setRecording] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!recording) return;
+    const assign = (key) => {
+      let message;
+      if (recording.action) {
+        const { action } = recording;
+        message = validateBinding(key, action, teams, bindings);
+        if (!message && !bindings[action].some((k) => sameKey(k, key))) {
+          onChange({ ...bindings, [action]: [...bindings[action], key] });
+        }
+      } else {
+        const validate = recording.prop === "hotkey" ? validateHotkey : validateBuzzKey;
+        message = validate(key, recording.team, teams);
+        if (!message) onTeamChange(recording.team, { [recording.prop]: key });
+      }
+      setError(message);
+      setRecording(null);
+    };
+    const onKey = (e) => {
+      if (isModifierKey(e.key)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      assign(eventKey(e));
+    };
+    window.addEventListener("keydown", onKey, true);
+    const stopGamepads = watchGamepads(assign);
+    return () => {
+      window.removeEventListener("keydown", onKey, true);
+      stopGamepads();
+    };
+  }, [recording, bindings, teams, onChange, onTeamChange]);
+
+  // team keys stay; defaults that clash with them are left out and reported
+  const resetBindings = () => {
+    const { bindings: defaults, conflicts } = defaultBindingsFor(teams);
+    setRecording(null);
+    setError(conflicts.join(" "));
+    onChange(defaults);
+  };
+
+  const isRecording = (slot) =>
+    !!recording && Object.keys(slot).every((k) => recording[k] === slot[k]);
+
+  const recordButton = (slot, label) =>
+    isRecording(slot) ? (
+      <>
+        <span style={{ color: "#ffd54a" }}>{t("bindings.pressKey")}</span>
+        <button onClick={() => setRecording(null)}>{t("bindings.cancel")}</button>
+      </>
+    ) : (
+      <button
+        onClick={() => {
+          setError("");
+          setRecording(slot);
+        }}
+      >
+        {label}
+      </button>
+    );
+
+  const keyChip = (key, onRemove) => (
+    <button key={key} onClick={onRemove} title={t("bindings.removeKey")}>
+      {keyName(key)} ✕
+    </button>
+  );
+
+  const teamRows = (prop, labelKey) =>
+    teams.map((team, i) => (
+      <div key={`${prop}:${team.id}`} style={rowStyle}>
+        <span style={{ minWidth: 180 }}>{t(labelKey, { team: team.name })}</span>
+        {team[prop] && keyChip(team[prop], () => onTeamChange(i, { [prop]: "" }))}
+        {recordButton({ team: i, prop }, t("bindings.change"))}
+      </div>
+    ));
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      {ACTIONS.map((action) => (
+        <div key={action} style={rowStyle}>
+          <span style={{ minWidth: 180 }}>{actionLabel(action)}</span>
+          {bindings[action].map((key) =>
+            keyChip(key, () =>
+              onChange({ ...bindings, [action]: bindings[action].filter((k) => k !== key) })
+            )
+          )}
+          {recordButton({ action }, t("bindings.addKey"))}
+        </div>
+      ))}
+      {teamRows("hotkey", "bindings.award")}
+      {buzzerMode && teamRows("buzzKey", "bindings.buzz")}
+      <div style={rowStyle}>
+        <button onClick={resetBindings}>{t("bindings.reset")}</button>
+        {error && <span style={{ color: "#f88" }}>{error}</span>}
+      </div>
+      <span style={{ color: "#888" }}>{t("bindings.help")}</span>
+    </div>
+  );
+}
@@ -0,0 +1,402 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { PRESENTER_CHANNEL } from "./presenterChannel.js";
+import { verdictColor, verdictLabel } from "./answerCheck.js";
+import { EVENT_LABELS } from "./history.js";
+import { languageFromStorageEvent, localized, setLanguage, t } from "./i18n.js";
+import { watchGamepads } from "./gamepad.js";
+import {
+  actionKeyName,
+  boundAction,
+  eventKey,
+  keyBindingsFromStorageEvent,
+  isTypingTarget,
+  keyName,
+  setKeyBindings,
+} from "./keyBindings.js";
+
+// Host-only view: answer, notes and controls. The game itself runs in the
+// audience window; everything here is mirrored over a BroadcastChannel.
+export default function Presenter() {
+  const channelRef = useRef(null);
+  const [state, setState] = useState(null);
+  const [answerTeam, setAnswerTeam] = useState(0);
+  const [answerText, setAnswerText] = useState("");
+  const [, setSettingsSeq] = useState(0);
+  const [fullscreenHint, setFullscreenHint] = useState(false);
+
+  // follow language and key binding changes made in the audience window
+  useEffect(() => {
+    const onStorage = (e) => {
+      const lang = languageFromStorageEvent(e);
+      const bindings = keyBindingsFromStorageEvent(e);
+      if (lang) setLanguage(lang);
+      else if (bindings) setKeyBindings(bindings);
+      else return;
+      setSettingsSeq((n) => n + 1);
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  useEffect(() => {
+    const ch = new BroadcastChannel(PRESENTER_CHANNEL);
+    channelRef.current = ch;
+    ch.onmessage = (ev) => {
+      if (ev.data?.type === "state") setState(ev.data.state);
+      else if (ev.data?.type === "ping") ch.postMessage({ type: "hello" });
+    };
+    ch.postMessage({ type: "hello" });
+    const onHide = () => ch.postMessage({ type: "bye" });
+    window.addEventListener("pagehide", onHide);
+    return () => {
+      window.removeEventListener("pagehide", onHide);
+      ch.postMessage({ type: "bye" });
+      ch.close();
+      channelRef.current = null;
+    };
+  }, []);
+
+  // unmasked thumbnail of the current image. Every state message carries a
+  // fresh copy of the blob, so the URL follows the image, not the message.
+  const image = state?.image;
+  const imageKey = image ? `${state.current}:${state.imageName}:${image.size}` : "";
+  const thumbUrl = useMemo(
+    () => (image ? URL.createObjectURL(image) : ""),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [imageKey]
+  );
+  useEffect(() => () => thumbUrl && URL.revokeObjectURL(thumbUrl), [thumbUrl]);
+
+  // forward every shortcut and gamepad press to the audience window, which
+  // stops reading the pad itself while this window is open. Fullscreen is the
+  // exception: browsers only allow it after a key or click in that window.
+  useEffect(() => {
+    const onKey = (e) => {
+      if (isTypingTarget(e.target)) return;
+      const action = boundAction(eventKey(e));
+      // no scrolling on Space, PageDown, arrows, …
+      if (action) e.preventDefault();
+      if (action === "fullscreen") {
+        setFullscreenHint(true);
+        return;
+      }
+      channelRef.current?.postMessage({
+        type: "key",
+        key: e.key,
+        code: e.code,
+        ctrlKey: e.ctrlKey,
+        metaKey: e.metaKey,
+        altKey: e.altKey,
+        shiftKey: e.shiftKey,
+      });
+    };
+    window.addEventListener("keydown", onKey);
+    const stopGamepads = watchGamepads((key) => {
+      if (boundAction(key) === "fullscreen") setFullscreenHint(true);
+      else channelRef.current?.postMessage({ type: "key", key });
+    });
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      stopGamepads();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!fullscreenHint) return;
+    const timer = setTimeout(() => setFullscreenHint(false), 4000);
+    return () => clearTimeout(timer);
+  }, [fullscreenHint]);
+
+  const send = (name, extra = {}) =>
+    channelRef.current?.postMessage({ type: "command", name, ...extra });
+
+  const meta = state?.meta || {};
+
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        width: "100%",
+        background: "#0b0b0b",
+        color: "#fff",
+        display: "grid",
+        gridTemplateRows: "auto 1fr",
+      }}
+    >
+      <header
+        style={{
+          display: "flex",
+          gap: 12,
+          alignItems: "center",
+          padding: 12,
+          background: "#0f0f0f",
+          borderBottom: "1px solid #222",
+          flexWrap: "wrap",
+        }}
+      >
+        <strong>Dalli Klick Modern</strong>
+        <span style={{ color: "#aaa" }}>{t("presenter.title")}</span>
+        {fullscreenHint && (
+          <span role="status" style={{ color: "#ffd54a" }}>
+            {t("presenter.fullscreenHint", { key: actionKeyName("fullscreen") })}
+          </span>
+        )}
+        {state && (
+          <span style={{ color: "#aaa", marginLeft: "auto" }}>
+            {state.round?.total > 1 &&
+              `${t("game.round", { n: state.round.index + 1, total: state.round.total })}${
+                state.round.title ? ` ${t("game.quote", { text: state.round.title })}` : ""
+              } · `}
+            {t("game.image", { n: state.roundImage, total: state.roundImages })}
+            {state.imageName ? ` – ${state.imageName}` : ""}
+          </span>
+        )}
+      </header>
+
+      {!state || !state.isGameActive ? (
+        <main style={{ display: "grid", placeItems: "center", padding: 24, color: "#bbb" }}>
+          {t("presenter.waiting")}
+        </main>
+      ) : state.phase !== "play" ? (
+        <main
+          style={{
+            display: "grid",
+            placeItems: "center",
+            alignContent: "center",
+            gap: 16,
+            padding: 24,
+          }}
+        >
+          <span style={{ color: "#aaa" }}>
+            {state.phase === "title"
+              ? t("presenter.titleCard")
+              : state.phase === "intermission"
+                ? t("presenter.standings")
+                : t("board.gameOver")}
+          </span>
+          <strong style={{ fontSize: 28 }}>
+            {state.round?.title || t("plan.round", { n: (state.round?.index ?? 0) + 1 })}
+          </strong>
+          <div style={{ display: "flex", gap: 12 }}>
+            {state.phase !== "end" && (
+              <button onClick={() => send("advancePhase")}>
+                {t("game.continue", { key: actionKeyName("nextStep") })}
+              </button>
+            )}
+            <button onClick={() => send("undo")} disabled={!state.canUndo}>
+              {t("game.undo")} ({actionKeyName("undo")})
+            </button>
+          </div>
+        </main>
+      ) : (
+        <main
+          style={{
+            display: "grid",
+            gridTemplateColumns: "minmax(240px, 420px) 1fr",
+            gap: 24,
+            padding: 24,
+            alignItems: "start",
+          }}
+        >
+          <div style={{ display: "grid", gap: 12 }}>
+            {thumbUrl && (
+              <img
+                src={thumbUrl}
+                alt={meta.answer || state.imageName}
+                style={{ width: "100%", borderRadius: 8, border: "1px solid #222" }}
+              />
+            )}
+            {state.category && (
+              <span style={{ color: "#aaa" }}>
+                {t("game.category", { category: state.category })}
+              </span>
+            )}
+          </div>
+
+          <div style={{ display: "grid", gap: 20 }}>
+            <section style={{ display: "grid", gap: 6 }}>
+              <span style={{ color: "#888" }}>{t("pack.answer")}</span>
+              <strong style={{ fontSize: 32 }}>{meta.answer || "—"}</strong>
+              {meta.alternatives?.length > 0 && (
+                <span style={{ color: "#bbb" }}>
+                  {t("presenter.alsoCorrect", { list: meta.alternatives.join(", ") })}
+                </span>
+              )}
+              {meta.hint && (
+                <span style={{ color: "#bbb" }}>{t("presenter.hint", { hint: meta.hint })}</span>
+              )}
+            </section>
+
+            <section style={{ display: "flex", gap: 24, alignItems: "baseline" }}>
+              <span>
+                {t("presenter.step")} <b>{state.stepIndex}</b>/{state.stepsTotal}
+              </span>
+              <span>
+                {t("presenter.points")} <b style={{ fontSize: 28 }}>{state.points}</b>
+              </span>
+            </section>
+
+            <section style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+              <button onClick={() => send("prevStep")}>
+                {t("game.prevStep", { key: actionKeyName("prevStep") })}
+              </button>
+              <button onClick={() => send("nextStep")}>
+                {t("game.nextStep", { key: actionKeyName("nextStep") })}
+              </button>
+              <button onClick={() => send("nextImage")}>
+                {t("game.nextImage", { key: actionKeyName("nextImage") })}
+              </button>
+              <button onClick={() => send("resetRound")}>
+                {t("game.resetRound", { key: actionKeyName("resetRound") })}
+              </button>
+              <button onClick={() => send("toggleAutoPlay")}>
+                {t(state.autoPlay ? "game.pause" : "game.auto", {
+                  key: actionKeyName("toggleAutoPlay"),
+                })}
+              </button>
+              <button onClick={() => send("toggleScoreboard")}>
+                {t(state.showScoreboard ? "presenter.backToImage" : "game.scoreboard", {
+                  key: actionKeyName("toggleScoreboard"),
+                })}
+              </button>
+              <button onClick={() => send("undo")} disabled={!state.canUndo}>
+                {t("game.undo")} ({actionKeyName("undo")})
+              </button>
+              <button onClick={() => send("redo")} disabled={!state.canRedo}>
+                {t("game.redo")} ({actionKeyName("redo")})
+              </button>
+            </section>
+
+            {state.buzz && (
+              <section style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
+                <strong style={{ color: "#ffd54a" }}>
+                  {t("presenter.buzzed", { team: state.teams[state.buzz.team]?.name })}
+                </strong>
+                <button onClick={() => send("judgeCorrect")}>
+                  {t("game.correct", { key: actionKeyName("judgeCorrect") })}
+                </button>
+                <button onClick={() => send("judgeWrong")}>
+                  {t("game.wrong", { key: actionKeyName("judgeWrong") })}
+                </button>
+                <button onClick={() => send("cancelBuzz")}>
+                  {t("presenter.cancel", { key: actionKeyName("cancelBuzz") })}
+                </button>
+              </section>
+            )}
+
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                send("answer", { team: answerTeam, text: answerText });
+                setAnswerText("");
+              }}
+              style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}
+            >
+              <select
+                value={answerTeam}
+                aria-label={t("a11y.answerTeam")}
+                onChange={(e) => setAnswerTeam(parseInt(e.target.value, 10))}
+              >
+                {state.teams.map((team, i) => (
+                  <option key={team.id} value={i}>
+                    {t("team.name", { name: team.name })}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="text"
+                placeholder={t("presenter.typedAnswer")}
+                aria-label={t("pack.answer")}
+                value={answerText}
+                onChange={(e) => setAnswerText(e.target.value)}
+              />
+              <button type="submit">{t("game.check")}</button>
+            </form>
+
+            {state.verdicts?.length > 0 && (
+              <section style={{ display: "grid", gap: 4, maxHeight: 220, overflow: "auto" }}>
+                <span style={{ color: "#888" }}>{t("presenter.verdicts")}</span>
+                {state.verdicts
+                  .slice()
+                  .reverse()
+                  .map((v) => (
+                    <span key={v.id} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                      <span style={{ color: verdictColor(v.verdict), minWidth: 80 }}>
+                        {verdictLabel(v.verdict)}
+                      </span>
+                      <span>
+                        <b>{state.teams[v.team]?.name}</b>
+                        {v.player ? ` (${v.player})` : ""}: {t("game.quote", { text: v.text })}{" "}
+                        <span style={{ color: "#888" }}>
+                          –{" "}
+                          {t("presenter.verdictAt", {
+                            image: v.imageName,
+                            step: v.stepIndex,
+                            points: v.points,
+                          })}
+                          {v.auto ? ` ${t("presenter.auto")}` : ""}
+                        </span>
+                      </span>
+                      <button onClick={() => send("overrideVerdict", { id: v.id, verdict: "correct" })}>
+                        ✔
+                      </button>
+                      <button onClick={() => send("overrideVerdict", { id: v.id, verdict: "wrong" })}>
+                        ✘
+                      </button>
+                    </span>
+                  ))}
+              </section>
+            )}
+
+            {state.events?.length > 0 && (
+              <section style={{ display: "grid", gap: 4 }}>
+                <span style={{ color: "#888" }}>{t("presenter.events")}</span>
+                {state.events
+                  .slice()
+                  .reverse()
+                  .map((ev) => (
+                    <span key={ev.id} style={{ color: "#bbb" }}>
+                      {new Date(ev.at).toLocaleTimeString()} · {localized(EVENT_LABELS[ev.type])}
+                      {ev.team != null
+                        ? ` · ${t("team.name", { name: state.teams[ev.team]?.name })}`
+                        : ""}
+                      {ev.points
+                        ? ` · ${ev.points > 0 ? "+" : ""}${t("teams.score", { score: ev.points })}`
+                        : ""}
+                      {` · ${t("presenter.eventAt", { image: ev.imageName, step: ev.stepIndex })}`}
+                    </span>
+                  ))}
+              </section>
+            )}
+
+            <section style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+              {state.teams.map((team, i) => (
+                <div
+                  key={team.id}
+                  style={{
+                    padding: "6px 10px",
+                    background: state.buzz?.team === i ? "#4a3c00" : "#151515",
+                    borderLeft: `4px solid ${team.color}`,
+                    borderRadius: 8,
+                    opacity: state.lockedTeams?.includes(i) ? 0.45 : 1,
+                  }}
+                >
+                  <b style={{ color: team.color }}>{team.name}</b>: {team.score}{" "}
+                  <button onClick={() => send("award", { team: i })} style={{ marginLeft: 8 }}>
+                    +{state.teamPoints?.[i] ?? state.points}
+                    {team.hotkey && ` (${t("game.teamKey", { key: keyName(team.hotkey) })})`}
+                  </button>
+                  {team.players.some(Boolean) && (
+                    <div style={{ color: "#999", fontSize: 13, marginTop: 4 }}>
+                      {team.players.filter(Boolean).join(", ")}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </section>
+          </div>
+        </main>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+// Typed-answer checking: normalization plus a small edit-distance tolerance.
+
+import { t } from "./i18n.js";
+
+const ARTICLES = [
+  "der",
+  "die",
+  "das",
+  "den",
+  "dem",
+  "des",
+  "ein",
+  "eine",
+  "einen",
+  "einem",
+  "einer",
+  "the",
+  "a",
+  "an",
+];
+
+const UMLAUTS = { ä: "ae", ö: "oe", ü: "ue", ß: "ss" };
+
+export function normalizeAnswer(text) {
+  let s = String(text || "")
+    .toLowerCase()
+    .replace(/[äöüß]/g, (c) => UMLAUTS[c])
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+  const words = s.split(" ");
+  if (words.length > 1 && ARTICLES.includes(words[0])) s = words.slice(1).join(" ");
+  return s.replace(/ /g, "");
+}
+
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// very short answers must match exactly, otherwise "Rom" would accept "Ton"
+const allowedEdits = (expected, tolerance) => (expected.length <= 3 ? 0 : tolerance);
+
+// verdict "correct" | "wrong", or null when the image has no expected answer
+export function checkAnswer(text, meta, tolerance = 1) {
+  const candidates = [meta?.answer, ...(meta?.alternatives || [])]
+    .map(normalizeAnswer)
+    .filter(Boolean);
+  if (!candidates.length) return { verdict: null, distance: null, matched: null };
+  const given = normalizeAnswer(text);
+  let best = { distance: Infinity, matched: null };
+  candidates.forEach((c) => {
+    const distance = editDistance(given, c);
+    if (distance < best.distance) best = { distance, matched: c };
+  });
+  const correct = given.length > 0 && best.distance <= allowedEdits(best.matched, tolerance);
+  return { verdict: correct ? "correct" : "wrong", ...best };
+}
+
+export const verdictLabel = (v) =>
+  v === "correct" ? t("verdict.correct") : v === "wrong" ? t("verdict.wrong") : t("verdict.open");
+export const verdictColor = (v) => (v === "correct" ? "#8f8" : v === "wrong" ? "#f88" : "#ffd54a");
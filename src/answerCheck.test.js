@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { checkAnswer, normalizeAnswer } from "./answerCheck.js";
+
+describe("normalizeAnswer", () => {
+  it("folds case, umlauts and accents and drops spaces and punctuation", () => {
+    expect(normalizeAnswer("Crème Brûlée")).toBe("cremebrulee");
+    expect(normalizeAnswer("  Eiffel-Turm! ")).toBe("eiffelturm");
+    expect(normalizeAnswer("Kölner Straße")).toBe("koelnerstrasse");
+  });
+
+  it("drops a leading article, but not a lone word", () => {
+    expect(normalizeAnswer("Der Kölner Dom")).toBe("koelnerdom");
+    expect(normalizeAnswer("the Big Ben")).toBe("bigben");
+    expect(normalizeAnswer("Die")).toBe("die");
+  });
+
+  it("reads empty input as an empty answer", () => {
+    expect(normalizeAnswer("")).toBe("");
+    expect(normalizeAnswer(null)).toBe("");
+    expect(normalizeAnswer(" ?! ")).toBe("");
+  });
+});
+
+describe("checkAnswer", () => {
+  const tower = { answer: "Eiffelturm", alternatives: ["Tour Eiffel"] };
+
+  it("has no verdict without an expected answer", () => {
+    expect(checkAnswer("Rom", { answer: "", alternatives: [] }).verdict).toBe(null);
+    expect(checkAnswer("Rom", null).verdict).toBe(null);
+  });
+
+  it("accepts the answer or an alternative in any case and accents", () => {
+    expect(checkAnswer("EIFFELTURM", tower)).toMatchObject({ verdict: "correct", distance: 0 });
+    expect(checkAnswer("Tour Éiffel", tower)).toMatchObject({
+      verdict: "correct",
+      matched: "toureiffel",
+    });
+  });
+
+  it("allows as many typos as the tolerance", () => {
+    expect(checkAnswer("Eifelturm", tower).verdict).toBe("correct");
+    expect(checkAnswer("Eifeltum", tower).verdict).toBe("wrong");
+    expect(checkAnswer("Eifeltum", tower, 2).verdict).toBe("correct");
+    expect(checkAnswer("Eifelturm", tower, 0).verdict).toBe("wrong");
+  });
+
+  it("wants answers of up to three letters exactly", () => {
+    expect(checkAnswer("Ron", { answer: "Rom" }, 3).verdict).toBe("wrong");
+    expect(checkAnswer("rom", { answer: "Rom" }).verdict).toBe("correct");
+    expect(checkAnswer("Bonm", { answer: "Bonn" }).verdict).toBe("correct");
+  });
+
+  it("never accepts an empty answer", () => {
+    expect(checkAnswer("", { answer: "Rom" }, 3).verdict).toBe("wrong");
+    expect(checkAnswer("?", { answer: "Ulm" }, 3).verdict).toBe("wrong");
+  });
+});
@@ -0,0 +1,23 @@
+// Buzzer round helpers: per-team buzz keys and their validation.
+
+import { t } from "./i18n.js";
+import { actionLabel, boundAction, keyName, sameKey } from "./keyBindings.js";
+
+export const defaultBuzzKey = (teamIdx) => (teamIdx < 9 ? String(teamIdx + 1) : "");
+
+// returns an error message, or "" when the key can be used by this team
+export function validateBuzzKey(key, teamIdx, teams) {
+  if (!key) return "";
+  const name = keyName(key);
+  const action = boundAction(key);
+  if (action) return t("keys.reserved", { key: name, action: actionLabel(action) });
+  // team hotkeys still award directly, so they are taken as well
+  if (teams.some((team) => sameKey(team.hotkey, key))) {
+    return t("keys.awardsPoints", { key: name });
+  }
+  const other = teams.findIndex((team, i) => i !== teamIdx && sameKey(team.buzzKey, key));
+  if (other >= 0) return t("keys.buzzerOfTeam", { key: name, team: teams[other].name });
+  return "";
+}
+
+export const findBuzzTeam = (key, teams) => teams.findIndex((t) => sameKey(t.buzzKey, key));
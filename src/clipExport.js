@@ -0,0 +1,124 @@
+// Clip export: plays one image's reveal on an offscreen canvas at a fixed
+// step interval and encodes it as WebM (MediaRecorder + canvas.captureStream)
+// or as an animated GIF (gifenc, bundled).
+
+import { GIFEncoder, applyPalette, quantize } from "gifenc";
+import { REVEAL_DURATION_MS, drawHud, drawReveal } from "./renderReveal.js";
+import { clamp } from "./reveal/util.js";
+import { t } from "./i18n.js";
+
+export const CLIP_FORMATS = [
+  { value: "webm", label: { de: "Video (WebM)", en: "Video (WebM)" } },
+  { value: "gif", label: { de: "Animiertes GIF", en: "Animated GIF" } },
+];
+export const CLIP_HEIGHTS = [360, 480, 720, 1080];
+
+export const DEFAULT_CLIP = {
+  format: "webm",
+  height: 720,
+  framesPerStep: 12,
+  stepSec: 1,
+  hud: false,
+};
+
+export const canRecordWebm = () =>
+  typeof MediaRecorder !== "undefined" &&
+  typeof HTMLCanvasElement.prototype.captureStream === "function";
+
+const GIF_MIN_DELAY_MS = 20; // browsers slow down shorter GIF frame delays
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// every step gets framesPerStep frames; the fully revealed image is held twice as long
+export function clipFrames(stepsTotal, framesPerStep, frameMs) {
+  const frames = [];
+  for (let step = 0; step <= stepsTotal; step++) {
+    const count = step === stepsTotal ? framesPerStep * 2 : framesPerStep;
+    for (let f = 0; f < count; f++) {
+      const stepProgress = clamp((f * frameMs) / REVEAL_DURATION_MS, 0, 1);
+      frames.push({ stepIndex: step, stepProgress });
+    }
+  }
+  return frames;
+}
+
+function createClipCanvas({ img, height, settings, revealOrder, seed, hud, points }) {
+  // even sizes keep video encoders happy
+  const h = Math.round(height / 2) * 2;
+  const iw = img.naturalWidth || img.width;
+  const ih = img.naturalHeight || img.height;
+  const w = Math.max(2, Math.round((h * iw) / ih / 2) * 2);
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const off = document.createElement("canvas");
+  const render = ({ stepIndex, stepProgress }) => {
+    ctx.fillStyle = "#111";
+    ctx.fillRect(0, 0, w, h);
+    drawReveal(ctx, off, { img, w, h, settings, revealOrder, seed, stepIndex, stepProgress });
+    if (hud) {
+      drawHud(ctx, { stepIndex, stepsTotal: settings.stepsTotal, points: points(stepIndex) });
+    }
+  };
+  return { canvas, ctx, w, h, render };
+}
+
+// real-time recording: MediaRecorder timestamps frames as they arrive
+async function encodeWebm(clip, frames, frameMs, onProgress) {
+  const stream = clip.canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const mimeType = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find((t) =>
+    MediaRecorder.isTypeSupported(t)
+  );
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8_000_000 });
+  const chunks = [];
+  recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+  const stopped = new Promise((resolve) => (recorder.onstop = resolve));
+  recorder.start();
+  for (const [i, frame] of frames.entries()) {
+    clip.render(frame);
+    track.requestFrame?.();
+    onProgress((i + 1) / frames.length);
+    await sleep(frameMs);
+  }
+  recorder.stop();
+  await stopped;
+  track.stop();
+  return new Blob(chunks, { type: "video/webm" });
+}
+
+async function encodeGif(clip, frames, frameMs, onProgress) {
+  const gif = GIFEncoder();
+  for (const [i, frame] of frames.entries()) {
+    clip.render(frame);
+    const { data } = clip.ctx.getImageData(0, 0, clip.w, clip.h);
+    const palette = quantize(data, 256);
+    gif.writeFrame(applyPalette(data, palette), clip.w, clip.h, { palette, delay: frameMs });
+    onProgress((i + 1) / frames.length);
+    // let the page repaint the progress between frames
+    await sleep(0);
+  }
+  gif.finish();
+  return new Blob([gif.bytesView()], { type: "image/gif" });
+}
+
+// options: DEFAULT_CLIP fields plus img (loaded), settings (effective, incl.
+// revealMode/stepsTotal/disturb), revealOrder, seed, points(stepIndex), onProgress
+export async function recordClip({
+  format,
+  height,
+  framesPerStep,
+  stepSec,
+  hud,
+  onProgress = () => {},
+  ...scene
+}) {
+  let frameMs = (stepSec * 1000) / framesPerStep;
+  if (format === "gif") frameMs = Math.max(frameMs, GIF_MIN_DELAY_MS);
+  const clip = createClipCanvas({ ...scene, height, hud });
+  const frames = clipFrames(scene.settings.stepsTotal, framesPerStep, frameMs);
+  if (format === "gif") return encodeGif(clip, frames, frameMs, onProgress);
+  if (!canRecordWebm()) throw new Error(t("clip.noWebm"));
+  return encodeWebm(clip, frames, frameMs, onProgress);
+}
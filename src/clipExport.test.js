@@ -0,0 +1,20 @@
+import { expect, it } from "vitest";
+import { clipFrames } from "./clipExport.js";
+import { REVEAL_DURATION_MS } from "./renderReveal.js";
+
+it("gives every step its frames and holds the last step twice as long", () => {
+  const frames = clipFrames(3, 4, 100);
+  expect(frames).toHaveLength(4 * 3 + 8);
+  const perStep = [0, 1, 2, 3].map((step) => frames.filter((f) => f.stepIndex === step).length);
+  expect(perStep).toEqual([4, 4, 4, 8]);
+});
+
+it("plays the step animation once and then stays settled", () => {
+  const frameMs = REVEAL_DURATION_MS / 2;
+  const progress = clipFrames(1, 4, frameMs).map((f) => f.stepProgress);
+  expect(progress).toEqual([0, 0.5, 1, 1, 0, 0.5, 1, 1, 1, 1, 1, 1]);
+});
+
+it("has only the held frames without steps", () => {
+  expect(clipFrames(0, 3, 50).map((f) => f.stepIndex)).toEqual([0, 0, 0, 0, 0, 0]);
+});
@@ -0,0 +1,184 @@
+import { clamp, lerp, makeRandomOrder } from "./reveal/util.js";
+
+// Distortion stack: every effect has its own strength (0..10) and fade curve
+// over the steps. The game's disturb setting (0..10) scales the whole stack,
+// so rounds and images can still turn everything up or down at once.
+// Presets are named stacks; the built-in ones ship with the app (names in
+// both UI languages), the host's own are kept in localStorage.
+
+export const EFFECTS = [
+  { id: "pixelate", label: { de: "Verpixeln", en: "Pixelate" } },
+  { id: "blur", label: { de: "Unschärfe", en: "Blur" } },
+  { id: "confetti", label: { de: "Konfetti", en: "Confetti" } },
+  { id: "swirl", label: { de: "Strudel", en: "Swirl" } },
+  { id: "channels", label: { de: "Farbkanäle", en: "Color channels" } },
+  { id: "hexagons", label: { de: "Sechseck-Mosaik", en: "Hexagon mosaic" } },
+  {
+    id: "jigsaw",
+    label: { de: "Puzzle (Kacheln gleiten an ihren Platz)", en: "Jigsaw (tiles slide into place)" },
+  },
+  { id: "sketch", label: { de: "Nur Kanten (Skizze)", en: "Edges only (sketch)" } },
+];
+
+export const FADE_CURVES = [
+  { value: "linear", label: { de: "Linear", en: "Linear" } },
+  { value: "early", label: { de: "Früh weg", en: "Gone early" } },
+  { value: "late", label: { de: "Lange sichtbar", en: "Stays long" } },
+  { value: "constant", label: { de: "Bis zum letzten Schritt", en: "Until the last step" } },
+];
+
+export const CHANNEL_MODES = [
+  { value: "shuffle", label: { de: "Kanäle tauschen", en: "Shuffle channels" } },
+  { value: "invert", label: { de: "Invertieren", en: "Invert" } },
+];
+
+export const JIGSAW_TILES = 5; // pieces per side
+
+const effect = (strength = 0, curve = "linear") => ({ strength, curve });
+
+// the effects of the original single slider
+export const DEFAULT_EFFECTS = {
+  pixelate: effect(10),
+  blur: effect(10),
+  confetti: effect(10),
+  swirl: effect(),
+  channels: { ...effect(), mode: "shuffle" },
+  hexagons: effect(),
+  jigsaw: effect(),
+  sketch: effect(),
+};
+
+export const BUILTIN_PRESETS = [
+  { name: { de: "Klassisch", en: "Classic" }, effects: DEFAULT_EFFECTS },
+  { name: { de: "Nur Pixel", en: "Pixels only" }, effects: { pixelate: effect(10) } },
+  {
+    name: { de: "Strudel", en: "Whirlpool" },
+    effects: { swirl: effect(10, "late"), blur: effect(4, "early") },
+  },
+  {
+    name: { de: "Puzzle", en: "Jigsaw" },
+    effects: { jigsaw: effect(10), pixelate: effect(5, "early") },
+  },
+  {
+    name: { de: "Skizze", en: "Sketch" },
+    effects: { sketch: effect(10, "late"), hexagons: effect(4, "early") },
+  },
+  {
+    name: { de: "Farbrausch", en: "Color rush" },
+    effects: {
+      channels: { ...effect(10, "constant"), mode: "invert" },
+      hexagons: effect(7),
+      confetti: effect(6),
+    },
+  },
+];
+
+const num = (v, fallback, min, max) =>
+  Number.isFinite(Number(v)) ? clamp(Number(v), min, max) : fallback;
+
+const oneOf = (value, options, fallback) =>
+  options.some((o) => o.value === value) ? value : fallback;
+
+// fills in every effect (missing ones off) and keeps values in range
+export function readEffects(src = {}) {
+  const out = {};
+  EFFECTS.forEach(({ id }) => {
+    const e = src?.[id] || {};
+    out[id] = {
+      strength: Math.round(num(e.strength, 0, 0, 10)),
+      curve: oneOf(e.curve, FADE_CURVES, "linear"),
+    };
+  });
+  out.channels.mode = oneOf(src?.channels?.mode, CHANNEL_MODES, "shuffle");
+  return out;
+}
+
+// remaining share of an effect at progress t (0 = first step, 1 = last)
+function fadeFactor(curve, t) {
+  if (curve === "early") return (1 - t) ** 2;
+  if (curve === "late") return 1 - t ** 2;
+  if (curve === "constant") return t < 1 ? 1 : 0;
+  return 1 - t;
+}
+
+// Effect parameters for one step. amount is the strength scaled by disturb;
+// the formulas for pixelation, blur and confetti are the ones of the old
+// single slider, so "Klassisch" looks as before.
+export function effectParams(effects, disturb, stepIndex, stepsTotal) {
+  const stack = readEffects(effects);
+  const t = clamp(stepIndex / stepsTotal, 0, 1);
+  const master = clamp(disturb / 10, 0, 1);
+  const level = (id) => {
+    const amount = (stack[id].strength / 10) * master;
+    return { amount, fade: stack[id].strength > 0 ? fadeFactor(stack[id].curve, t) : 0 };
+  };
+  const pixelate = level("pixelate");
+  const blur = level("blur");
+  const confetti = level("confetti");
+  const swirl = level("swirl");
+  const channels = level("channels");
+  const hexagons = level("hexagons");
+  const jigsaw = level("jigsaw");
+  const sketch = level("sketch");
+  return {
+    pixelScale: lerp(1.0, lerp(1.0, 0.05, pixelate.amount), pixelate.fade), // 1 = sharp
+    blurPx: lerp(0, 14, blur.amount) * blur.fade,
+    noiseStrength: lerp(0.08, 0.45, confetti.amount) * confetti.fade,
+    noiseDensity: lerp(0.0008, 0.006, confetti.amount) * confetti.fade,
+    swirl: swirl.amount * swirl.fade * Math.PI * 3, // twist at the centre, radians
+    channelMix: channels.amount * channels.fade,
+    channelMode: stack.channels.mode,
+    hexSize: lerp(0, 48, hexagons.amount * hexagons.fade), // hexagon radius, px
+    jigsaw: jigsaw.amount * jigsaw.fade, // 0 = in place, 1 = fully scrambled
+    sketch: sketch.amount * sketch.fade,
+  };
+}
+
+// per jigsaw piece: offset (in pieces) from its place to its scrambled slot
+export function jigsawOffsets(seed) {
+  const n = JIGSAW_TILES;
+  return makeRandomOrder(n * n, seed * 7 + 3).map((slot, piece) => ({
+    dx: (slot % n) - (piece % n),
+    dy: Math.floor(slot / n) - Math.floor(piece / n),
+  }));
+}
+
+// centre of the pointy-top hexagon (radius size) containing x, y
+export function hexCenter(x, y, size) {
+  const q = ((Math.sqrt(3) / 3) * x - y / 3) / size;
+  const r = ((2 / 3) * y) / size;
+  // cube rounding: round all three axes, then fix the one that moved most
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(-q - r);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs + q + r);
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds) rr = -rq - rs;
+  return { x: size * Math.sqrt(3) * (rq + rr / 2), y: size * 1.5 * rr };
+}
+
+// host presets in localStorage: [{ name, effects }]
+const PRESET_KEY = "dalliklick.effectPresets";
+
+export function loadEffectPresets() {
+  try {
+    const list = JSON.parse(localStorage.getItem(PRESET_KEY) || "[]");
+    return Array.isArray(list)
+      ? list
+          .filter((p) => p?.name)
+          .map((p) => ({ name: String(p.name), effects: readEffects(p.effects) }))
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveEffectPresets(presets) {
+  try {
+    localStorage.setItem(PRESET_KEY, JSON.stringify(presets));
+  } catch {
+    // storage full or disabled: presets last until the page is closed
+  }
+}
@@ -0,0 +1,90 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_EFFECTS, EFFECTS, effectParams, readEffects } from "./effects.js";
+
+const ids = EFFECTS.map(({ id }) => id);
+const only = (id, strength = 10, curve = "linear") => ({ [id]: { strength, curve } });
+
+describe("readEffects", () => {
+  it("turns every effect off for an empty or missing stack", () => {
+    for (const src of [undefined, null, {}, "pixelate", 42, []]) {
+      const stack = readEffects(src);
+      expect(Object.keys(stack)).toEqual(ids);
+      ids.forEach((id) => expect(stack[id]).toMatchObject({ strength: 0, curve: "linear" }));
+      expect(stack.channels.mode).toBe("shuffle");
+    }
+  });
+
+  it("drops unknown effects, curves and channel modes", () => {
+    const stack = readEffects({
+      melt: { strength: 10 },
+      blur: { strength: 5, curve: "wobbly" },
+      channels: { strength: 3, curve: "late", mode: "rainbow" },
+    });
+    expect(stack.melt).toBeUndefined();
+    expect(stack.blur).toEqual({ strength: 5, curve: "linear" });
+    expect(stack.channels).toEqual({ strength: 3, curve: "late", mode: "shuffle" });
+  });
+
+  it("clamps and rounds strengths and ignores non-numbers", () => {
+    const stack = readEffects({
+      pixelate: { strength: 99 },
+      blur: { strength: -4 },
+      swirl: { strength: "6.6" },
+      sketch: { strength: "viel" },
+      hexagons: 7,
+    });
+    expect(ids.map((id) => stack[id].strength)).toEqual(
+      ids.map((id) => ({ pixelate: 10, swirl: 7 })[id] ?? 0)
+    );
+  });
+
+  it("keeps a valid stack as it is", () => {
+    expect(readEffects(DEFAULT_EFFECTS)).toEqual(DEFAULT_EFFECTS);
+  });
+});
+
+describe("effectParams", () => {
+  it("leaves the image untouched without effects", () => {
+    const fx = effectParams({}, 10, 0, 8);
+    expect(fx).toMatchObject({
+      pixelScale: 1,
+      blurPx: 0,
+      noiseStrength: 0,
+      swirl: 0,
+      channelMix: 0,
+      hexSize: 0,
+      jigsaw: 0,
+      sketch: 0,
+    });
+  });
+
+  it("ramps a linear effect down over the steps", () => {
+    const blur = [0, 4, 8].map((step) => effectParams(only("blur"), 10, step, 8).blurPx);
+    expect(blur).toEqual([14, 7, 0]);
+    const pixels = [0, 4, 8].map((step) => effectParams(only("pixelate"), 10, step, 8).pixelScale);
+    expect(pixels[0]).toBeCloseTo(0.05);
+    expect(pixels[1]).toBeCloseTo(0.525);
+    expect(pixels[2]).toBe(1);
+  });
+
+  it("follows the fade curves", () => {
+    const at = (curve, step) => effectParams(only("sketch", 10, curve), 10, step, 4).sketch;
+    expect([0, 2, 4].map((s) => at("early", s))).toEqual([1, 0.25, 0]);
+    expect([0, 2, 4].map((s) => at("late", s))).toEqual([1, 0.75, 0]);
+    expect([0, 2, 3, 4].map((s) => at("constant", s))).toEqual([1, 1, 1, 0]);
+  });
+
+  it("scales the whole stack with disturb", () => {
+    const swirl = (disturb) => effectParams(only("swirl"), disturb, 0, 8).swirl;
+    expect(swirl(0)).toBe(0);
+    expect(swirl(5)).toBeCloseTo(swirl(10) / 2);
+    expect(swirl(50)).toBe(swirl(10));
+    expect(effectParams(only("jigsaw", 4), 10, 0, 8).jigsaw).toBeCloseTo(0.4);
+  });
+
+  it("sanitizes the stack it gets", () => {
+    const fx = effectParams({ blur: { strength: 50, curve: "nope" }, melt: {} }, 10, 4, 8);
+    expect(fx.blurPx).toBe(7);
+    expect(fx.channelMode).toBe("shuffle");
+  });
+});
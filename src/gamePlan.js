@@ -0,0 +1,80 @@
+// Game plan: a list of rounds, each with a title, a category, its own image
+// list (indices into the loaded files) and reveal settings that override the
+// base settings for its images. Without a configured plan the game is one
+// untitled round over all images.
+//
+// round: { title, category, images: [index], settings: { revealMode?, tileN?, ... } }
+// phase: "title" (round title card) | "play" | "intermission" (standings) | "end"
+
+import { readSettingOverrides } from "./quizPack.js";
+import { t } from "./i18n.js";
+
+export const emptyRound = (n, images = []) => ({
+  title: t("plan.round", { n }),
+  category: "",
+  images,
+  settings: {},
+});
+
+// "1-5, 8" -> [0, 1, 2, 3, 4, 7]; out-of-range and duplicate numbers are dropped
+export function parseImageList(text, count) {
+  const out = [];
+  String(text)
+    .split(/[,;\s]+/)
+    .filter(Boolean)
+    .forEach((part) => {
+      const [a, b = a] = part.split("-").map((x) => parseInt(x, 10));
+      if (!Number.isFinite(a) || !Number.isFinite(b)) return;
+      // only the part of the range that has images, so "1-99999999" stays cheap
+      const lo = Math.max(Math.min(a, b), 1);
+      const hi = Math.min(Math.max(a, b), count);
+      const range = Array.from({ length: Math.max(hi - lo + 1, 0) }, (_, i) => lo + i);
+      (a <= b ? range : range.reverse()).forEach((n) => {
+        if (!out.includes(n - 1)) out.push(n - 1);
+      });
+    });
+  return out;
+}
+
+// [0, 1, 2, 3, 4, 7] -> "1-5, 8"
+export function formatImageList(indices) {
+  const parts = [];
+  let start = null;
+  indices.forEach((idx, i) => {
+    if (start === null) start = idx;
+    if (indices[i + 1] !== idx + 1) {
+      parts.push(start === idx ? `${idx + 1}` : `${start + 1}-${idx + 1}`);
+      start = null;
+    }
+  });
+  return parts.join(", ");
+}
+
+export function normalizeRound(round, n) {
+  const r = round || {};
+  return {
+    title: String(r.title ?? t("plan.round", { n })),
+    category: String(r.category || ""),
+    images: Array.isArray(r.images) ? r.images.filter((i) => Number.isInteger(i) && i >= 0) : [],
+    settings: readSettingOverrides(r.settings),
+  };
+}
+
+// rounds as played: invalid and skipped (used) image indices removed, empty
+// rounds skipped. A plan whose images are all skipped leaves nothing to play.
+export function resolvePlan(rounds, imageCount, skipped = []) {
+  const playable = (i) => i < imageCount && !skipped.includes(i);
+  const all = Array.from({ length: imageCount }, (_, i) => i).filter(playable);
+  const plan = rounds
+    .map((r) => ({ ...r, images: r.images.filter(playable) }))
+    .filter((r) => r.images.length > 0);
+  if (plan.length) return plan;
+  const planned = rounds.some((r) => r.images.some((i) => i < imageCount));
+  return [{ ...emptyRound(1, planned ? [] : all), title: "" }];
+}
+
+// round settings sit between the base settings and the per-image overrides
+export const applyRoundSettings = (base, round) => ({
+  ...base,
+  ...readSettingOverrides(round?.settings),
+});
@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { applyRoundSettings, normalizeRound, parseImageList } from "./gamePlan.js";
+
+describe("parseImageList", () => {
+  it("reads numbers and ranges in either direction", () => {
+    expect(parseImageList("1-3, 8; 5-4", 10)).toEqual([0, 1, 2, 7, 4, 3]);
+  });
+
+  it("drops out-of-range and duplicate numbers", () => {
+    expect(parseImageList("0, 2, 2, 11, 9-12", 10)).toEqual([1, 8, 9]);
+    expect(parseImageList("20-30", 10)).toEqual([]);
+  });
+
+  it("only walks the part of a huge range that has images", () => {
+    expect(parseImageList("1-99999999", 3)).toEqual([0, 1, 2]);
+    expect(parseImageList("99999999-2", 3)).toEqual([2, 1]);
+  });
+});
+
+it("checks round setting overrides like image overrides", () => {
+  const round = normalizeRound(
+    { settings: { tileN: 5000, stepsTotal: "12", revealMode: "NOPE", disturb: "x" } },
+    1
+  );
+  expect(round.settings).toEqual({ tileN: 40, stepsTotal: 12 });
+  expect(applyRoundSettings({ tileN: 18 }, { settings: { tileN: "2" } })).toEqual({ tileN: 6 });
+});
@@ -0,0 +1,37 @@
+// Gamepad buttons as keys. The Gamepad API has no button events, so pads are
+// polled once per frame while at least one is connected, and each press is
+// reported as "Pad:<button>" (standard mapping index, any pad).
+
+export const padKey = (button) => `Pad:${button}`;
+
+// calls onPress(key) on every button press; returns a stop function
+export function watchGamepads(onPress) {
+  if (!navigator.getGamepads) return () => {};
+  const held = new Set(); // "<pad>:<button>"
+  let raf = 0;
+
+  const pads = () => [...navigator.getGamepads()].filter(Boolean);
+  const poll = () => {
+    for (const pad of pads()) {
+      pad.buttons.forEach((button, i) => {
+        const id = `${pad.index}:${i}`;
+        if (!button.pressed) held.delete(id);
+        else if (!held.has(id)) {
+          held.add(id);
+          onPress(padKey(i));
+        }
+      });
+    }
+    raf = pads().length ? requestAnimationFrame(poll) : 0;
+  };
+  const start = () => {
+    if (!raf && pads().length) raf = requestAnimationFrame(poll);
+  };
+
+  window.addEventListener("gamepadconnected", start);
+  start();
+  return () => {
+    window.removeEventListener("gamepadconnected", start);
+    cancelAnimationFrame(raf);
+  };
+}
@@ -0,0 +1,539 @@
+// WebGL2 reveal renderer: the distortion effects (see effects.js) and the
+// tile/wedge masks run in one fragment shader. The result is rendered into its own
+// (offscreen) canvas and copied onto the 2D game canvas, so overlays and
+// screens keep using Canvas2D. Other reveal modes rasterize their mask with
+// the mode's path builders into a texture, only when it changes.
+// createGlReveal() returns null without WebGL2; draw() returns false when the
+// frame could not be rendered (lost context, oversized image) and the caller
+// falls back to drawReveal.
+
+import { getRevealMode, maskPieces } from "./reveal/index.js";
+import { randForPiece } from "./reveal/util.js";
+import { JIGSAW_TILES, jigsawOffsets } from "./effects.js";
+import { distortion, fitContain } from "./renderReveal.js";
+
+const MASK_GRID = 0;
+const MASK_WEDGES = 1;
+const MASK_TEXTURE = 2;
+
+const VERTEX_SHADER = `#version 300 es
+in vec2 a_pos;
+out vec2 v_uv;
+void main() {
+  v_uv = vec2(a_pos.x * 0.5 + 0.5, 0.5 - a_pos.y * 0.5);
+  gl_Position = vec4(a_pos, 0.0, 1.0);
+}`;
+
+const FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+precision highp int;
+
+in vec2 v_uv;
+out vec4 outColor;
+
+uniform sampler2D u_image;
+uniform sampler2D u_pieces; // r: 1 settled, 0.5 incoming, 0 hidden; g: per-piece random
+uniform sampler2D u_mask;
+uniform vec2 u_size;        // image rect in CSS px
+uniform float u_dpr;
+uniform vec2 u_cells;       // pixelation grid, 0 = sharp
+uniform float u_lod;        // mip level matching one pixelation cell (or output pixel)
+uniform float u_blur;       // CSS px
+uniform float u_noiseStrength;
+uniform float u_noiseDensity;
+uniform float u_noiseSeed;
+uniform int u_maskKind;
+uniform float u_progress;   // eased progress of the incoming pieces
+uniform int u_tileN;
+uniform vec3 u_wedge;       // (angleOffset, segmentAngle, count) around the rect center
+uniform float u_glow;       // alpha of the incoming-wedge highlight
+uniform float u_swirl;      // radians at the centre
+uniform float u_hex;        // hexagon radius in CSS px, 0 = off
+uniform float u_jigsaw;     // 0 = pieces in place, 1 = scrambled
+uniform vec2 u_jigsawOffsets[${JIGSAW_TILES * JIGSAW_TILES}];
+uniform float u_sketch;
+uniform float u_channelMix;
+uniform int u_channelMode;  // 0 = shuffle, 1 = invert
+
+const float TAU = 6.28318530718;
+const int JIGSAW_N = ${JIGSAW_TILES};
+const vec3 GAP_COLOR = vec3(17.0 / 255.0);
+
+float hash(vec3 p) {
+  p = fract(p * 0.1031);
+  p += dot(p, p.zyx + 31.32);
+  return fract((p.x + p.y) * p.z);
+}
+
+// centre of the pointy-top hexagon containing p (same as hexCenter in effects.js)
+vec2 hexCenter(vec2 p) {
+  vec2 qr = vec2(sqrt(3.0) / 3.0 * p.x - p.y / 3.0, 2.0 / 3.0 * p.y) / u_hex;
+  vec3 cube = vec3(qr.x, qr.y, -qr.x - qr.y);
+  vec3 r = floor(cube + 0.5);
+  vec3 d = abs(r - cube);
+  if (d.x > d.y && d.x > d.z) r.x = -r.y - r.z;
+  else if (d.y > d.z) r.y = -r.x - r.z;
+  return u_hex * vec2(sqrt(3.0) * (r.x + r.y * 0.5), 1.5 * r.y);
+}
+
+// image position that the swirl moves to p
+vec2 unswirl(vec2 p) {
+  if (u_swirl < 0.01) return p;
+  vec2 d = p - u_size * 0.5;
+  float k = max(0.0, 1.0 - length(d) / length(u_size * 0.5));
+  float a = u_swirl * k * k;
+  return u_size * 0.5 + mat2(cos(a), sin(a), -sin(a), cos(a)) * d;
+}
+
+// Jigsaw piece drawn at uv: xy = shift back to its place in uv, z = 0 in a gap.
+// Later pieces are drawn on top, like drawJigsaw in renderReveal.js.
+vec3 jigsawShift(vec2 uv) {
+  if (u_jigsaw < 0.001) return vec3(0.0, 0.0, 1.0);
+  vec2 t = uv * float(JIGSAW_N);
+  vec3 found = vec3(0.0);
+  for (int i = 0; i < JIGSAW_N * JIGSAW_N; i++) {
+    vec2 piece = vec2(i % JIGSAW_N, i / JIGSAW_N);
+    vec2 pos = piece + u_jigsawOffsets[i] * u_jigsaw;
+    if (all(greaterThanEqual(t, pos)) && all(lessThan(t, pos + 1.0))) {
+      found = vec3((piece - pos) / float(JIGSAW_N), 1.0);
+    }
+  }
+  return found;
+}
+
+// Distorted image at p (CSS px): hexagons and pixelation pick a cell centre,
+// which is unswirled and then moved by the jigsaw piece of the output pixel.
+vec3 pixelated(vec2 p, vec3 jigsaw) {
+  if (u_hex >= 2.0) p = hexCenter(p);
+  vec2 uv = p / u_size;
+  if (u_cells.x > 0.0) {
+    uv = (floor(uv * u_cells) + 0.5) / u_cells;
+  }
+  uv = unswirl(uv * u_size) / u_size + jigsaw.xy;
+  if (jigsaw.z < 0.5) return GAP_COLOR;
+  // explicit level: implicit derivatives are undefined after the mask's early return
+  return textureLod(u_image, clamp(uv, 0.0, 1.0), u_lod).rgb;
+}
+
+// Vogel-disk blur over the distorted image
+vec3 imageColor(vec2 p, vec3 jigsaw) {
+  if (u_blur < 0.05) return pixelated(p, jigsaw);
+  vec3 sum = vec3(0.0);
+  float total = 0.0;
+  for (int i = 0; i < 24; i++) {
+    float r = sqrt((float(i) + 0.5) / 24.0);
+    float a = float(i) * 2.39996323;
+    vec2 o = vec2(cos(a), sin(a)) * r * u_blur * 1.6;
+    float w = exp(-r * r * 2.0);
+    sum += pixelated(p + o, jigsaw) * w;
+    total += w;
+  }
+  return sum / total;
+}
+
+float luma(vec3 c) {
+  return dot(c, vec3(0.2126, 0.7152, 0.0722));
+}
+
+// Sobel edges on the unblurred image: dark lines on white
+float sketchPaper(vec2 p, vec3 jigsaw) {
+  float l[9];
+  for (int i = 0; i < 9; i++) {
+    l[i] = luma(pixelated(p + vec2(i % 3 - 1, i / 3 - 1), jigsaw));
+  }
+  float gx = l[2] + 2.0 * l[5] + l[8] - l[0] - 2.0 * l[3] - l[6];
+  float gy = l[6] + 2.0 * l[7] + l[8] - l[0] - 2.0 * l[1] - l[2];
+  return 1.0 - min(1.0, length(vec2(gx, gy)) * 255.0 / 200.0);
+}
+
+// coverage of a rounded box centred at the origin, antialiased in device px
+float roundedBox(vec2 p, vec2 halfSize, float radius) {
+  radius = min(radius, min(halfSize.x, halfSize.y));
+  vec2 q = abs(p) - halfSize + radius;
+  float d = length(max(q, 0.0)) + min(max(q.x, q.y), 0.0) - radius;
+  return clamp(0.5 - d * u_dpr, 0.0, 1.0);
+}
+
+float gridMask(vec2 p) {
+  vec2 tile = u_size / float(u_tileN);
+  ivec2 cell = ivec2(floor(p / tile));
+  float m = 0.0;
+  // incoming tiles overshoot their cell, so neighbours are checked too
+  for (int dy = -1; dy <= 1; dy++) {
+    for (int dx = -1; dx <= 1; dx++) {
+      ivec2 n = cell + ivec2(dx, dy);
+      if (n.x < 0 || n.y < 0 || n.x >= u_tileN || n.y >= u_tileN) continue;
+      vec4 s = texelFetch(u_pieces, n, 0);
+      float rand = s.g;
+      if (s.r > 0.75) {
+        vec2 halfSize = (tile + 0.5) * 0.5;
+        float r = mix(4.0, min(tile.x, tile.y) * 0.3, rand);
+        m = max(m, roundedBox(p - vec2(n) * tile - halfSize, halfSize, r));
+      } else if (s.r > 0.25) {
+        float scale = mix(0.25, 1.08, u_progress) * (0.9 + rand * 0.2);
+        float rot = (rand - 0.5) * mix(0.18, 0.0, u_progress);
+        vec2 size = tile * scale;
+        float r = mix(6.0, min(size.x, size.y) * 0.35, rand);
+        vec2 q = p - (vec2(n) + 0.5) * tile;
+        q = mat2(cos(rot), -sin(rot), sin(rot), cos(rot)) * q;
+        m = max(m, roundedBox(q, size * 0.5, r));
+      }
+    }
+  }
+  return m;
+}
+
+float wedgeState(int idx) {
+  int count = int(u_wedge.z);
+  return texelFetch(u_pieces, ivec2((idx + count) % count, 0), 0).r;
+}
+
+// returns (coverage, incoming)
+vec2 wedgeMask(vec2 p) {
+  vec2 d = p - u_size * 0.5;
+  float dist = length(d);
+  float angle = mod(atan(d.y, d.x) - u_wedge.x, TAU);
+  int idx = min(int(floor(angle / u_wedge.y)), int(u_wedge.z) - 1);
+  float local = angle - float(idx) * u_wedge.y;
+  float own = wedgeState(idx);
+  // distance to the shared edges with the previous and next wedge
+  float dPrev = dist * sin(min(local, 1.5707963));
+  float dNext = dist * sin(min(u_wedge.y - local, 1.5707963));
+  bool prevShown = wedgeState(idx - 1) > 0.25;
+  bool nextShown = wedgeState(idx + 1) > 0.25;
+  float m;
+  if (own > 0.25) {
+    float s = 1e6;
+    if (!prevShown) s = min(s, dPrev);
+    if (!nextShown) s = min(s, dNext);
+    m = clamp(0.5 + s * u_dpr, 0.0, 1.0);
+  } else {
+    float s = 1e6;
+    if (prevShown) s = min(s, dPrev);
+    if (nextShown) s = min(s, dNext);
+    m = clamp(0.5 - s * u_dpr, 0.0, 1.0);
+  }
+  return vec2(m, own > 0.25 && own < 0.75 ? 1.0 : 0.0);
+}
+
+// confetti: at most one speck of 2..6 px per 6 px cell
+vec4 confetti(vec2 p) {
+  if (u_noiseStrength <= 0.01) return vec4(0.0);
+  vec2 cell = floor(p / 6.0);
+  if (hash(vec3(cell, u_noiseSeed)) >= u_noiseDensity * 36.0) return vec4(0.0);
+  float size = mix(2.0, 6.0, hash(vec3(cell, u_noiseSeed + 1.0)));
+  vec2 origin = cell * 6.0 + vec2(
+    hash(vec3(cell, u_noiseSeed + 2.0)),
+    hash(vec3(cell, u_noiseSeed + 3.0))
+  ) * (6.0 - size);
+  vec2 q = p - origin;
+  if (q.x < 0.0 || q.y < 0.0 || q.x > size || q.y > size) return vec4(0.0);
+  vec3 c = (80.0 + vec3(
+    hash(vec3(cell, u_noiseSeed + 4.0)),
+    hash(vec3(cell, u_noiseSeed + 5.0)),
+    hash(vec3(cell, u_noiseSeed + 6.0))
+  ) * 175.0) / 255.0;
+  return vec4(c, u_noiseStrength);
+}
+
+void main() {
+  vec2 p = v_uv * u_size;
+  float m;
+  float incoming = 0.0;
+  if (u_maskKind == ${MASK_GRID}) {
+    m = gridMask(p);
+  } else if (u_maskKind == ${MASK_WEDGES}) {
+    vec2 w = wedgeMask(p);
+    m = w.x;
+    incoming = w.y;
+  } else {
+    m = texture(u_mask, v_uv).a;
+  }
+  if (m <= 0.0) {
+    outColor = vec4(0.0);
+    return;
+  }
+  vec3 jigsaw = jigsawShift(unswirl(p) / u_size);
+  vec3 color = imageColor(p, jigsaw);
+  if (u_sketch > 0.01) color = mix(color, vec3(sketchPaper(p, jigsaw)), u_sketch);
+  if (u_channelMix > 0.01) {
+    color = mix(color, u_channelMode == 1 ? 1.0 - color : color.gbr, u_channelMix);
+  }
+  vec4 speck = confetti(p);
+  color = mix(color, speck.rgb, speck.a);
+  // "screen" highlight like the Canvas2D glow
+  vec3 glow = vec3(120.0, 220.0, 255.0) / 255.0 * u_glow * incoming;
+  color = color + glow - color * glow;
+  outColor = vec4(color * m, m);
+}`;
+
+// null when the driver rejects a shader
+function compile(gl, type, source) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  return gl.getShaderParameter(shader, gl.COMPILE_STATUS) ? shader : null;
+}
+
+function createProgram(gl) {
+  const vertex = compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER);
+  const fragment = compile(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER);
+  if (!vertex || !fragment) return null;
+  const program = gl.createProgram();
+  gl.attachShader(program, vertex);
+  gl.attachShader(program, fragment);
+  gl.bindAttribLocation(program, 0, "a_pos");
+  gl.linkProgram(program);
+  return gl.getProgramParameter(program, gl.LINK_STATUS) ? program : null;
+}
+
+function createTexture(gl, filter) {
+  const tex = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, tex);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+  gl.texParameteri(
+    gl.TEXTURE_2D,
+    gl.TEXTURE_MAG_FILTER,
+    filter === gl.NEAREST ? filter : gl.LINEAR
+  );
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  return tex;
+}
+
+const createCanvas = () =>
+  typeof OffscreenCanvas === "function"
+    ? new OffscreenCanvas(1, 1)
+    : document.createElement("canvas");
+
+// per-piece state for the shader: r = shown/incoming, g = the piece's random value
+function pieceData(count, mask, seed) {
+  const data = new Uint8Array(count * 4);
+  for (let i = 0; i < count; i++) data[i * 4 + 1] = Math.round(randForPiece(i, seed) * 255);
+  mask.settled.forEach((idx) => (data[idx * 4] = 255));
+  mask.incoming.forEach((idx) => (data[idx * 4] = 128));
+  return data;
+}
+
+export const hasWebGl2 = () => typeof WebGL2RenderingContext === "function";
+
+export function createGlReveal() {
+  const canvas = createCanvas();
+  const gl = canvas.getContext("webgl2", { premultipliedAlpha: true, antialias: false });
+  if (!gl) return null;
+
+  // shaders rejected by the driver: the caller draws with Canvas2D instead
+  const program = createProgram(gl);
+  if (!program) return null;
+
+  let lost = false;
+  canvas.addEventListener?.("webglcontextlost", (e) => {
+    e.preventDefault();
+    lost = true;
+  });
+
+  const buffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  // one triangle covering the viewport
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+  gl.enableVertexAttribArray(0);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+  const uniforms = {};
+  const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < uniformCount; i++) {
+    const { name } = gl.getActiveUniform(program, i);
+    uniforms[name] = gl.getUniformLocation(program, name);
+  }
+  gl.useProgram(program);
+  gl.uniform1i(uniforms.u_image, 0);
+  gl.uniform1i(uniforms.u_pieces, 1);
+  gl.uniform1i(uniforms.u_mask, 2);
+
+  const imageTex = createTexture(gl, gl.LINEAR_MIPMAP_LINEAR);
+  const piecesTex = createTexture(gl, gl.NEAREST);
+  const maskTex = createTexture(gl, gl.LINEAR);
+  const maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+
+  // uploads are skipped while their inputs stay the same
+  let uploadedImage = null;
+  let piecesKey = "";
+  let maskKey = "";
+  let maskCanvas = null;
+  // reveal orders by identity: fair reveal can hand over a new order for the
+  // same mode, seed and step
+  const orderIds = new WeakMap();
+  let nextOrderId = 1;
+  const orderId = (order) => {
+    if (!order || typeof order !== "object") return 0;
+    if (!orderIds.has(order)) orderIds.set(order, nextOrderId++);
+    return orderIds.get(order);
+  };
+
+  const uploadImage = (img) => {
+    if (img === uploadedImage) return;
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, imageTex);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, img);
+    gl.generateMipmap(gl.TEXTURE_2D);
+    uploadedImage = img;
+  };
+
+  const uploadPieces = (key, width, height, data) => {
+    if (key === piecesKey) return;
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, piecesTex);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+    piecesKey = key;
+  };
+
+  // modes without a shader mask draw their paths once per change, white on transparent
+  const uploadMask = (key, mode, layout, mask, progress, cw, ch, scale, rect) => {
+    if (key === maskKey) return;
+    maskCanvas ??= createCanvas();
+    if (maskCanvas.width !== cw || maskCanvas.height !== ch) {
+      maskCanvas.width = cw;
+      maskCanvas.height = ch;
+    }
+    const mctx = maskCanvas.getContext("2d");
+    mctx.setTransform(1, 0, 0, 1, 0, 0);
+    mctx.clearRect(0, 0, cw, ch);
+    mctx.setTransform(scale, 0, 0, scale, -rect.x * scale, -rect.y * scale);
+    mctx.fillStyle = "#fff";
+    mctx.beginPath();
+    mask.settled.forEach((piece) => mode.addSettledPath(mctx, piece, layout));
+    mask.incoming.forEach((piece) => mode.addIncomingPath(mctx, piece, layout, progress));
+    mctx.fill();
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, maskTex);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, maskCanvas);
+    maskKey = key;
+  };
+
+  // Renders the reveal like drawReveal and copies it onto ctx (CSS px
+  // transform); pixelRatio sets the resolution of the GPU pass.
+  const draw = (
+    ctx,
+    {
+      img,
+      w,
+      h,
+      settings,
+      revealOrder,
+      seed,
+      stepIndex,
+      stepProgress,
+      pixelRatio = 1,
+      reducedMotion = false,
+    }
+  ) => {
+    if (lost || gl.isContextLost()) return false;
+    const iw = img.naturalWidth || img.width;
+    const ih = img.naturalHeight || img.height;
+    if (!iw || !ih || iw > maxTextureSize || ih > maxTextureSize) return false;
+
+    const rect = fitContain(iw, ih, w, h);
+    const cw = Math.max(1, Math.round(rect.w * pixelRatio));
+    const ch = Math.max(1, Math.round(rect.h * pixelRatio));
+    if (canvas.width !== cw || canvas.height !== ch) {
+      canvas.width = cw;
+      canvas.height = ch;
+    }
+
+    const { stepsTotal } = settings;
+    const fx = distortion(settings, stepIndex, stepsTotal, stepProgress);
+    const mode = getRevealMode(settings.revealMode);
+    const mask = maskPieces(revealOrder, stepIndex, stepsTotal, mode.pieceCount(settings));
+    const easedProgress = 1 - (1 - stepProgress) ** 3;
+
+    gl.useProgram(program);
+    uploadImage(img);
+
+    const order = orderId(revealOrder);
+    const pieceKey = `${mode.id}|${seed}|${order}|${mask.settled.length}|${mask.incoming.length}`;
+    let maskKind = MASK_TEXTURE;
+    if (mode.glMask === "grid") {
+      maskKind = MASK_GRID;
+      const n = settings.tileN;
+      uploadPieces(`${pieceKey}|${n}`, n, n, pieceData(n * n, mask, seed));
+      gl.uniform1i(uniforms.u_tileN, n);
+    } else if (mode.glMask === "wedges") {
+      maskKind = MASK_WEDGES;
+      const layout = mode.layout(rect, settings, seed);
+      const count = layout.segmentCount;
+      uploadPieces(`${pieceKey}|${count}`, count, 1, pieceData(count, mask, seed));
+      gl.uniform3f(uniforms.u_wedge, layout.angleOffset, layout.segmentAngle, count);
+    } else {
+      const layout = mode.layout(rect, settings, seed);
+      const progressKey = stepProgress < 1 ? easedProgress.toFixed(3) : "1";
+      uploadMask(
+        `${pieceKey}|${rect.x},${rect.y},${cw}x${ch}|${JSON.stringify(settings)}|${progressKey}`,
+        mode,
+        layout,
+        mask,
+        easedProgress,
+        cw,
+        ch,
+        pixelRatio,
+        rect
+      );
+    }
+
+    const sharp = fx.pixelScale >= 0.999;
+    const cellsX = Math.max(1, Math.floor(rect.w * fx.pixelScale));
+    const cellsY = Math.max(1, Math.floor(rect.h * fx.pixelScale));
+    gl.uniform2f(uniforms.u_size, rect.w, rect.h);
+    gl.uniform1f(uniforms.u_dpr, pixelRatio);
+    gl.uniform2f(uniforms.u_cells, sharp ? 0 : cellsX, sharp ? 0 : cellsY);
+    gl.uniform1f(uniforms.u_lod, Math.max(0, Math.log2(iw / (sharp ? cw : cellsX))));
+    gl.uniform1f(uniforms.u_blur, fx.blurPx);
+    gl.uniform1f(uniforms.u_noiseStrength, fx.noiseStrength);
+    gl.uniform1f(uniforms.u_noiseDensity, fx.noiseDensity);
+    const noiseStep = reducedMotion ? 0 : stepIndex;
+    gl.uniform1f(uniforms.u_noiseSeed, ((seed * 997 + noiseStep * 911) % 10007) + 0.5);
+    gl.uniform1f(uniforms.u_swirl, fx.swirl);
+    gl.uniform1f(uniforms.u_hex, fx.hexSize);
+    gl.uniform1f(uniforms.u_jigsaw, fx.jigsaw);
+    if (fx.jigsaw > 0) {
+      const offsets = jigsawOffsets(seed).flatMap(({ dx, dy }) => [dx, dy]);
+      gl.uniform2fv(uniforms["u_jigsawOffsets[0]"], offsets);
+    }
+    gl.uniform1f(uniforms.u_sketch, fx.sketch);
+    gl.uniform1f(uniforms.u_channelMix, fx.channelMix);
+    gl.uniform1i(uniforms.u_channelMode, fx.channelMode === "invert" ? 1 : 0);
+    gl.uniform1i(uniforms.u_maskKind, maskKind);
+    gl.uniform1f(uniforms.u_progress, easedProgress);
+    gl.uniform1f(
+      uniforms.u_glow,
+      mode.addGlowPath && stepProgress < 1 ? 0.35 * (1 - easedProgress) : 0
+    );
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, imageTex);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, piecesTex);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, maskTex);
+
+    gl.viewport(0, 0, cw, ch);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+    ctx.drawImage(canvas, rect.x, rect.y, rect.w, rect.h);
+    return true;
+  };
+
+  const dispose = () => {
+    gl.deleteTexture(imageTex);
+    gl.deleteTexture(piecesTex);
+    gl.deleteTexture(maskTex);
+    gl.deleteBuffer(buffer);
+    gl.deleteProgram(program);
+    gl.getExtension("WEBGL_lose_context")?.loseContext();
+  };
+
+  return { draw, dispose };
+}
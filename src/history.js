@@ -0,0 +1,124 @@
+// Game event log: every award, reveal step, skip and reset with enough
+// context (image, step, time) to undo it and to build a results table.
+//
+// entry: { id, type, imageName, image, roundIdx, roundTitle, round, play, stepIndex, at, team?,
+//          points?, before?, after? }   before/after = game snapshots for undo/redo
+// round is the reveal seed (a reset gets a new one), play counts the showings
+// of images (a reset keeps it)
+// types: "step" | "step-back" | "award" | "wrong" | "override" | "skip" | "reset"
+//        | "phase" (title card / standings left, see gamePlan.js)
+
+import { localized, t } from "./i18n.js";
+
+// labels as { de, en }, see localized() in i18n.js
+export const EVENT_LABELS = {
+  step: { de: "Schritt", en: "Step" },
+  "step-back": { de: "Schritt zurück", en: "Step back" },
+  award: { de: "Punkte", en: "Points" },
+  wrong: { de: "Falsche Antwort", en: "Wrong answer" },
+  override: { de: "Korrektur", en: "Correction" },
+  skip: { de: "Übersprungen", en: "Skipped" },
+  reset: { de: "Neustart", en: "Restart" },
+  phase: { de: "Rundenwechsel", en: "Round change" },
+};
+
+let nextId = 1;
+export const makeEventId = () => `${Date.now().toString(36)}-${nextId++}`;
+
+// log without the undo snapshots, for storage and export
+export const stripSnapshots = (log) =>
+  log.map((e) => {
+    const out = { ...e };
+    delete out.before;
+    delete out.after;
+    return out;
+  });
+
+// a showing of an image, resets included
+const showingOf = (e) => `${e.image}:${e.play}`;
+
+// one row per shown image
+export function resultsFromLog(log, teams) {
+  const rows = new Map();
+  log.forEach((e) => {
+    if (e.type === "phase") return;
+    const id = showingOf(e);
+    let row = rows.get(id);
+    // later verdict corrections only change the points of their round
+    if (e.type === "override") {
+      if (row) row.points += e.points;
+      return;
+    }
+    if (!row) {
+      row = {
+        id,
+        image: e.image + 1,
+        roundTitle: e.roundTitle ?? "",
+        imageName: e.imageName,
+        winner: "",
+        points: 0,
+        solvedAtStep: "",
+        maxStep: 0,
+        wrongAnswers: 0,
+        outcome: t("results.open"),
+        durationSec: 0,
+        startedAt: e.at,
+      };
+      rows.set(id, row);
+    }
+    row.maxStep = Math.max(row.maxStep, e.stepIndex + (e.type === "step" ? 1 : 0));
+    row.durationSec = Math.round((e.at - row.startedAt) / 1000);
+    if (e.type === "award") {
+      row.winner = teams[e.team]?.name ?? String(e.team);
+      row.points += e.points;
+      row.solvedAtStep = e.stepIndex;
+      row.outcome = t("results.solved");
+    } else if (e.type === "wrong") {
+      row.wrongAnswers += 1;
+    } else if (e.type === "skip") {
+      row.outcome = t("results.skipped");
+    }
+  });
+  return [...rows.values()];
+}
+
+// points[team][roundIdx] (game-plan rounds); corrections count for the
+// round their answer was given in
+export function pointsByRound(log, teamCount, roundCount) {
+  const out = Array.from({ length: teamCount }, () => Array(roundCount).fill(0));
+  const roundOfSeed = new Map();
+  log.forEach((e) => {
+    if (e.type !== "override" && !roundOfSeed.has(e.round)) {
+      roundOfSeed.set(e.round, e.roundIdx ?? 0);
+    }
+    if (!["award", "wrong", "override"].includes(e.type) || !out[e.team]) return;
+    const r = roundOfSeed.get(e.round) ?? e.roundIdx ?? 0;
+    if (r < roundCount) out[e.team][r] += e.points;
+  });
+  return out;
+}
+
+export const RESULT_COLUMNS = [
+  ["roundTitle", { de: "Runde", en: "Round" }],
+  ["image", { de: "Nr.", en: "No." }],
+  ["imageName", { de: "Bild", en: "Image" }],
+  ["outcome", { de: "Ergebnis", en: "Result" }],
+  ["winner", { de: "Team", en: "Team" }],
+  ["points", { de: "Punkte", en: "Points" }],
+  ["solvedAtStep", { de: "Gelöst bei Schritt", en: "Solved at step" }],
+  ["maxStep", { de: "Schritte gezeigt", en: "Steps shown" }],
+  ["wrongAnswers", { de: "Falsche Antworten", en: "Wrong answers" }],
+  ["durationSec", { de: "Dauer (s)", en: "Duration (s)" }],
+];
+
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[";\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// semicolon separated, so German Excel opens it without an import dialog
+export function toCsv(rows, columns) {
+  const lines = [columns.map(([, label]) => csvCell(localized(label))).join(";")];
+  rows.forEach((r) => lines.push(columns.map(([key]) => csvCell(r[key])).join(";")));
+  return lines.join("\n");
+}
@@ -0,0 +1,37 @@
+import { expect, it } from "vitest";
+import { resultsFromLog } from "./history.js";
+
+const teams = [{ name: "Rot" }, { name: "Blau" }];
+const entry = (type, image, play, round, extra = {}) => ({
+  type,
+  image,
+  play,
+  round,
+  imageName: `bild${image + 1}.jpg`,
+  stepIndex: 2,
+  at: 0,
+  ...extra,
+});
+
+it("keeps one row per showing of an image across resets", () => {
+  const rows = resultsFromLog(
+    [
+      entry("step", 0, 1, 5),
+      entry("reset", 0, 1, 5),
+      entry("step", 0, 1, 6),
+      entry("award", 0, 1, 6, { team: 1, points: 8 }),
+      entry("step", 1, 2, 7),
+      entry("skip", 1, 2, 7),
+      // the same image shown again later is a row of its own
+      entry("award", 0, 3, 8, { team: 0, points: 4 }),
+      // a correction is booked on the showing of its answer
+      entry("override", 1, 1, 6, { image: 0, team: 1, points: -8 }),
+    ],
+    teams
+  );
+  expect(rows.map((r) => [r.id, r.image, r.winner, r.points])).toEqual([
+    ["0:1", 1, "Blau", 0],
+    ["1:2", 2, "", 0],
+    ["0:3", 1, "Rot", 4],
+  ]);
+});
@@ -0,0 +1,59 @@
+// UI language. Strings live in locales/<lang>.js as flat key -> text maps with
+// {name} placeholders; English falls back to German (the original UI) for
+// missing keys. Option tables (reveal modes, effects, scoring curves, …) carry
+// their own { de, en } labels, read with localized(), so modes registered
+// later can bring their translations along.
+// The language is module state, so canvas drawing and validation messages
+// can use t() without it being passed around; App re-renders on change.
+
+import de from "./locales/de.js";
+import en from "./locales/en.js";
+
+export const LANGUAGES = [
+  { value: "de", label: "Deutsch" },
+  { value: "en", label: "English" },
+];
+
+const STRINGS = { de, en };
+const STORAGE_KEY = "dalliklick.language";
+
+function initialLanguage() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (STRINGS[stored]) return stored;
+  } catch {
+    // storage disabled: use the browser language
+  }
+  const browser = (globalThis.navigator?.language || "").slice(0, 2);
+  return STRINGS[browser] ? browser : "de";
+}
+
+let current = initialLanguage();
+if (globalThis.document) document.documentElement.lang = current;
+
+export const getLanguage = () => current;
+
+export function setLanguage(lang) {
+  if (!STRINGS[lang]) return;
+  current = lang;
+  if (globalThis.document) document.documentElement.lang = lang;
+  try {
+    localStorage.setItem(STORAGE_KEY, lang);
+  } catch {
+    // not remembered, still switched for this page
+  }
+}
+
+// another window (presenter) switched the language
+export const languageFromStorageEvent = (e) =>
+  e.key === STORAGE_KEY && STRINGS[e.newValue] ? e.newValue : null;
+
+export function t(key, params) {
+  const text = STRINGS[current][key] ?? de[key] ?? key;
+  if (!params) return text;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// "text" or { de, en } -> text in the current language
+export const localized = (label) =>
+  typeof label === "string" ? label : (label?.[current] ?? label?.de ?? "");
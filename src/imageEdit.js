@@ -0,0 +1,124 @@
+// Non-destructive per-image edits, stored as meta.edit: rotation, a zoomed
+// crop around a focus point, cover/contain fit and pre-filters that make an
+// image harder. The original blob is never changed; prepareImage renders the
+// edit into a canvas when the image loads, downscaled to the display size so
+// the draw loop never scales a full camera photo.
+
+import { clamp } from "./reveal/util.js";
+
+export const FIT_MODES = [
+  { value: "contain", label: { de: "Einpassen (ganzes Bild)", en: "Contain (whole image)" } },
+  { value: "cover", label: { de: "Füllen (Bildschirm füllen)", en: "Cover (fill the screen)" } },
+];
+
+export const IMAGE_FILTERS = [
+  { value: "none", label: { de: "Kein Filter", en: "No filter" } },
+  { value: "grayscale", label: { de: "Graustufen", en: "Grayscale" } },
+  { value: "posterize", label: { de: "Posterisieren", en: "Posterize" } },
+];
+
+export const ROTATIONS = [0, 90, 180, 270];
+
+export const DEFAULT_EDIT = {
+  rotate: 0,
+  zoom: 1, // 1 = whole image, 4 = a quarter of each side
+  focusX: 0.5, // crop centre, 0..1 of the rotated image
+  focusY: 0.5,
+  fit: "contain",
+  filter: "none",
+  levels: 4, // posterize: levels per channel
+};
+
+const oneOf = (value, options, fallback) =>
+  options.some((o) => (o.value ?? o) === value) ? value : fallback;
+
+const number = (value, min, max, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? clamp(n, min, max) : fallback;
+};
+
+export function normalizeEdit(edit) {
+  const e = edit || {};
+  return {
+    rotate: oneOf(Number(e.rotate), ROTATIONS, DEFAULT_EDIT.rotate),
+    zoom: number(e.zoom, 1, 8, DEFAULT_EDIT.zoom),
+    focusX: number(e.focusX, 0, 1, DEFAULT_EDIT.focusX),
+    focusY: number(e.focusY, 0, 1, DEFAULT_EDIT.focusY),
+    fit: oneOf(e.fit, FIT_MODES, DEFAULT_EDIT.fit),
+    filter: oneOf(e.filter, IMAGE_FILTERS, DEFAULT_EDIT.filter),
+    levels: Math.round(number(e.levels, 2, 8, DEFAULT_EDIT.levels)),
+  };
+}
+
+export const isDefaultEdit = (edit) => {
+  const e = normalizeEdit(edit);
+  return Object.keys(DEFAULT_EDIT).every((k) => e[k] === DEFAULT_EDIT[k]);
+};
+
+// Crop of the rotated iw x ih image in px: 1/zoom of each side, centred on the
+// focus point as far as the image allows. "cover" also trims it to aspect
+// (width / height of the screen) so the image fills it without bars.
+export function cropRect(iw, ih, edit, aspect) {
+  let w = iw / edit.zoom;
+  let h = ih / edit.zoom;
+  if (edit.fit === "cover" && aspect > 0) {
+    if (w / h > aspect) w = h * aspect;
+    else h = w / aspect;
+  }
+  return {
+    x: clamp(edit.focusX * iw - w / 2, 0, iw - w),
+    y: clamp(edit.focusY * ih - h / 2, 0, ih - h),
+    w,
+    h,
+  };
+}
+
+function applyFilter(ctx, w, h, { filter, levels }) {
+  const pixels = ctx.getImageData(0, 0, w, h);
+  const { data } = pixels;
+  const step = 255 / (levels - 1);
+  for (let i = 0; i < data.length; i += 4) {
+    if (filter === "grayscale") {
+      const lum = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+      data[i] = data[i + 1] = data[i + 2] = lum;
+    } else {
+      data[i] = Math.round(data[i] / step) * step;
+      data[i + 1] = Math.round(data[i + 1] / step) * step;
+      data[i + 2] = Math.round(data[i + 2] / step) * step;
+    }
+  }
+  ctx.putImageData(pixels, 0, 0);
+}
+
+// size of the game screen in device px; images are prepared for it
+export function displaySize() {
+  const dpr = window.devicePixelRatio || 1;
+  return { w: Math.round(window.innerWidth * dpr), h: Math.round(window.innerHeight * dpr) };
+}
+
+// Loaded image -> canvas with the edit applied, at most maxW x maxH device px.
+// aspect is the screen's width / height for "cover". Returns img itself when
+// there is nothing to do.
+export function prepareImage(img, edit, { maxW = Infinity, maxH = Infinity, aspect = 0 } = {}) {
+  const e = normalizeEdit(edit);
+  const nw = img.naturalWidth || img.width;
+  const nh = img.naturalHeight || img.height;
+  const turned = e.rotate % 180 !== 0;
+  const iw = turned ? nh : nw;
+  const ih = turned ? nw : nh;
+  const crop = cropRect(iw, ih, e, aspect);
+  const scale = Math.min(1, maxW / crop.w, maxH / crop.h);
+  if (scale === 1 && isDefaultEdit(e)) return img;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(crop.w * scale));
+  canvas.height = Math.max(1, Math.round(crop.h * scale));
+  const ctx = canvas.getContext("2d", { willReadFrequently: e.filter !== "none" });
+  ctx.imageSmoothingQuality = "high";
+  ctx.scale(scale, scale);
+  ctx.translate(iw / 2 - crop.x, ih / 2 - crop.y);
+  ctx.rotate((e.rotate * Math.PI) / 180);
+  ctx.drawImage(img, -nw / 2, -nh / 2);
+  if (e.filter !== "none") applyFilter(ctx, canvas.width, canvas.height, e);
+  return canvas;
+}
@@ -0,0 +1,53 @@
+// Image library: the loaded images in play order. Reordering, removing and
+// shuffling produce an index mapping (old index -> new index, -1 = removed) so
+// everything that refers to images by index (rounds, the current image,
+// skipped images) can follow. Images marked as used are skipped when the next
+// game starts.
+
+import { makeRandomOrder } from "./reveal/util.js";
+import { t } from "./i18n.js";
+
+// stable per image, so the stored blobs survive reordering (see session.js)
+let nextId = 1;
+export const makeImageId = () => `i${Date.now().toString(36)}${nextId++}`;
+
+// new order given as old indices -> mapping old index -> new index
+export function orderToMapping(order, count) {
+  const map = new Array(count).fill(-1);
+  order.forEach((oldIdx, newIdx) => (map[oldIdx] = newIdx));
+  return map;
+}
+
+export function moveOrder(count, from, to) {
+  const order = Array.from({ length: count }, (_, i) => i);
+  const [moved] = order.splice(from, 1);
+  order.splice(to, 0, moved);
+  return order;
+}
+
+export const removeOrder = (count, removed) =>
+  Array.from({ length: count }, (_, i) => i).filter((i) => !removed.includes(i));
+
+// same seed and image count -> same order
+export const shuffleOrder = (count, seed) => makeRandomOrder(count, seed);
+
+export const remapIndices = (indices, map) =>
+  indices.map((i) => map[i] ?? -1).filter((i) => i >= 0);
+
+export const remapRounds = (rounds, map) =>
+  rounds.map((r) => ({ ...r, images: remapIndices(r.images, map) }));
+
+export const usedIndices = (files) => files.flatMap((f, i) => (f.used ? [i] : []));
+
+// image files of a drop or paste; pasted screenshots all arrive as "image.png"
+export function imagesFromTransfer(dataTransfer, { pasted = false } = {}) {
+  const stamp = new Date().toLocaleTimeString().replace(/:/g, "-");
+  return Array.from(dataTransfer?.files || [])
+    .filter((file) => file.type.startsWith("image/"))
+    .map((file, i) => ({
+      name: pasted
+        ? `${t("library.clipboard")} ${stamp}${i ? `-${i + 1}` : ""}.${file.type.split("/")[1]}`
+        : file.name,
+      blob: file,
+    }));
+}
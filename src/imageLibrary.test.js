@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import {
+  moveOrder,
+  orderToMapping,
+  remapIndices,
+  remapRounds,
+  removeOrder,
+  shuffleOrder,
+  usedIndices,
+} from "./imageLibrary.js";
+
+const rounds = [
+  { title: "Tiere", images: [0, 1, 2] },
+  { title: "Städte", images: [3, 4] },
+];
+
+describe("moveOrder", () => {
+  it("moves one image and keeps the others in order", () => {
+    expect(moveOrder(5, 4, 1)).toEqual([0, 4, 1, 2, 3]);
+    expect(moveOrder(5, 0, 4)).toEqual([1, 2, 3, 4, 0]);
+    expect(moveOrder(3, 1, 1)).toEqual([0, 1, 2]);
+  });
+
+  it("lets rounds follow a moved image", () => {
+    const map = orderToMapping(moveOrder(5, 4, 0), 5);
+    expect(map).toEqual([1, 2, 3, 4, 0]);
+    expect(remapRounds(rounds, map).map((r) => r.images)).toEqual([
+      [1, 2, 3],
+      [4, 0],
+    ]);
+  });
+});
+
+describe("removal", () => {
+  it("maps removed images to -1 and closes the gap", () => {
+    expect(orderToMapping(removeOrder(5, [1, 3]), 5)).toEqual([0, -1, 1, -1, 2]);
+  });
+
+  it("drops an image from the middle of a planned round", () => {
+    const map = orderToMapping(removeOrder(5, [1]), 5);
+    const [first, second] = remapRounds(rounds, map);
+    expect(first).toEqual({ title: "Tiere", images: [0, 1] });
+    expect(second).toEqual({ title: "Städte", images: [2, 3] });
+    // the round objects are copies
+    expect(rounds[0].images).toEqual([0, 1, 2]);
+  });
+
+  it("leaves a round empty when all its images are gone", () => {
+    const map = orderToMapping(removeOrder(5, [3, 4]), 5);
+    expect(remapRounds(rounds, map)[1].images).toEqual([]);
+  });
+
+  it("drops indices the mapping does not know", () => {
+    expect(remapIndices([0, 7, 2], [1, -1, 0])).toEqual([1, 0]);
+  });
+});
+
+describe("shuffleOrder", () => {
+  it("gives the same order for the same seed and count", () => {
+    expect(shuffleOrder(12, 7)).toEqual(shuffleOrder(12, 7));
+    expect(shuffleOrder(12, 7)).not.toEqual(shuffleOrder(12, 8));
+  });
+
+  it("is a permutation the rounds can follow", () => {
+    const order = shuffleOrder(5, 3);
+    expect([...order].sort()).toEqual([0, 1, 2, 3, 4]);
+    const map = orderToMapping(order, 5);
+    const remapped = remapRounds(rounds, map);
+    remapped.forEach((r, i) =>
+      r.images.forEach((newIdx, j) => expect(order[newIdx]).toBe(rounds[i].images[j]))
+    );
+  });
+});
+
+it("lists the images marked as used", () => {
+  expect(usedIndices([{ used: true }, { used: false }, {}, { used: true }])).toEqual([0, 3]);
+});
@@ -0,0 +1,203 @@
+// Key bindings: every game action can have several keys, so a presentation
+// clicker (PageUp/PageDown) and a gamepad ("Pad:<button>", see gamepad.js)
+// work next to the keyboard. Keys are stored as canonical names from
+// eventKey() ("N", " ", "PageDown", "Ctrl+Z") and compared case-insensitively.
+// Bindings belong to the device, not to a game, so they live in localStorage;
+// like the language they are module state, read by the canvas screens and the
+// team key validation without being passed around.
+
+import { t } from "./i18n.js";
+
+// action id -> default keys; the ids are App's command names
+export const DEFAULT_KEY_BINDINGS = {
+  nextStep: [" ", "PageDown", "ArrowRight", "Pad:0", "Pad:15"],
+  prevStep: ["PageUp", "ArrowLeft", "Pad:1", "Pad:14"],
+  nextImage: ["N", "Pad:5"],
+  resetRound: ["R"],
+  toggleAutoPlay: ["P", "Pad:9"],
+  toggleScoreboard: ["S", "Pad:8"],
+  fullscreen: ["F"],
+  undo: ["Ctrl+Z"],
+  redo: ["Ctrl+Y", "Ctrl+Shift+Z"],
+  judgeCorrect: ["Enter", "Pad:3"],
+  judgeWrong: ["Backspace", "Pad:2"],
+  cancelBuzz: ["Escape"],
+};
+
+export const ACTIONS = Object.keys(DEFAULT_KEY_BINDINGS);
+
+// standard gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+const PAD_BUTTONS = [
+  "A",
+  "B",
+  "X",
+  "Y",
+  "LB",
+  "RB",
+  "LT",
+  "RT",
+  "Back",
+  "Start",
+  "L3",
+  "R3",
+  "↑",
+  "↓",
+  "←",
+  "→",
+  "Home",
+];
+
+const MODIFIER_KEYS = ["shift", "control", "alt", "altgraph", "meta", "capslock", "tab", "dead"];
+const STORAGE_KEY = "dalliklick.keyBindings";
+
+// unknown actions dropped, missing ones get their defaults
+export function readKeyBindings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  return Object.fromEntries(
+    ACTIONS.map((action) => [
+      action,
+      Array.isArray(src[action])
+        ? src[action].filter((k) => typeof k === "string" && k)
+        : [...DEFAULT_KEY_BINDINGS[action]],
+    ])
+  );
+}
+
+function loadKeyBindings() {
+  try {
+    return readKeyBindings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch {
+    return readKeyBindings(null);
+  }
+}
+
+let current = loadKeyBindings();
+
+export const getKeyBindings = () => current;
+
+export function setKeyBindings(bindings) {
+  current = readKeyBindings(bindings);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(current));
+  } catch {
+    // not remembered, still used for this page
+  }
+}
+
+// another window (presenter) changed the bindings
+export function keyBindingsFromStorageEvent(e) {
+  if (e.key !== STORAGE_KEY) return null;
+  try {
+    return readKeyBindings(JSON.parse(e.newValue));
+  } catch {
+    return null;
+  }
+}
+
+// Shift, Ctrl, Tab, … alone never trigger or bind anything
+export const isModifierKey = (key) => MODIFIER_KEYS.includes(String(key).toLowerCase());
+
+// keys typed into a form field or editable text are no shortcuts
+export const isTypingTarget = (target) =>
+  ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName) || !!target?.isContentEditable;
+
+// keydown (or a forwarded copy of it) -> canonical key name. Shift only counts
+// next to Ctrl/Alt: on its own it just changes the character.
+export function eventKey(e) {
+  const ctrl = e.ctrlKey || e.metaKey;
+  const key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  return (
+    (ctrl ? "Ctrl+" : "") +
+    (e.altKey ? "Alt+" : "") +
+    (e.shiftKey && (ctrl || e.altKey) ? "Shift+" : "") +
+    key
+  );
+}
+
+export const sameKey = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// action bound to the key, or null
+export const boundAction = (key, bindings = current) =>
+  ACTIONS.find((action) => bindings[action].some((k) => sameKey(k, key))) ?? null;
+
+export const actionLabel = (action) => t(`bindings.${action}`);
+
+// " " -> "Space"/"Leertaste", "Ctrl+Z" -> "Strg+Z", "Pad:0" -> "Pad A"
+export function keyName(key) {
+  if (!key) return "";
+  if (key === " ") return t("keys.space");
+  const pad = /^pad:(\d+)$/i.exec(key);
+  if (pad) return t("keys.pad", { button: PAD_BUTTONS[pad[1]] ?? pad[1] });
+  if (key === "Escape") return "Esc";
+  return key.replace(/^Ctrl\+/, `${t("keys.ctrl")}+`);
+}
+
+// first keyboard key of the action (pads and clickers are extras), or "—"
+export function actionKeyName(action, bindings = current) {
+  const keys = bindings[action];
+  return keyName(keys.find((k) => !/^pad:/i.test(k)) ?? keys[0]) || "—";
+}
+
+// { correct, wrong, cancel } for the buzzer help texts
+export const judgeKeyNames = () => ({
+  correct: actionKeyName("judgeCorrect"),
+  wrong: actionKeyName("judgeWrong"),
+  cancel: actionKeyName("cancelBuzz"),
+});
+
+// returns an error message, or "" when the key can be added to the action
+export function validateBinding(key, action, teams, bindings = current) {
+  const other = boundAction(key, bindings);
+  if (other === action) return "";
+  const name = keyName(key);
+  if (other) return t("keys.reserved", { key: name, action: actionLabel(other) });
+  const hotkeyTeam = teams.find((team) => sameKey(team.hotkey, key));
+  if (hotkeyTeam) return t("keys.awardsTeam", { key: name, team: hotkeyTeam.name });
+  const buzzTeam = teams.find((team) => sameKey(team.buzzKey, key));
+  if (buzzTeam) return t("keys.buzzerOfTeam", { key: name, team: buzzTeam.name });
+  return "";
+}
+
+// the default bindings without the keys teams already award or buzz with;
+// conflicts: the messages validateBinding gives for the keys left out
+export function defaultBindingsFor(teams) {
+  // checked against no bindings, so only the team keys can refuse a key
+  const none = Object.fromEntries(ACTIONS.map((action) => [action, []]));
+  const conflicts = [];
+  const bindings = Object.fromEntries(
+    ACTIONS.map((action) => [
+      action,
+      DEFAULT_KEY_BINDINGS[action].filter((key) => {
+        const message = validateBinding(key, action, teams, none);
+        if (message) conflicts.push(message);
+        return !message;
+      }),
+    ])
+  );
+  return { bindings, conflicts };
+}
+
+// "Space Schritt · A/B Punkte · N Nächstes Bild · …"
+export function keyLegend(teams, { buzzerMode = false } = {}) {
+  const teamKeys = (prop) =>
+    teams
+      .map((team) => team[prop])
+      .filter(Boolean)
+      .map(keyName)
+      .join("/");
+  const bound = (action) => current[action].length > 0 && actionKeyName(action);
+  const entries = [
+    [bound("nextStep"), t("legend.step")],
+    [teamKeys("hotkey"), t("legend.award")],
+    [buzzerMode && teamKeys("buzzKey"), t("legend.buzz")],
+    [bound("nextImage"), t("legend.nextImage")],
+    [bound("resetRound"), t("legend.reset")],
+    [bound("toggleAutoPlay"), t("legend.auto")],
+    [bound("fullscreen"), t("legend.fullscreen")],
+    [bound("toggleScoreboard"), t("legend.scoreboard")],
+  ];
+  return entries
+    .filter(([keys]) => keys)
+    .map(([keys, action]) => `${keys} ${action}`)
+    .join(" · ");
+}
@@ -0,0 +1,127 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_KEY_BINDINGS,
+  actionLabel,
+  boundAction,
+  defaultBindingsFor,
+  isTypingTarget,
+  keyBindingsFromStorageEvent,
+  readKeyBindings,
+  validateBinding,
+} from "./keyBindings.js";
+import { t } from "./i18n.js";
+
+const teams = [
+  { name: "Rot", hotkey: "A", buzzKey: "Q" },
+  { name: "Blau", hotkey: "B", buzzKey: "W" },
+];
+
+describe("boundAction", () => {
+  it("finds the action of a key in any case", () => {
+    expect(boundAction("pagedown")).toBe("nextStep");
+    expect(boundAction("Ctrl+shift+z")).toBe("redo");
+    expect(boundAction("Pad:5")).toBe("nextImage");
+  });
+
+  it("leaves team keys and unbound keys alone", () => {
+    expect(boundAction("A")).toBe(null);
+    expect(boundAction("Q")).toBe(null);
+    expect(boundAction("")).toBe(null);
+  });
+
+  it("gives a key bound twice to the first action", () => {
+    const bindings = readKeyBindings({ nextImage: ["N"], resetRound: ["R", "n"] });
+    expect(boundAction("N", bindings)).toBe("nextImage");
+  });
+});
+
+describe("validateBinding", () => {
+  it("accepts free keys and keys the action already has", () => {
+    expect(validateBinding("X", "resetRound", teams)).toBe("");
+    expect(validateBinding("n", "nextImage", teams)).toBe("");
+  });
+
+  it("rejects a key of another action", () => {
+    expect(validateBinding("N", "resetRound", teams)).toBe(
+      t("keys.reserved", { key: "N", action: actionLabel("nextImage") })
+    );
+    const bindings = readKeyBindings({ ...DEFAULT_KEY_BINDINGS, resetRound: ["X"] });
+    expect(validateBinding("x", "nextImage", teams, bindings)).toBe(
+      t("keys.reserved", { key: "x", action: actionLabel("resetRound") })
+    );
+  });
+
+  it("rejects team hotkeys and buzz keys", () => {
+    expect(validateBinding("a", "nextImage", teams)).toBe(
+      t("keys.awardsTeam", { key: "a", team: "Rot" })
+    );
+    expect(validateBinding("W", "nextImage", teams)).toBe(
+      t("keys.buzzerOfTeam", { key: "W", team: "Blau" })
+    );
+  });
+});
+
+describe("readKeyBindings", () => {
+  it("falls back to the defaults for missing or broken bindings", () => {
+    expect(readKeyBindings(null)).toEqual(DEFAULT_KEY_BINDINGS);
+    expect(readKeyBindings("nope")).toEqual(DEFAULT_KEY_BINDINGS);
+    expect(readKeyBindings({ nextStep: "N" }).nextStep).toEqual(DEFAULT_KEY_BINDINGS.nextStep);
+  });
+
+  it("keeps stored keys, drops unknown actions and invalid keys", () => {
+    const bindings = readKeyBindings({
+      nextImage: ["M", 3, "", null],
+      resetRound: [],
+      jump: ["J"],
+    });
+    expect(bindings.nextImage).toEqual(["M"]);
+    // an action without keys stays unbound
+    expect(bindings.resetRound).toEqual([]);
+    expect(bindings.undo).toEqual(DEFAULT_KEY_BINDINGS.undo);
+    expect(bindings).not.toHaveProperty("jump");
+  });
+
+  it("hands out copies of the defaults", () => {
+    readKeyBindings(null).nextImage.push("X");
+    expect(DEFAULT_KEY_BINDINGS.nextImage).not.toContain("X");
+  });
+});
+
+describe("defaultBindingsFor", () => {
+  it("gives the defaults when no team key clashes", () => {
+    expect(defaultBindingsFor(teams)).toEqual({ bindings: DEFAULT_KEY_BINDINGS, conflicts: [] });
+  });
+
+  it("keeps team keys and reports the defaults left out", () => {
+    const clashing = [
+      { name: "Rot", hotkey: "S", buzzKey: "Q" },
+      { name: "Blau", hotkey: "B", buzzKey: "n" },
+    ];
+    const { bindings, conflicts } = defaultBindingsFor(clashing);
+    expect(bindings.toggleScoreboard).toEqual(["Pad:8"]);
+    expect(bindings.nextImage).toEqual(["Pad:5"]);
+    expect(bindings.nextStep).toEqual(DEFAULT_KEY_BINDINGS.nextStep);
+    expect(conflicts).toEqual([
+      t("keys.buzzerOfTeam", { key: "N", team: "Blau" }),
+      t("keys.awardsTeam", { key: "S", team: "Rot" }),
+    ]);
+  });
+});
+
+it("reads bindings changed in another window", () => {
+  const key = "dalliklick.keyBindings";
+  expect(keyBindingsFromStorageEvent({ key: "other", newValue: "{}" })).toBe(null);
+  expect(keyBindingsFromStorageEvent({ key, newValue: "{" })).toBe(null);
+  expect(keyBindingsFromStorageEvent({ key, newValue: '{"nextImage":["M"]}' }).nextImage).toEqual([
+    "M",
+  ]);
+});
+
+it("treats form fields and editable text as typing targets", () => {
+  expect(["INPUT", "TEXTAREA", "SELECT"].every((tagName) => isTypingTarget({ tagName }))).toBe(
+    true
+  );
+  expect(isTypingTarget({ tagName: "DIV", isContentEditable: true })).toBe(true);
+  expect(isTypingTarget({ tagName: "BUTTON" })).toBe(false);
+  expect(isTypingTarget(undefined)).toBe(false);
+});
@@ -0,0 +1,297 @@
+// German UI strings (see i18n.js); {name} marks a placeholder.
+export default {
+  "app.language": "Sprache",
+
+  "setup.screen": "Startbildschirm",
+  "setup.title": "Spiel vorbereiten",
+  "setup.intro":
+    "Lade zuerst die Bilder und lege die Spielregeln fest. Danach startest du den Spielmodus.",
+  "setup.resume": "Letztes Spiel fortsetzen",
+  "setup.resumeInfo": "{count} Bilder, Bild {image}, Schritt {step}",
+  "setup.savedAt": "gespeichert {date}",
+  "setup.resumeNoImages": "Gespeicherte Bilder nicht gefunden.",
+  "setup.resumeLoadFailed": "Gespeicherte Bilder konnten nicht geladen werden: {error}",
+  "setup.start": "Spiel starten",
+  "setup.backToGame": "Zurück zum Spiel",
+  "setup.allUsed": "Alle Bilder sind als benutzt markiert.",
+  "setup.noImages": "Bitte erst Bilder laden.",
+
+  "results.title": "Ergebnisse",
+  "results.exportCsv": "CSV exportieren",
+  "results.exportJson": "JSON exportieren",
+  "results.clearLog": "Protokoll löschen",
+  "results.fileName": "ergebnisse",
+  "results.open": "offen",
+  "results.solved": "gelöst",
+  "results.skipped": "übersprungen",
+
+  "library.title": "Bilder",
+  "library.seed": "Seed",
+  "library.shuffle": "Mischen",
+  "library.skipUsed": "Benutzte Bilder überspringen",
+  "library.resetUsed": "Markierungen zurücksetzen",
+  "library.removeAll": "Alle entfernen",
+  "library.summary":
+    "{count} Bilder, davon {used} benutzt. Reihenfolge per Ziehen ändern; weitere Bilder hierher ziehen oder mit Strg+V einfügen.",
+  "library.empty":
+    "Noch keine Bilder ausgewählt. Bilder auch hierher ziehen oder mit Strg+V einfügen.",
+  "library.used": "benutzt",
+  "library.edit": "Zuschneiden, drehen, Filter",
+  "library.remove": "Bild entfernen",
+  "library.clipboard": "Zwischenablage",
+  "library.saveFailed": "Bilder konnten nicht gespeichert werden: {error}",
+  "library.pick": "Bilder auswählen",
+
+  "editor.title": "Bild bearbeiten: {name}",
+  "editor.close": "Schließen",
+  "editor.original": "Original – Klick setzt den Fokuspunkt",
+  "editor.inGame": "Im Spiel",
+  "editor.zoom": "Zoom",
+  "editor.fit": "Anzeige",
+  "editor.rotate": "Drehung",
+  "editor.filter": "Filter",
+  "editor.levels": "Stufen",
+  "editor.reset": "Zurücksetzen",
+  "editor.focusPoint": "Fokuspunkt – mit den Pfeiltasten verschieben",
+  "editor.loadFailed": "Bild konnte nicht geladen werden: {error}",
+
+  "pack.title": "Quiz-Paket",
+  "pack.import": "Importieren",
+  "pack.titlePlaceholder": "Titel",
+  "pack.export": "Exportieren",
+  "pack.metaSummary": "Antworten, Kategorien und Hinweise",
+  "pack.answer": "Antwort",
+  "pack.alternatives": "Alternativen (a, b, …)",
+  "pack.category": "Kategorie",
+  "pack.hint": "Hinweis",
+  "pack.answerTolerance": "Getippte Antworten: erlaubte Tippfehler",
+  "pack.invalidJson": "Quiz-Paket ist kein gültiges JSON.",
+  "pack.notAPack": "Datei ist kein Dalli-Klick-Quiz-Paket.",
+  "pack.unsupportedVersion": "Quiz-Paket Version {version} wird nicht unterstützt.",
+  "pack.invalidImage": "Bild {number} im Quiz-Paket ist ungültig.",
+  "pack.invalidSetting": "Quiz-Paket-Einstellung {key} hat einen ungültigen Wert: {value}",
+  "pack.exportFailed": "Quiz-Paket konnte nicht exportiert werden: {error}",
+
+  "plan.title": "Spielablauf",
+  "plan.addRound": "+ Runde",
+  "plan.summary": "{count} Runden mit Titelkarte und Zwischenstand",
+  "plan.none": "Ohne Runden werden alle Bilder nacheinander gespielt.",
+  "plan.round": "Runde {n}",
+  "plan.imagesPlaceholder": "Bilder, z. B. 1-5, 8",
+  "plan.modeAsAbove": "Aufdeckmodus wie oben",
+  "plan.removeRound": "Runde entfernen",
+  "plan.scoreBreakdown": "Punkte pro Runde im Punktestand zeigen",
+  "plan.unplanned": "Nicht eingeplant: Bild {images}",
+  "plan.roundOf": "Runde {n} von {total}",
+  "plan.images": "{count} Bilder",
+  "plan.go": "{key} = los geht's",
+  "plan.standingsAfter": "Zwischenstand nach Runde {n} von {total}",
+  "plan.nextRound": "{key} = nächste Runde",
+
+  "config.title": "Konfiguration",
+  "config.revealMode": "Aufdeckmodus",
+  "config.disturb": "Störgrad gesamt",
+  "config.fairReveal": "Faires Aufdecken (markante Stellen zuletzt)",
+  "config.tileN": "Rastergröße (Tiles)",
+  "config.steps": "Schritte",
+  "config.autoInterval": "Auto-Aufdecken: Sekunden pro Schritt",
+  "config.showHud": "HUD anzeigen",
+  "config.highContrastHud": "HUD mit hohem Kontrast",
+  "config.reducedMotion": "Weniger Bewegung (keine Animationen, ruhiges Konfetti, kein Aufblitzen)",
+  "config.gpuRender": "GPU-Rendering (WebGL2)",
+
+  "effects.title": "Störeffekte",
+  "effects.custom": "Eigene Einstellung",
+  "effects.deletePreset": "Vorlage löschen",
+  "effects.presetName": "Name der Vorlage",
+  "effects.savePreset": "Als Vorlage speichern",
+  "effects.preset": "Vorlage",
+  "effects.curve": "Verlauf",
+  "effects.channelMode": "Kanäle",
+
+  "clip.title": "Clip exportieren",
+  "clip.image": "Bild",
+  "clip.format": "Format",
+  "clip.height": "Höhe",
+  "clip.framesPerStep": "Bilder pro Schritt",
+  "clip.stepSec": "Sekunden pro Schritt",
+  "clip.hud": "HUD einblenden",
+  "clip.create": "Clip erstellen",
+  "clip.recording": "Aufnahme … {percent} %",
+  "clip.realtime":
+    "Videos werden in Echtzeit aufgenommen: Die Aufnahme dauert so lange wie der Clip.",
+  "clip.noWebm": "Dieser Browser kann keine WebM-Videos aufnehmen.",
+
+  "print.title": "Druckvorlage",
+  "print.stepsPlaceholder": "z. B. 2, 5, 10",
+  "print.busy": "Wird erstellt …",
+  "print.help":
+    "Alle Bilder in Spielreihenfolge, mit denselben Einstellungen wie im Spiel. Das PDF enthält eine Antwortzeile pro Bild und am Ende die Lösungen.",
+  "print.noSteps": "Keine gültigen Schritte angegeben.",
+  "print.pngFailed": "PNG konnte nicht erzeugt werden.",
+  "print.stageLabel": "Bild {number} · Schritt {step}",
+  "print.image": "Bild {number}",
+  "print.step": "Schritt {step}",
+  "print.answer": "Antwort:",
+  "print.solutions": "Lösungen",
+  "print.also": "auch: {list}",
+  "print.fileImage": "bild",
+  "print.fileStages": "stufen",
+
+  "scoring.title": "Punkteregeln",
+  "scoring.max": "Max.",
+  "scoring.min": "Min.",
+  "scoring.curve": "Verlauf",
+  "scoring.tiers": "Stufen",
+  "scoring.earlyBonus": "Frühbonus",
+  "scoring.beforeStep": "vor Schritt",
+  "scoring.streakBonus": "Serienbonus % pro Sieg",
+  "scoring.streakCap": "max. Siege",
+  "scoring.wrongPoints": "Abzug bei falscher Antwort",
+  "scoring.preview": "Vorschau je Schritt:",
+
+  "team.name": "Team {name}",
+  "teams.title": "Teams",
+  "teams.add": "+ Team",
+  "teams.resetScores": "Punkte löschen",
+  "teams.color": "Teamfarbe",
+  "teams.key": "Taste",
+  "teams.buzzer": "Buzzer",
+  "teams.pressKey": "Taste drücken (Entf = keine)",
+  "teams.players": "Spieler (a, b, …)",
+  "teams.score": "{score} P.",
+  "teams.up": "nach oben",
+  "teams.down": "nach unten",
+  "teams.remove": "Team entfernen",
+  "teams.help": "Punkte werden im Spielmodus mit der Taste des Teams vergeben.",
+  "teams.buzzerMode": "Buzzer-Modus",
+  "teams.buzzerHelp":
+    "Nach dem Buzzern: {correct} = richtig, {wrong} = falsch (Abzug laut Punkteregeln, Team bis zum nächsten Bild gesperrt), {cancel} = abbrechen.",
+
+  "keys.space": "Leertaste",
+  "keys.ctrl": "Strg",
+  "keys.pad": "Pad {button}",
+  "keys.reserved": "Taste „{key}“ ist schon „{action}“ zugeordnet.",
+  "keys.awardsPoints": "Taste „{key}“ vergibt bereits Punkte an ein Team.",
+  "keys.awardsTeam": "Taste „{key}“ vergibt schon Punkte an Team {team}.",
+  "keys.buzzerOfTeam": "Taste „{key}“ ist schon Buzzer von Team {team}.",
+  "keys.isBuzzer": "Taste „{key}“ ist schon ein Buzzer.",
+
+  "bindings.title": "Tastenbelegung",
+  "bindings.nextStep": "Nächster Schritt",
+  "bindings.prevStep": "Schritt zurück",
+  "bindings.nextImage": "Nächstes Bild",
+  "bindings.resetRound": "Runde reset",
+  "bindings.toggleAutoPlay": "Auto-Aufdecken an/aus",
+  "bindings.toggleScoreboard": "Punktestand",
+  "bindings.fullscreen": "Vollbild",
+  "bindings.undo": "Rückgängig",
+  "bindings.redo": "Wiederholen",
+  "bindings.judgeCorrect": "Buzzer: richtig",
+  "bindings.judgeWrong": "Buzzer: falsch",
+  "bindings.cancelBuzz": "Buzzer: abbrechen",
+  "bindings.award": "Punkte für Team {team}",
+  "bindings.buzz": "Buzzer von Team {team}",
+  "bindings.addKey": "+ Taste",
+  "bindings.change": "Ändern",
+  "bindings.removeKey": "Taste entfernen",
+  "bindings.pressKey": "Taste, Clicker oder Gamepad-Knopf drücken …",
+  "bindings.cancel": "Abbrechen",
+  "bindings.reset": "Standardbelegung",
+  "bindings.help":
+    "Jede Aktion kann mehrere Tasten haben. Presenter-Clicker senden meist Bild↑/Bild↓ (PageUp/PageDown), Gamepads werden per Standard-Belegung erkannt. Die Belegung gilt für dieses Gerät.",
+
+  "remote.title": "Handy-Buzzer",
+  "remote.enable": "Aktivieren",
+  "remote.server": "Server",
+  "remote.connected": "verbunden",
+  "remote.disconnected": "keine Verbindung",
+  "remote.invalidUrl": "ungültige Adresse (ws://host:port)",
+  "remote.qrAlt": "QR-Code zum Beitreten",
+  "remote.roomCode": "Raumcode:",
+  "remote.roomLost":
+    "Der alte Raum ließ sich nicht zurückholen – Handys müssen dem neuen Raum beitreten.",
+  "remote.playersConnected": "{count} Spieler verbunden",
+  "remote.help":
+    "Server mit „npm run dev:buzzer“ starten; Handys im selben WLAN treten per QR-Code bei.",
+
+  "game.prevStep": "◀ Schritt ({key})",
+  "game.nextStep": "Schritt ▶ ({key})",
+  "game.nextImage": "Nächstes Bild ({key})",
+  "game.resetRound": "Runde reset ({key})",
+  "game.pause": "⏸ Pause ({key})",
+  "game.auto": "▶ Auto ({key})",
+  "game.continue": "Weiter ▶ ({key})",
+  "game.undo": "↶ Rückgängig",
+  "game.redo": "↷ Wiederholen",
+  "game.scoreboard": "Punktestand ({key})",
+  "game.presenter": "Moderatorfenster",
+  "game.correct": "✔ Richtig ({key})",
+  "game.wrong": "✘ Falsch ({key})",
+  "game.check": "Prüfen",
+  "game.quote": "„{text}“",
+  "game.round": "Runde {n}/{total}",
+  "game.image": "Bild {n}/{total}",
+  "game.category": "Kategorie: {category}",
+  "game.room": "Raum {code} · {count} Spieler",
+  "game.answers": "{count} Antworten",
+  "game.teamKey": "Taste {key}",
+  "game.buzzed": "Team {team}{who} hat gebuzzert!",
+  "game.judgeHelp": "{correct} = richtig · {wrong} = falsch · {cancel} = abbrechen",
+  "game.fullscreenRefused": "Der Browser hat Vollbild abgelehnt: {key} auf der Tastatur drücken.",
+  "game.locked": "Gesperrt: {names}",
+
+  "presenter.title": "Moderation",
+  "presenter.fullscreenHint": "Vollbild geht nur im Publikumsfenster: dort {key} drücken.",
+  "presenter.waiting": "Warte auf das Spiel im Hauptfenster …",
+  "presenter.titleCard": "Titelkarte",
+  "presenter.standings": "Zwischenstand",
+  "presenter.alsoCorrect": "Auch richtig: {list}",
+  "presenter.hint": "Hinweis: {hint}",
+  "presenter.step": "Schritt",
+  "presenter.points": "Aktuelle Punkte:",
+  "presenter.backToImage": "Zurück zum Bild ({key})",
+  "presenter.buzzed": "Team {team} hat gebuzzert",
+  "presenter.cancel": "Abbrechen ({key})",
+  "presenter.typedAnswer": "Getippte Antwort",
+  "presenter.verdicts": "Bewertungen",
+  "presenter.verdictAt": "{image}, Schritt {step}, {points} P.",
+  "presenter.auto": "(automatisch)",
+  "presenter.events": "Verlauf",
+  "presenter.eventAt": "{image}, Schritt {step}",
+
+  "hud.step": "Schritt: {step}/{total}",
+  "hud.points": "Aktuelle Punkte: {points}",
+  "hud.streak": "{team} mit Serie: {points}",
+  "hud.noImage": "Bilder laden, dann Space drücken …",
+
+  "legend.step": "Schritt",
+  "legend.award": "Punkte",
+  "legend.buzz": "Buzzer",
+  "legend.nextImage": "Nächstes Bild",
+  "legend.reset": "Reset",
+  "legend.auto": "Auto",
+  "legend.fullscreen": "Vollbild",
+  "legend.scoreboard": "Punktestand",
+
+  "board.title": "Punktestand",
+  "board.back": "{key} = zurück zum Bild",
+  "board.gameOver": "Spielende",
+  "board.tie": "Gleichstand: {teams}",
+  "board.wins": "{team} gewinnt!",
+  "board.points": "{points} Punkte",
+  "board.roundShort": "R{n}",
+
+  "verdict.correct": "✔ richtig",
+  "verdict.wrong": "✘ falsch",
+  "verdict.open": "? offen",
+
+  "a11y.step": "Schritt {step} von {total}, {points} Punkte",
+  "a11y.scores": "Punktestand: {scores}",
+  "a11y.teamScore": "Team {team} {score}",
+  "a11y.forItem": "{field}, {item}",
+  "a11y.teamName": "Name von Team {n}",
+  "a11y.answerTeam": "Antwortendes Team",
+  "a11y.markCorrect": "Doch richtig",
+  "a11y.markWrong": "Doch falsch",
+};
@@ -0,0 +1,295 @@
+// English UI strings (see i18n.js); missing keys fall back to German.
+export default {
+  "app.language": "Language",
+
+  "setup.screen": "Start screen",
+  "setup.title": "Prepare the game",
+  "setup.intro": "Load the images and set up the rules first, then start the game mode.",
+  "setup.resume": "Resume last game",
+  "setup.resumeInfo": "{count} images, image {image}, step {step}",
+  "setup.savedAt": "saved {date}",
+  "setup.resumeNoImages": "Saved images not found.",
+  "setup.resumeLoadFailed": "Saved images could not be loaded: {error}",
+  "setup.start": "Start game",
+  "setup.backToGame": "Back to game",
+  "setup.allUsed": "All images are marked as used.",
+  "setup.noImages": "Please load images first.",
+
+  "results.title": "Results",
+  "results.exportCsv": "Export CSV",
+  "results.exportJson": "Export JSON",
+  "results.clearLog": "Clear log",
+  "results.fileName": "results",
+  "results.open": "open",
+  "results.solved": "solved",
+  "results.skipped": "skipped",
+
+  "library.title": "Images",
+  "library.seed": "Seed",
+  "library.shuffle": "Shuffle",
+  "library.skipUsed": "Skip used images",
+  "library.resetUsed": "Reset used marks",
+  "library.removeAll": "Remove all",
+  "library.summary":
+    "{count} images, {used} of them used. Drag to reorder; drop more images here or paste them with Ctrl+V.",
+  "library.empty":
+    "No images selected yet. You can also drop images here or paste them with Ctrl+V.",
+  "library.used": "used",
+  "library.edit": "Crop, rotate, filter",
+  "library.remove": "Remove image",
+  "library.clipboard": "Clipboard",
+  "library.saveFailed": "Images could not be saved: {error}",
+  "library.pick": "Choose images",
+
+  "editor.title": "Edit image: {name}",
+  "editor.close": "Close",
+  "editor.original": "Original – click sets the focus point",
+  "editor.inGame": "In game",
+  "editor.zoom": "Zoom",
+  "editor.fit": "Display",
+  "editor.rotate": "Rotation",
+  "editor.filter": "Filter",
+  "editor.levels": "Levels",
+  "editor.reset": "Reset",
+  "editor.focusPoint": "Focus point – move with the arrow keys",
+  "editor.loadFailed": "Image could not be loaded: {error}",
+
+  "pack.title": "Quiz pack",
+  "pack.import": "Import",
+  "pack.titlePlaceholder": "Title",
+  "pack.export": "Export",
+  "pack.metaSummary": "Answers, categories and hints",
+  "pack.answer": "Answer",
+  "pack.alternatives": "Alternatives (a, b, …)",
+  "pack.category": "Category",
+  "pack.hint": "Hint",
+  "pack.answerTolerance": "Typed answers: allowed typos",
+  "pack.invalidJson": "Quiz pack is not valid JSON.",
+  "pack.notAPack": "File is not a Dalli Klick quiz pack.",
+  "pack.unsupportedVersion": "Quiz pack version {version} is not supported.",
+  "pack.invalidImage": "Image {number} in the quiz pack is invalid.",
+  "pack.invalidSetting": "Quiz pack setting {key} has an invalid value: {value}",
+  "pack.exportFailed": "Quiz pack could not be exported: {error}",
+
+  "plan.title": "Game plan",
+  "plan.addRound": "+ Round",
+  "plan.summary": "{count} rounds with title card and standings",
+  "plan.none": "Without rounds all images are played one after another.",
+  "plan.round": "Round {n}",
+  "plan.imagesPlaceholder": "Images, e.g. 1-5, 8",
+  "plan.modeAsAbove": "Reveal mode as above",
+  "plan.removeRound": "Remove round",
+  "plan.scoreBreakdown": "Show points per round on the scoreboard",
+  "plan.unplanned": "Not planned: image {images}",
+  "plan.roundOf": "Round {n} of {total}",
+  "plan.images": "{count} images",
+  "plan.go": "{key} = let's go",
+  "plan.standingsAfter": "Standings after round {n} of {total}",
+  "plan.nextRound": "{key} = next round",
+
+  "config.title": "Configuration",
+  "config.revealMode": "Reveal mode",
+  "config.disturb": "Overall distortion",
+  "config.fairReveal": "Fair reveal (salient areas last)",
+  "config.tileN": "Grid size (tiles)",
+  "config.steps": "Steps",
+  "config.autoInterval": "Auto reveal: seconds per step",
+  "config.showHud": "Show HUD",
+  "config.highContrastHud": "High-contrast HUD",
+  "config.reducedMotion": "Reduced motion (no animations, calm confetti, no flashes)",
+  "config.gpuRender": "GPU rendering (WebGL2)",
+
+  "effects.title": "Distortion effects",
+  "effects.custom": "Custom",
+  "effects.deletePreset": "Delete preset",
+  "effects.presetName": "Preset name",
+  "effects.savePreset": "Save as preset",
+  "effects.preset": "Preset",
+  "effects.curve": "Fade curve",
+  "effects.channelMode": "Channels",
+
+  "clip.title": "Export clip",
+  "clip.image": "Image",
+  "clip.format": "Format",
+  "clip.height": "Height",
+  "clip.framesPerStep": "Frames per step",
+  "clip.stepSec": "Seconds per step",
+  "clip.hud": "Include HUD",
+  "clip.create": "Create clip",
+  "clip.recording": "Recording … {percent} %",
+  "clip.realtime": "Videos are recorded in real time: recording takes as long as the clip.",
+  "clip.noWebm": "This browser cannot record WebM videos.",
+
+  "print.title": "Print sheet",
+  "print.stepsPlaceholder": "e.g. 2, 5, 10",
+  "print.busy": "Creating …",
+  "print.help":
+    "All images in game order, with the same settings as in the game. The PDF has an answer line per image and the solutions at the end.",
+  "print.noSteps": "No valid steps given.",
+  "print.pngFailed": "Could not create PNG.",
+  "print.stageLabel": "Image {number} · step {step}",
+  "print.image": "Image {number}",
+  "print.step": "Step {step}",
+  "print.answer": "Answer:",
+  "print.solutions": "Solutions",
+  "print.also": "also: {list}",
+  "print.fileImage": "image",
+  "print.fileStages": "stages",
+
+  "scoring.title": "Scoring rules",
+  "scoring.max": "Max.",
+  "scoring.min": "Min.",
+  "scoring.curve": "Curve",
+  "scoring.tiers": "Tiers",
+  "scoring.earlyBonus": "Early bonus",
+  "scoring.beforeStep": "before step",
+  "scoring.streakBonus": "Streak bonus % per win",
+  "scoring.streakCap": "max. wins",
+  "scoring.wrongPoints": "Penalty for a wrong answer",
+  "scoring.preview": "Preview per step:",
+
+  "team.name": "Team {name}",
+  "teams.title": "Teams",
+  "teams.add": "+ Team",
+  "teams.resetScores": "Clear points",
+  "teams.color": "Team colour",
+  "teams.key": "Key",
+  "teams.buzzer": "Buzzer",
+  "teams.pressKey": "Press a key (Del = none)",
+  "teams.players": "Players (a, b, …)",
+  "teams.score": "{score} pts",
+  "teams.up": "move up",
+  "teams.down": "move down",
+  "teams.remove": "Remove team",
+  "teams.help": "In game mode, points are awarded with the team's key.",
+  "teams.buzzerMode": "Buzzer mode",
+  "teams.buzzerHelp":
+    "After a buzz: {correct} = correct, {wrong} = wrong (penalty per scoring rules, team locked until the next image), {cancel} = cancel.",
+
+  "keys.space": "Space",
+  "keys.ctrl": "Ctrl",
+  "keys.pad": "Pad {button}",
+  "keys.reserved": "Key “{key}” is already bound to “{action}”.",
+  "keys.awardsPoints": "Key “{key}” already awards points to a team.",
+  "keys.awardsTeam": "Key “{key}” already awards points to team {team}.",
+  "keys.buzzerOfTeam": "Key “{key}” is already the buzzer of team {team}.",
+  "keys.isBuzzer": "Key “{key}” is already a buzzer.",
+
+  "bindings.title": "Key bindings",
+  "bindings.nextStep": "Next step",
+  "bindings.prevStep": "Previous step",
+  "bindings.nextImage": "Next image",
+  "bindings.resetRound": "Reset round",
+  "bindings.toggleAutoPlay": "Auto reveal on/off",
+  "bindings.toggleScoreboard": "Scoreboard",
+  "bindings.fullscreen": "Fullscreen",
+  "bindings.undo": "Undo",
+  "bindings.redo": "Redo",
+  "bindings.judgeCorrect": "Buzzer: correct",
+  "bindings.judgeWrong": "Buzzer: wrong",
+  "bindings.cancelBuzz": "Buzzer: cancel",
+  "bindings.award": "Points for team {team}",
+  "bindings.buzz": "Buzzer of team {team}",
+  "bindings.addKey": "+ Key",
+  "bindings.change": "Change",
+  "bindings.removeKey": "Remove key",
+  "bindings.pressKey": "Press a key, clicker or gamepad button …",
+  "bindings.cancel": "Cancel",
+  "bindings.reset": "Default bindings",
+  "bindings.help":
+    "Each action can have several keys. Presentation clickers usually send PageUp/PageDown; gamepads are read with the standard mapping. Bindings apply to this device.",
+
+  "remote.title": "Phone buzzers",
+  "remote.enable": "Enable",
+  "remote.server": "Server",
+  "remote.connected": "connected",
+  "remote.disconnected": "not connected",
+  "remote.invalidUrl": "invalid address (ws://host:port)",
+  "remote.qrAlt": "QR code to join",
+  "remote.roomCode": "Room code:",
+  "remote.roomLost":
+    "The old room could not be taken back – phones have to join the new room.",
+  "remote.playersConnected": "{count} players connected",
+  "remote.help":
+    "Start the server with “npm run dev:buzzer”; phones on the same Wi-Fi join via the QR code.",
+
+  "game.prevStep": "◀ Step ({key})",
+  "game.nextStep": "Step ▶ ({key})",
+  "game.nextImage": "Next image ({key})",
+  "game.resetRound": "Reset round ({key})",
+  "game.pause": "⏸ Pause ({key})",
+  "game.auto": "▶ Auto ({key})",
+  "game.continue": "Continue ▶ ({key})",
+  "game.undo": "↶ Undo",
+  "game.redo": "↷ Redo",
+  "game.scoreboard": "Scoreboard ({key})",
+  "game.presenter": "Presenter window",
+  "game.correct": "✔ Correct ({key})",
+  "game.wrong": "✘ Wrong ({key})",
+  "game.check": "Check",
+  "game.quote": "“{text}”",
+  "game.round": "Round {n}/{total}",
+  "game.image": "Image {n}/{total}",
+  "game.category": "Category: {category}",
+  "game.room": "Room {code} · {count} players",
+  "game.answers": "{count} answers",
+  "game.teamKey": "key {key}",
+  "game.buzzed": "Team {team}{who} buzzed!",
+  "game.judgeHelp": "{correct} = correct · {wrong} = wrong · {cancel} = cancel",
+  "game.fullscreenRefused": "The browser refused fullscreen: press {key} on the keyboard.",
+  "game.locked": "Locked: {names}",
+
+  "presenter.title": "Presenter",
+  "presenter.fullscreenHint": "Fullscreen only works in the audience window: press {key} there.",
+  "presenter.waiting": "Waiting for the game in the main window …",
+  "presenter.titleCard": "Title card",
+  "presenter.standings": "Standings",
+  "presenter.alsoCorrect": "Also correct: {list}",
+  "presenter.hint": "Hint: {hint}",
+  "presenter.step": "Step",
+  "presenter.points": "Current points:",
+  "presenter.backToImage": "Back to the image ({key})",
+  "presenter.buzzed": "Team {team} buzzed",
+  "presenter.cancel": "Cancel ({key})",
+  "presenter.typedAnswer": "Typed answer",
+  "presenter.verdicts": "Verdicts",
+  "presenter.verdictAt": "{image}, step {step}, {points} pts",
+  "presenter.auto": "(auto)",
+  "presenter.events": "History",
+  "presenter.eventAt": "{image}, step {step}",
+
+  "hud.step": "Step: {step}/{total}",
+  "hud.points": "Current points: {points}",
+  "hud.streak": "{team} on a streak: {points}",
+  "hud.noImage": "Load images, then press Space …",
+
+  "legend.step": "Step",
+  "legend.award": "Points",
+  "legend.buzz": "Buzzer",
+  "legend.nextImage": "Next image",
+  "legend.reset": "Reset",
+  "legend.auto": "Auto",
+  "legend.fullscreen": "Fullscreen",
+  "legend.scoreboard": "Scoreboard",
+
+  "board.title": "Scoreboard",
+  "board.back": "{key} = back to the image",
+  "board.gameOver": "Game over",
+  "board.tie": "Tie: {teams}",
+  "board.wins": "{team} wins!",
+  "board.points": "{points} points",
+  "board.roundShort": "R{n}",
+
+  "verdict.correct": "✔ correct",
+  "verdict.wrong": "✘ wrong",
+  "verdict.open": "? open",
+
+  "a11y.step": "Step {step} of {total}, {points} points",
+  "a11y.scores": "Score: {scores}",
+  "a11y.teamScore": "Team {team} {score}",
+  "a11y.forItem": "{field}, {item}",
+  "a11y.teamName": "Name of team {n}",
+  "a11y.answerTeam": "Answering team",
+  "a11y.markCorrect": "Mark as correct",
+  "a11y.markWrong": "Mark as wrong",
+};
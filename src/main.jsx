@@ -2,9 +2,13 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import Presenter from './Presenter.jsx'
+import { isPresenterView } from './presenterChannel.js'
+
+const Root = isPresenterView() ? Presenter : App
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <Root />
   </StrictMode>,
 )
@@ -0,0 +1,89 @@
+// Canvas screens shown between the reveals: round title card and standings
+// intermission. The end of the game shows the scoreboard (scoreboard.js).
+
+import { addRoundedRectPath } from "./reveal/util.js";
+import { teamColorAlpha } from "./teams.js";
+import { t } from "./i18n.js";
+import { actionKeyName } from "./keyBindings.js";
+
+// [{ team, id, name, color, score, rank }] sorted by score; equal scores share a rank
+export function rankTeams(teams) {
+  const sorted = teams
+    .map((t, i) => ({ team: i, id: t.id, name: t.name, color: t.color, score: t.score }))
+    .sort((a, b) => b.score - a.score || a.team - b.team);
+  sorted.forEach((entry, i) => {
+    entry.rank = i > 0 && sorted[i - 1].score === entry.score ? sorted[i - 1].rank : i + 1;
+  });
+  return sorted;
+}
+
+export function centerText(ctx, text, x, y, font, color) {
+  ctx.font = font;
+  ctx.fillStyle = color;
+  ctx.textAlign = "center";
+  ctx.fillText(text, x, y);
+  ctx.textAlign = "start";
+}
+
+export function drawTitleCard(ctx, w, h, { round, index, total }) {
+  const cy = h / 2;
+  const of = t("plan.roundOf", { n: index + 1, total });
+  centerText(ctx, of, w / 2, cy - 90, "20px system-ui", "#888");
+  centerText(
+    ctx,
+    round.title || t("plan.round", { n: index + 1 }),
+    w / 2,
+    cy - 20,
+    "bold 56px system-ui",
+    "#fff"
+  );
+  if (round.category) {
+    centerText(ctx, round.category, w / 2, cy + 35, "28px system-ui", "rgb(120, 220, 255)");
+  }
+  const images = t("plan.images", { count: round.images.length });
+  centerText(ctx, images, w / 2, cy + 80, "18px system-ui", "#aaa");
+  const go = t("plan.go", { key: actionKeyName("nextStep") });
+  centerText(ctx, go, w / 2, h - 40, "15px system-ui", "#777");
+}
+
+function drawRanking(ctx, w, top, ranking) {
+  const best = Math.max(1, ...ranking.map((r) => r.score));
+  const rowH = Math.min(56, 300 / Math.max(1, ranking.length));
+  const bw = Math.min(w - 80, 640);
+  const bx = (w - bw) / 2;
+  ranking.forEach((r, i) => {
+    const y = top + i * rowH;
+    ctx.fillStyle = "#1b1b1b";
+    ctx.beginPath();
+    addRoundedRectPath(ctx, bx, y, bw, rowH - 8, 8);
+    ctx.fill();
+    ctx.fillStyle = teamColorAlpha(r.color, r.rank === 1 ? 0.45 : 0.3);
+    ctx.beginPath();
+    addRoundedRectPath(ctx, bx, y, Math.max(16, (bw * Math.max(0, r.score)) / best), rowH - 8, 8);
+    ctx.fill();
+    ctx.font = `bold ${Math.round(rowH * 0.4)}px system-ui`;
+    ctx.fillStyle = "#fff";
+    ctx.textBaseline = "middle";
+    ctx.fillText(`${r.rank}. ${t("team.name", { name: r.name })}`, bx + 16, y + (rowH - 8) / 2);
+    ctx.textAlign = "end";
+    ctx.fillText(String(r.score), bx + bw - 16, y + (rowH - 8) / 2);
+    ctx.textAlign = "start";
+    ctx.textBaseline = "alphabetic";
+  });
+}
+
+export function drawStandings(ctx, w, h, { teams, round, index, total }) {
+  centerText(
+    ctx,
+    t("plan.standingsAfter", { n: index + 1, total }),
+    w / 2,
+    70,
+    "20px system-ui",
+    "#888"
+  );
+  const title = round.title || t("plan.round", { n: index + 1 });
+  centerText(ctx, title, w / 2, 115, "bold 36px system-ui", "#fff");
+  drawRanking(ctx, w, 150, rankTeams(teams));
+  const next = t("plan.nextRound", { key: actionKeyName("nextStep") });
+  centerText(ctx, next, w / 2, h - 40, "15px system-ui", "#777");
+}
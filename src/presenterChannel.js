@@ -0,0 +1,19 @@
+// Messages between the audience window (game host) and the presenter window.
+//
+// presenter -> host: { type: "hello" } | { type: "bye" }
+//                    { type: "key", key, code, ctrlKey, metaKey, shiftKey }
+//                    { type: "command", name, team? }
+// host -> presenter: { type: "state", state }
+//                    { type: "ping" } (host reloaded, presenter answers "hello")
+
+export const PRESENTER_CHANNEL = "dalliklick-presenter";
+export const PRESENTER_WINDOW = "dalliklick-presenter";
+
+export const isPresenterView = () =>
+  new URLSearchParams(window.location.search).get("view") === "presenter";
+
+export function openPresenterWindow() {
+  const url = new URL(window.location.href);
+  url.searchParams.set("view", "presenter");
+  return window.open(url.toString(), PRESENTER_WINDOW, "popup,width=1100,height=760");
+}
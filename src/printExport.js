@@ -0,0 +1,158 @@
+// Printable reveal stages: chosen steps of every image drawn with the same
+// deterministic renderer as the game (renderReveal.js), exported as PNG sprite
+// sheets (one per image, zipped) or as a PDF handout with an answer key.
+// The PDF and zip libraries are loaded on first use.
+
+import { drawReveal } from "./renderReveal.js";
+import { t } from "./i18n.js";
+
+export const PRINT_FORMATS = [
+  { value: "pdf", label: { de: "PDF-Handout", en: "PDF handout" } },
+  { value: "png", label: { de: "PNG-Bögen (ZIP)", en: "PNG sheets (ZIP)" } },
+];
+
+export const DEFAULT_PRINT = { format: "pdf", steps: "2, 5, 10", height: 600 };
+
+// "2, 5, 10" -> [2, 5, 10], limited to 0..stepsTotal, sorted, without duplicates
+export function parseStepList(text, stepsTotal) {
+  const steps = String(text)
+    .split(/[,;\s]+/)
+    .map((x) => parseInt(x, 10))
+    .filter((n) => Number.isFinite(n) && n >= 0 && n <= stepsTotal);
+  return [...new Set(steps)].sort((a, b) => a - b);
+}
+
+// one stage as its own canvas, fully settled (no step animation)
+export function renderStage({ img, settings, revealOrder, seed, stepIndex, height }) {
+  const h = Math.round(height);
+  const iw = img.naturalWidth || img.width;
+  const ih = img.naturalHeight || img.height;
+  const w = Math.max(1, Math.round((h * iw) / ih));
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#111";
+  ctx.fillRect(0, 0, w, h);
+  drawReveal(ctx, document.createElement("canvas"), {
+    img,
+    w,
+    h,
+    settings,
+    revealOrder,
+    seed,
+    stepIndex,
+    stepProgress: 1,
+  });
+  return canvas;
+}
+
+const sheetColumns = (count) => Math.min(count, count === 4 ? 2 : 3);
+
+// stages side by side, each with a "Bild n · Schritt s" badge
+function spriteSheet(number, stages) {
+  const gap = 12;
+  const cols = sheetColumns(stages.length);
+  const rows = Math.ceil(stages.length / cols);
+  const { width: cw, height: ch } = stages[0].canvas;
+  const sheet = document.createElement("canvas");
+  sheet.width = cols * cw + (cols + 1) * gap;
+  sheet.height = rows * ch + (rows + 1) * gap;
+  const ctx = sheet.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, sheet.width, sheet.height);
+  const fontPx = Math.max(14, Math.round(ch / 22));
+  ctx.font = `bold ${fontPx}px system-ui`;
+  stages.forEach(({ canvas, stepIndex }, i) => {
+    const x = gap + (i % cols) * (cw + gap);
+    const y = gap + Math.floor(i / cols) * (ch + gap);
+    ctx.drawImage(canvas, x, y);
+    const label = t("print.stageLabel", { number, step: stepIndex });
+    ctx.fillStyle = "rgba(0,0,0,0.65)";
+    ctx.fillRect(x, y, ctx.measureText(label).width + 20, fontPx + 16);
+    ctx.fillStyle = "#fff";
+    ctx.fillText(label, x + 10, y + fontPx + 6);
+  });
+  return sheet;
+}
+
+async function canvasBytes(canvas) {
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+  if (!blob) throw new Error(t("print.pngFailed"));
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+// items: [{ number, name, meta, stages: [{ stepIndex, canvas }] }]
+export async function exportSpriteSheets(items) {
+  const { zipSync } = await import("fflate");
+  const files = {};
+  for (const item of items) {
+    const name = `${t("print.fileImage")}-${String(item.number).padStart(2, "0")}.png`;
+    files[name] = [await canvasBytes(spriteSheet(item.number, item.stages)), { level: 0 }];
+  }
+  return new Blob([zipSync(files)], { type: "application/zip" });
+}
+
+// A4 portrait: one page per image (stages, answer line), then the answer key
+export async function exportHandout(items, { title = "" } = {}) {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const pageW = 210;
+  const pageH = 297;
+  const margin = 15;
+
+  items.forEach((item, idx) => {
+    if (idx > 0) doc.addPage();
+    doc.setFontSize(11);
+    doc.setTextColor(120);
+    if (title) doc.text(title, margin, margin);
+    doc.setTextColor(0);
+    doc.setFontSize(20);
+    doc.text(t("print.image", { number: item.number }), margin, margin + 10);
+
+    const cols = item.stages.length > 1 ? 2 : 1;
+    const rows = Math.ceil(item.stages.length / cols);
+    const gap = 6;
+    const labelH = 6;
+    const top = margin + 18;
+    const areaH = pageH - top - margin - 20;
+    const cellW = (pageW - 2 * margin - (cols - 1) * gap) / cols;
+    const cellH = (areaH - (rows - 1) * gap) / rows - labelH;
+    item.stages.forEach(({ canvas, stepIndex }, i) => {
+      const aspect = canvas.width / canvas.height;
+      const iw = Math.min(cellW, cellH * aspect);
+      const ih = iw / aspect;
+      const x = margin + (i % cols) * (cellW + gap) + (cellW - iw) / 2;
+      const y = top + Math.floor(i / cols) * (cellH + labelH + gap);
+      doc.addImage(canvas, "JPEG", x, y, iw, ih);
+      doc.setFontSize(10);
+      doc.text(t("print.step", { step: stepIndex }), x, y + ih + 4.5);
+    });
+
+    doc.setFontSize(12);
+    doc.text(t("print.answer"), margin, pageH - margin - 4);
+    doc.line(margin + 22, pageH - margin - 4, pageW - margin, pageH - margin - 4);
+  });
+
+  doc.addPage();
+  doc.setFontSize(20);
+  const solutions = t("print.solutions");
+  doc.text(title ? `${solutions} – ${title}` : solutions, margin, margin + 10);
+  doc.setFontSize(12);
+  let y = margin + 22;
+  items.forEach((item) => {
+    const { answer, alternatives, category } = item.meta;
+    let line = `${item.number}. ${answer || item.name}`;
+    if (alternatives.length) line += ` (${t("print.also", { list: alternatives.join(", ") })})`;
+    if (category) line += ` – ${category}`;
+    const wrapped = doc.splitTextToSize(line, pageW - 2 * margin);
+    if (y + wrapped.length * 6 > pageH - margin) {
+      doc.addPage();
+      y = margin + 10;
+    }
+    doc.text(wrapped, margin, y);
+    y += wrapped.length * 6 + 2;
+  });
+
+  return doc.output("blob");
+}
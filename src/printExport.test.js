@@ -0,0 +1,16 @@
+import { expect, it } from "vitest";
+import { parseStepList } from "./printExport.js";
+
+it("reads steps separated by commas, semicolons and spaces", () => {
+  expect(parseStepList("2, 5;10  7", 10)).toEqual([2, 5, 7, 10]);
+  expect(parseStepList(" 3 ,, 1 ", 10)).toEqual([1, 3]);
+});
+
+it("drops steps outside 0..stepsTotal and text that is no number", () => {
+  expect(parseStepList("-1, 0, 4, 11, x, ", 10)).toEqual([0, 4]);
+  expect(parseStepList("", 10)).toEqual([]);
+});
+
+it("sorts and removes duplicates", () => {
+  expect(parseStepList("8, 2, 8, 02, 5", 10)).toEqual([2, 5, 8]);
+});
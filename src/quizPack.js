@@ -0,0 +1,159 @@
+// Quiz pack: a single JSON file with embedded images (data URLs),
+// per-image metadata (answer, alternatives, category, hint, settings, edit)
+// and an optional game plan (rounds, see gamePlan.js).
+
+import { normalizeEdit } from "./imageEdit.js";
+import { t } from "./i18n.js";
+import { coerceModeSetting, listRevealModes } from "./reveal/index.js";
+
+export const PACK_FORMAT = "dalliklick-pack";
+export const PACK_VERSION = 1;
+
+// settings an image may override for its own round
+export const IMAGE_SETTING_KEYS = ["revealMode", "tileN", "stepsTotal", "disturb", "wedgeSegments"];
+
+// limits of the setup form; mode settings bring their own (see reveal/index.js)
+const BASE_SETTING_DEFS = [
+  { key: "tileN", type: "number", min: 6, max: 40 },
+  { key: "stepsTotal", type: "number", min: 5, max: 80 },
+  { key: "disturb", type: "number", min: 0, max: 10 },
+];
+
+const settingDef = (key) =>
+  [...BASE_SETTING_DEFS, ...listRevealModes().flatMap((m) => m.settings)].find(
+    (def) => def.key === key
+  );
+
+export const emptyMeta = () => ({
+  answer: "",
+  alternatives: [],
+  category: "",
+  hint: "",
+  settings: {},
+  edit: normalizeEdit(),
+});
+
+// Overrides of an image (or a round, see gamePlan.js): numbers are parsed and
+// clamped like in the setup form; unknown reveal modes and values that are no
+// numbers are dropped, so the base setting applies.
+export function readSettingOverrides(src) {
+  const out = {};
+  if (!src || typeof src !== "object") return out;
+  IMAGE_SETTING_KEYS.forEach((k) => {
+    const value = src[k];
+    if (value === undefined || value === null || value === "") return;
+    if (k === "revealMode") {
+      if (listRevealModes().some((m) => m.id === value)) out[k] = value;
+      return;
+    }
+    if (Number.isFinite(parseInt(value, 10))) out[k] = coerceModeSetting(settingDef(k), value);
+  });
+  return out;
+}
+
+// Settings of a whole pack: read like overrides, but a value that would be
+// dropped rejects the pack instead of silently falling back.
+function readPackSettings(src) {
+  const settings = src && typeof src === "object" ? src : {};
+  const overrides = readSettingOverrides(settings);
+  const invalid = IMAGE_SETTING_KEYS.find(
+    (k) => settings[k] !== undefined && settings[k] !== null && !(k in overrides)
+  );
+  if (invalid) {
+    throw new Error(t("pack.invalidSetting", { key: invalid, value: String(settings[invalid]) }));
+  }
+  return { ...settings, ...overrides };
+}
+
+export function normalizeMeta(meta) {
+  const m = meta || {};
+  return {
+    answer: String(m.answer || ""),
+    alternatives: Array.isArray(m.alternatives) ? m.alternatives.map(String).filter(Boolean) : [],
+    category: String(m.category || ""),
+    hint: String(m.hint || ""),
+    settings: readSettingOverrides(m.settings),
+    edit: normalizeEdit(m.edit),
+  };
+}
+
+// merge the game's base settings with the per-image overrides
+export function applyImageSettings(base, meta) {
+  return { ...base, ...readSettingOverrides(meta?.settings) };
+}
+
+const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+
+// files: [{name, blob, meta}] -> Blob (application/json)
+export async function exportPack(files, { title = "", settings = {}, rounds = [] } = {}) {
+  const images = [];
+  for (const f of files) {
+    images.push({
+      name: f.name,
+      data: await blobToDataUrl(f.blob),
+      ...normalizeMeta(f.meta),
+    });
+  }
+  const pack = {
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    title,
+    createdAt: new Date().toISOString(),
+    settings,
+    rounds,
+    images,
+  };
+  return new Blob([JSON.stringify(pack)], { type: "application/json" });
+}
+
+// File -> { title, settings, rounds, images: [{name, blob, meta}] }
+// settings are checked and clamped; rounds are returned as stored, the caller
+// normalizes them
+export async function importPack(file) {
+  let pack;
+  try {
+    pack = JSON.parse(await file.text());
+  } catch {
+    throw new Error(t("pack.invalidJson"));
+  }
+  if (pack?.format !== PACK_FORMAT || !Array.isArray(pack.images)) {
+    throw new Error(t("pack.notAPack"));
+  }
+  if (pack.version > PACK_VERSION) {
+    throw new Error(t("pack.unsupportedVersion", { version: pack.version }));
+  }
+  const images = [];
+  for (const [i, entry] of pack.images.entries()) {
+    if (typeof entry?.data !== "string" || !entry.data.startsWith("data:image/")) {
+      throw new Error(t("pack.invalidImage", { number: i + 1 }));
+    }
+    images.push({
+      name: String(entry.name || t("print.image", { number: i + 1 })),
+      blob: await dataUrlToBlob(entry.data),
+      meta: normalizeMeta(entry),
+    });
+  }
+  return {
+    title: String(pack.title || ""),
+    settings: readPackSettings(pack.settings),
+    rounds: Array.isArray(pack.rounds) ? pack.rounds : [],
+    images,
+  };
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import {
+  PACK_FORMAT,
+  applyImageSettings,
+  importPack,
+  normalizeMeta,
+  readSettingOverrides,
+} from "./quizPack.js";
+import { t } from "./i18n.js";
+
+describe("readSettingOverrides", () => {
+  it("clamps numbers to the setup form's limits", () => {
+    expect(readSettingOverrides({ tileN: 5000, stepsTotal: 1, disturb: -3 })).toEqual({
+      tileN: 40,
+      stepsTotal: 5,
+      disturb: 0,
+    });
+    expect(readSettingOverrides({ wedgeSegments: 1000 })).toEqual({ wedgeSegments: 36 });
+  });
+
+  it("parses numeric strings", () => {
+    expect(readSettingOverrides({ tileN: "8", stepsTotal: "12" })).toEqual({
+      tileN: 8,
+      stepsTotal: 12,
+    });
+  });
+
+  it("drops unknown reveal modes, non-numbers and unknown keys", () => {
+    expect(
+      readSettingOverrides({ revealMode: "NOPE", tileN: "many", disturb: {}, secret: 1 })
+    ).toEqual({});
+    expect(readSettingOverrides({ revealMode: "BLINDS" })).toEqual({ revealMode: "BLINDS" });
+    expect(readSettingOverrides(null)).toEqual({});
+  });
+});
+
+it("applies only valid image overrides", () => {
+  const base = { revealMode: "GRID_RANDOM", tileN: 18, stepsTotal: 20 };
+  const meta = normalizeMeta({ settings: { tileN: 5000, revealMode: "NOPE" } });
+  expect(applyImageSettings(base, meta)).toEqual({ ...base, tileN: 40 });
+  // metadata stored before the check (sessions) is read the same way
+  expect(applyImageSettings(base, { settings: { stepsTotal: "9" } }).stepsTotal).toBe(9);
+});
+
+describe("importPack", () => {
+  const packFile = (settings) => ({
+    text: async () => JSON.stringify({ format: PACK_FORMAT, version: 1, images: [], settings }),
+  });
+
+  it("parses and clamps the pack settings", async () => {
+    const pack = await importPack(packFile({ tileN: "12", stepsTotal: 500, scoring: {} }));
+    expect(pack.settings).toEqual({ tileN: 12, stepsTotal: 80, scoring: {} });
+  });
+
+  it("rejects settings that are no valid values", async () => {
+    await expect(importPack(packFile({ tileN: "many" }))).rejects.toThrow(
+      t("pack.invalidSetting", { key: "tileN", value: "many" })
+    );
+    await expect(importPack(packFile({ revealMode: "NOPE" }))).rejects.toThrow("revealMode");
+  });
+
+  it("reads image names as text", async () => {
+    const image = (name) => ({ name, data: "data:image/png;base64,AA==" });
+    const pack = await importPack({
+      text: async () =>
+        JSON.stringify({ format: PACK_FORMAT, version: 1, images: [image(42), image("")] }),
+    });
+    expect(pack.images.map((img) => img.name)).toEqual([
+      "42",
+      t("print.image", { number: 2 }),
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+// Host side of the phone buzzer link (see server/buzzer-server.js).
+// Emits "message" (detail = server message) and "status" (detail = state)
+// events and reconnects on its own until closed, taking its room back with the
+// room's token. An address the WebSocket constructor refuses ends in the
+// "error" state without retrying.
+
+export const defaultRemoteUrl = () => `ws://${window.location.hostname || "localhost"}:8787`;
+
+// ws:// or wss:// with a host and no fragment, anything else makes
+// `new WebSocket()` throw
+export function isRemoteUrl(url) {
+  if (String(url).includes("#")) return false;
+  try {
+    const { protocol, host } = new URL(url);
+    return (protocol === "ws:" || protocol === "wss:") && !!host;
+  } catch {
+    return false;
+  }
+}
+
+export function createRemoteLink(url, { room = "", token = "" } = {}) {
+  const events = new EventTarget();
+  let ws = null;
+  let closed = false;
+  let retry = 0;
+  let code = room;
+  let status = "closed";
+
+  const emit = (type, detail) => {
+    if (type === "status") status = detail;
+    events.dispatchEvent(new CustomEvent(type, { detail }));
+  };
+
+  const send = (msg) => {
+    if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+  };
+
+  const connect = () => {
+    emit("status", "connecting");
+    try {
+      ws = new WebSocket(url);
+    } catch {
+      ws = null;
+      emit("status", "error");
+      return;
+    }
+    ws.onopen = () => {
+      emit("status", "open");
+      send({ type: "host", room: code, token });
+    };
+    ws.onmessage = (ev) => {
+      let msg;
+      try {
+        msg = JSON.parse(ev.data);
+      } catch {
+        return;
+      }
+      if (msg.type === "room") {
+        code = msg.code;
+        token = msg.token;
+      }
+      // the room could not be taken back: open a new one; the error still
+      // goes out, as phones have to join the new room
+      if (msg.type === "error" && msg.error === "roomTaken") {
+        code = "";
+        token = "";
+        send({ type: "host" });
+      }
+      emit("message", msg);
+    };
+    ws.onclose = () => {
+      if (closed) return;
+      emit("status", "closed");
+      retry = setTimeout(connect, 2000);
+    };
+  };
+  connect();
+
+  return {
+    events,
+    send,
+    get status() {
+      return status;
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(retry);
+      ws?.close();
+    },
+  };
+}
@@ -0,0 +1,65 @@
+import { afterEach, expect, it, vi } from "vitest";
+import { createRemoteLink, isRemoteUrl } from "./remote.js";
+
+afterEach(() => vi.unstubAllGlobals());
+
+it("accepts only ws(s) addresses the WebSocket constructor takes", () => {
+  expect(isRemoteUrl("ws://192.168.0.5:8787")).toBe(true);
+  expect(isRemoteUrl("wss://quiz.local")).toBe(true);
+  for (const url of ["foo", "", "http://localhost:8787", "ws://localhost:8787/#x", "ws://a#"]) {
+    expect(isRemoteUrl(url)).toBe(false);
+  }
+});
+
+it("reports an address the constructor refuses instead of throwing", () => {
+  vi.useFakeTimers();
+  const WebSocket = vi.fn(function () {
+    throw new SyntaxError("bad url");
+  });
+  vi.stubGlobal("WebSocket", WebSocket);
+  const link = createRemoteLink("foo");
+  expect(link.status).toBe("error");
+  // no retry loop for an address that cannot work
+  vi.advanceTimersByTime(10000);
+  expect(WebSocket).toHaveBeenCalledTimes(1);
+  link.close();
+  vi.useRealTimers();
+});
+
+it("takes its room back with the token and opens a new one when that fails", () => {
+  vi.useFakeTimers();
+  const sockets = [];
+  class FakeSocket {
+    static OPEN = 1;
+    readyState = 1;
+    sent = [];
+    constructor() {
+      sockets.push(this);
+    }
+    send(raw) {
+      this.sent.push(JSON.parse(raw));
+    }
+    receive(msg) {
+      this.onmessage({ data: JSON.stringify(msg) });
+    }
+    close() {}
+  }
+  vi.stubGlobal("WebSocket", FakeSocket);
+  const link = createRemoteLink("ws://quiz.local");
+  const messages = [];
+  link.events.addEventListener("message", (ev) => messages.push(ev.detail));
+
+  sockets[0].onopen();
+  expect(sockets[0].sent).toEqual([{ type: "host", room: "", token: "" }]);
+  sockets[0].receive({ type: "room", code: "ABCD", token: "secret", joinUrls: [] });
+  sockets[0].onclose();
+  vi.advanceTimersByTime(2000);
+  sockets[1].onopen();
+  expect(sockets[1].sent).toEqual([{ type: "host", room: "ABCD", token: "secret" }]);
+
+  sockets[1].receive({ type: "error", error: "roomTaken" });
+  expect(sockets[1].sent[1]).toEqual({ type: "host" });
+  expect(messages.at(-1)).toEqual({ type: "error", error: "roomTaken" });
+  link.close();
+  vi.useRealTimers();
+});
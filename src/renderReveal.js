@@ -0,0 +1,349 @@
+// Reveal rendering, free of React and the DOM: the game canvas, the clip and
+// print exports all draw through here. The pure parts (fitContain, distortion,
+// confettiSpecks, maskPieces in reveal/index.js) can be checked without a
+// canvas; the drawing functions only need a 2D-context-like object.
+
+import { getRevealMode, maskPieces } from "./reveal/index.js";
+import { fairOrder, pieceSaliency } from "./reveal/saliency.js";
+import { clamp, createRng, lerp } from "./reveal/util.js";
+import {
+  DEFAULT_EFFECTS,
+  JIGSAW_TILES,
+  effectParams,
+  hexCenter,
+  jigsawOffsets,
+} from "./effects.js";
+import { t } from "./i18n.js";
+
+// length of the animation of the pieces added by a step
+export const REVEAL_DURATION_MS = 420;
+
+// piece order for one round; analysis (saliency.js) enables the fair reveal
+export function buildRevealOrder(settings, seed, analysis = null, fairStrength = 0) {
+  const mode = getRevealMode(settings.revealMode);
+  const order = mode.makeOrder(settings, seed);
+  if (!analysis) return order;
+  return fairOrder(order, pieceSaliency(analysis, mode, settings, seed), fairStrength / 10, seed);
+}
+
+// largest rect with the image's aspect ratio centered in w x h
+export function fitContain(iw, ih, w, h) {
+  const scale = Math.min(w / iw, h / ih);
+  const dw = Math.round(iw * scale);
+  const dh = Math.round(ih * scale);
+  return { x: Math.round((w - dw) / 2), y: Math.round((h - dh) / 2), w: dw, h: dh };
+}
+
+// Effect parameters for a step (see effects.js); settings without an effect
+// stack (older sessions and packs) use the classic pixelation, blur and confetti.
+// Jigsaw pieces slide with the step animation (stepProgress 0..1), the other
+// effects change once per step.
+export function distortion(settings, stepIndex, stepsTotal, stepProgress = 1) {
+  const effects = settings.effects || DEFAULT_EFFECTS;
+  const fx = effectParams(effects, settings.disturb, stepIndex, stepsTotal);
+  if (fx.jigsaw > 0 && stepIndex > 0 && stepProgress < 1) {
+    const before = effectParams(effects, settings.disturb, stepIndex - 1, stepsTotal);
+    fx.jigsaw = lerp(before.jigsaw, fx.jigsaw, 1 - (1 - stepProgress) ** 3);
+  }
+  return fx;
+}
+
+// confetti specks over rect, deterministic per seed and step
+export function confettiSpecks(rect, seed, stepIndex, { noiseStrength, noiseDensity }) {
+  if (noiseStrength <= 0.01) return [];
+  const rng = createRng(seed * 997 + stepIndex * 911);
+  const count = Math.floor(rect.w * rect.h * noiseDensity);
+  const specks = [];
+  for (let i = 0; i < count; i++) {
+    const size = lerp(2, 6, rng());
+    const x = rect.x + rng() * (rect.w - size);
+    const y = rect.y + rng() * (rect.h - size);
+    const r = Math.floor(80 + rng() * 175);
+    const g = Math.floor(80 + rng() * 175);
+    const b = Math.floor(80 + rng() * 175);
+    specks.push({ x, y, size, color: `rgba(${r}, ${g}, ${b}, ${noiseStrength})` });
+  }
+  return specks;
+}
+
+const sized = (canvas, w, h) => {
+  if (canvas.width !== w || canvas.height !== h) {
+    canvas.width = w;
+    canvas.height = h;
+  }
+  return canvas;
+};
+
+let pixelScratch = null;
+const createScratch = () =>
+  typeof OffscreenCanvas === "function"
+    ? new OffscreenCanvas(1, 1)
+    : document.createElement("canvas");
+
+// jigsaw pieces drawn at their (partly) scrambled slots
+function drawJigsaw(ctx, img, w, h, amount, seed) {
+  const n = JIGSAW_TILES;
+  const iw = img.naturalWidth || img.width;
+  const ih = img.naturalHeight || img.height;
+  const tw = w / n;
+  const th = h / n;
+  jigsawOffsets(seed).forEach(({ dx, dy }, piece) => {
+    const px = piece % n;
+    const py = Math.floor(piece / n);
+    const sx = (px * iw) / n;
+    const sy = (py * ih) / n;
+    ctx.drawImage(
+      img,
+      sx,
+      sy,
+      iw / n,
+      ih / n,
+      (px + dx * amount) * tw,
+      (py + dy * amount) * th,
+      tw,
+      th
+    );
+  });
+}
+
+// twist around the centre, strongest there and gone at the corners
+function swirlPass(ctx, w, h, angle) {
+  const src = ctx.getImageData(0, 0, w, h).data;
+  const out = ctx.createImageData(w, h);
+  const cx = w / 2;
+  const cy = h / 2;
+  const radius = Math.hypot(cx, cy);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const dx = x + 0.5 - cx;
+      const dy = y + 0.5 - cy;
+      const k = Math.max(0, 1 - Math.hypot(dx, dy) / radius);
+      const a = angle * k * k;
+      const sx = clamp(Math.floor(cx + dx * Math.cos(a) - dy * Math.sin(a)), 0, w - 1);
+      const sy = clamp(Math.floor(cy + dx * Math.sin(a) + dy * Math.cos(a)), 0, h - 1);
+      const i = (y * w + x) * 4;
+      const j = (sy * w + sx) * 4;
+      out.data[i] = src[j];
+      out.data[i + 1] = src[j + 1];
+      out.data[i + 2] = src[j + 2];
+      out.data[i + 3] = src[j + 3];
+    }
+  }
+  ctx.putImageData(out, 0, 0);
+}
+
+// hexagon mosaic, edge sketch and channel swap/invert on the pixel data
+function colorPass(ctx, w, h, fx) {
+  const pixels = ctx.getImageData(0, 0, w, h);
+  const { data } = pixels;
+  if (fx.hexSize >= 2) {
+    const src = data.slice();
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const c = hexCenter(x + 0.5, y + 0.5, fx.hexSize);
+        const j = (clamp(Math.floor(c.y), 0, h - 1) * w + clamp(Math.floor(c.x), 0, w - 1)) * 4;
+        data.set(src.subarray(j, j + 4), (y * w + x) * 4);
+      }
+    }
+  }
+  if (fx.sketch > 0.01) {
+    const lum = new Float32Array(w * h);
+    for (let i = 0; i < w * h; i++) {
+      lum[i] = 0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2];
+    }
+    const at = (x, y) => lum[clamp(y, 0, h - 1) * w + clamp(x, 0, w - 1)];
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        // Sobel: weighted column and row differences
+        const column = (cx) => at(cx, y - 1) + 2 * at(cx, y) + at(cx, y + 1);
+        const row = (cy) => at(x - 1, cy) + 2 * at(x, cy) + at(x + 1, cy);
+        const gx = column(x + 1) - column(x - 1);
+        const gy = row(y + 1) - row(y - 1);
+        const paper = 255 * (1 - Math.min(1, Math.hypot(gx, gy) / 200));
+        const i = (y * w + x) * 4;
+        for (let c = 0; c < 3; c++) data[i + c] = lerp(data[i + c], paper, fx.sketch);
+      }
+    }
+  }
+  if (fx.channelMix > 0.01) {
+    const invert = fx.channelMode === "invert";
+    for (let i = 0; i < data.length; i += 4) {
+      const [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+      const next = invert ? [255 - r, 255 - g, 255 - b] : [g, b, r];
+      for (let c = 0; c < 3; c++) data[i + c] = lerp(data[i + c], next[c], fx.channelMix);
+    }
+  }
+  ctx.putImageData(pixels, 0, 0);
+}
+
+// last image rendered into each scratch canvas; effects change once per step,
+// so all frames of a step reuse it
+const distortedKeys = new WeakMap();
+
+// img with every effect except blur and confetti, at w x h, into off
+function renderDistorted(off, img, w, h, fx, seed) {
+  const key = JSON.stringify([w, h, fx, seed]);
+  const last = distortedKeys.get(off);
+  if (last?.img === img && last.key === key) return;
+  distortedKeys.set(off, { img, key });
+
+  const ctx = sized(off, w, h).getContext("2d", { willReadFrequently: true });
+  ctx.imageSmoothingEnabled = true;
+  ctx.fillStyle = "#111";
+  ctx.fillRect(0, 0, w, h);
+  if (fx.jigsaw > 0.001) drawJigsaw(ctx, img, w, h, fx.jigsaw, seed);
+  else ctx.drawImage(img, 0, 0, w, h);
+  if (fx.swirl > 0.01) swirlPass(ctx, w, h, fx.swirl);
+
+  // Pixelation: downscale, then upscale nearest-neighbor
+  if (fx.pixelScale < 0.999) {
+    const pw = Math.max(1, Math.floor(w * fx.pixelScale));
+    const ph = Math.max(1, Math.floor(h * fx.pixelScale));
+    pixelScratch ??= createScratch();
+    const small = sized(pixelScratch, pw, ph).getContext("2d");
+    small.imageSmoothingEnabled = true;
+    small.clearRect(0, 0, pw, ph);
+    small.drawImage(off, 0, 0, pw, ph);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(pixelScratch, 0, 0, w, h);
+  }
+  if (fx.hexSize >= 2 || fx.sketch > 0.01 || fx.channelMix > 0.01) colorPass(ctx, w, h, fx);
+}
+
+// Draws img fitted ("contain") into w x h. settings are the effective settings
+// (revealMode, stepsTotal, disturb, effects, mode settings); off is a scratch
+// canvas for the distorted image; stepProgress 0..1 is the animation of the
+// latest step.
+export function drawReveal(
+  ctx,
+  off,
+  { img, w, h, settings, revealOrder, seed, stepIndex, stepProgress, reducedMotion = false }
+) {
+  const { stepsTotal } = settings;
+  const rect = fitContain(img.naturalWidth || img.width, img.naturalHeight || img.height, w, h);
+  const fx = distortion(settings, stepIndex, stepsTotal, stepProgress);
+  renderDistorted(
+    off,
+    img,
+    Math.max(1, Math.round(rect.w)),
+    Math.max(1, Math.round(rect.h)),
+    fx,
+    seed
+  );
+
+  ctx.save();
+  // Reveal mask (mode-specific)
+  ctx.beginPath();
+  const mode = getRevealMode(settings.revealMode);
+  const layout = mode.layout(rect, settings, seed);
+  const mask = maskPieces(revealOrder, stepIndex, stepsTotal, mode.pieceCount(settings));
+  const easedProgress = 1 - (1 - stepProgress) ** 3;
+  mask.settled.forEach((piece) => mode.addSettledPath(ctx, piece, layout));
+  mask.incoming.forEach((piece) => mode.addIncomingPath(ctx, piece, layout, easedProgress));
+  ctx.clip();
+
+  const canBlur = typeof ctx.filter === "string";
+  if (canBlur && fx.blurPx > 0.05) {
+    ctx.filter = `blur(${fx.blurPx.toFixed(2)}px)`;
+  }
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(off, rect.x, rect.y, rect.w, rect.h);
+  if (canBlur) {
+    ctx.filter = "none";
+  }
+
+  // Confetti overlay (noise); reduced motion keeps one pattern that only thins out
+  confettiSpecks(rect, seed, reducedMotion ? 0 : stepIndex, fx).forEach((s) => {
+    ctx.fillStyle = s.color;
+    ctx.fillRect(s.x, s.y, s.size, s.size);
+  });
+
+  ctx.restore();
+
+  if (mode.addGlowPath && mask.incoming.length && stepProgress < 1) {
+    ctx.save();
+    ctx.globalCompositeOperation = "screen";
+    ctx.fillStyle = `rgba(120, 220, 255, ${0.35 * (1 - easedProgress)})`;
+    ctx.beginPath();
+    mask.incoming.forEach((piece) => mode.addGlowPath(ctx, piece, layout));
+    ctx.fill();
+    ctx.restore();
+  }
+}
+
+// HUD box at the top left, normal and high contrast (larger bold text on an
+// opaque, outlined box)
+const HUD_LAYOUT = {
+  normal: { font: "16px system-ui", line: 23, minW: 300 },
+  highContrast: { font: "bold 22px system-ui", line: 30, minW: 380 },
+};
+
+// step and points box; streak (the streak team's points) and legend (key help,
+// see keyLegend in keyBindings.js) are optional lines, the box grows with them.
+// Returns the box as { x, y, w, h } so callers can place things next to it
+export function drawHud(
+  ctx,
+  { stepIndex, stepsTotal, points, streak = "", legend = "", highContrast = false }
+) {
+  const layout = highContrast ? HUD_LAYOUT.highContrast : HUD_LAYOUT.normal;
+  const lines = [
+    t("hud.step", { step: stepIndex, total: stepsTotal }),
+    t("hud.points", { points }),
+    streak,
+    legend,
+  ].filter(Boolean);
+  ctx.font = layout.font;
+  const textW = Math.max(...lines.map((line) => ctx.measureText(line).width)) + 20;
+  const boxW = Math.max(layout.minW, textW);
+  const boxH = lines.length * layout.line + 21;
+  ctx.fillStyle = highContrast ? "#000" : "rgba(0,0,0,0.45)";
+  ctx.fillRect(10, 10, boxW, boxH);
+  if (highContrast) {
+    ctx.strokeStyle = "#fff";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(10, 10, boxW, boxH);
+  }
+  ctx.fillStyle = "#fff";
+  lines.forEach((line, i) => ctx.fillText(line, 20, 35 + i * layout.line));
+  return { x: 10, y: 10, w: boxW, h: boxH };
+}
+
+// One game frame without React or the DOM: background, the reveal (or a hint
+// while no image is loaded) and the HUD. state: { w, h, off, settings,
+// revealOrder, seed, stepIndex, lastStepTime, hud?: { points, streak?, legend,
+// highContrast }, gl?, pixelRatio?, reducedMotion? }; with gl (see glReveal.js)
+// the reveal is drawn on the GPU, off is the Canvas2D fallback. time runs on
+// the same clock as lastStepTime. Reduced motion shows each step at once and
+// keeps the confetti still. Returns { animating, hud }: animating is true while
+// the latest step is still moving, hud the drawn HUD box (see drawHud) or null.
+export function renderFrame(ctx, image, state, time) {
+  const { w, h, settings, stepIndex } = state;
+  ctx.fillStyle = "#111";
+  ctx.fillRect(0, 0, w, h);
+  if (!image) {
+    ctx.fillStyle = "#ddd";
+    ctx.font = "20px system-ui";
+    ctx.fillText(t("hud.noImage"), 20, 40);
+    return { animating: false, hud: null };
+  }
+  const stepProgress = state.reducedMotion
+    ? 1
+    : clamp((time - state.lastStepTime) / REVEAL_DURATION_MS, 0, 1);
+  const reveal = {
+    img: image,
+    w,
+    h,
+    settings,
+    revealOrder: state.revealOrder,
+    seed: state.seed,
+    stepIndex,
+    stepProgress,
+    pixelRatio: state.pixelRatio,
+    reducedMotion: state.reducedMotion,
+  };
+  if (!state.gl?.draw(ctx, reveal)) drawReveal(ctx, state.off, reveal);
+  const hud = state.hud
+    ? drawHud(ctx, { stepIndex, stepsTotal: settings.stepsTotal, ...state.hud })
+    : null;
+  return { animating: stepProgress < 1, hud };
+}
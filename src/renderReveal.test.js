@@ -0,0 +1,184 @@
+import { afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { getRevealMode, listRevealModes, maskPieces, readModeSettings } from "./reveal/index.js";
+import { EFFECTS, readEffects } from "./effects.js";
+import { buildRevealOrder, drawHud, renderFrame } from "./renderReveal.js";
+import { t } from "./i18n.js";
+
+// Canvas stand-in: records every call and property write of the 2D context,
+// with numbers rounded so the log can be compared between frames.
+const describeArg = (arg) => {
+  if (typeof arg === "number") return Math.round(arg * 1000) / 1000;
+  if (arg && typeof arg === "object") return "[object]";
+  return arg;
+};
+
+function createCanvas(width = 1, height = 1) {
+  const log = [];
+  const pixels = (w, h) => ({
+    width: w,
+    height: h,
+    data: Uint8ClampedArray.from({ length: w * h * 4 }, (_, i) => (i * 37) % 256),
+  });
+  const methods = {
+    measureText: (text) => ({ width: text.length * 8 }),
+    getImageData: (x, y, w, h) => pixels(w, h),
+    createImageData: (w, h) => pixels(w, h),
+  };
+  const ctx = new Proxy(
+    { filter: "none" },
+    {
+      get(target, prop) {
+        if (prop in target) return target[prop];
+        return (...args) => {
+          log.push([prop, ...args.map(describeArg)]);
+          return methods[prop]?.(...args);
+        };
+      },
+      set(target, prop, value) {
+        target[prop] = value;
+        log.push([`${String(prop)}=`, describeArg(value)]);
+        return true;
+      },
+    }
+  );
+  return { width, height, log, getContext: () => ctx };
+}
+
+const IMAGE = { width: 320, height: 240 };
+const W = 160;
+const H = 120;
+const STEPS = 7;
+
+const ALL_EFFECTS = readEffects(
+  Object.fromEntries(EFFECTS.map(({ id }) => [id, { strength: 10, curve: "constant" }]))
+);
+
+const settingsFor = (revealMode) => ({
+  ...readModeSettings(),
+  revealMode,
+  tileN: 6,
+  stepsTotal: STEPS,
+  disturb: 10,
+  effects: ALL_EFFECTS,
+});
+
+// one frame at stepIndex, drawn on fresh canvases; time 0 is the start of the step
+function frame(revealMode, seed, stepIndex, time = 0) {
+  const settings = settingsFor(revealMode);
+  const canvas = createCanvas(W, H);
+  const { animating } = renderFrame(
+    canvas.getContext("2d"),
+    IMAGE,
+    {
+      w: W,
+      h: H,
+      off: createCanvas(),
+      settings,
+      revealOrder: buildRevealOrder(settings, seed),
+      seed,
+      stepIndex,
+      lastStepTime: 0,
+      hud: { points: 5, legend: "Space Step" },
+    },
+    time
+  );
+  return { log: canvas.log, animating };
+}
+
+// pieces handed to the mode's path builders while drawing one frame
+function drawnPieces(revealMode, seed, stepIndex) {
+  const mode = getRevealMode(revealMode);
+  const settled = vi.spyOn(mode, "addSettledPath");
+  const incoming = vi.spyOn(mode, "addIncomingPath");
+  frame(revealMode, seed, stepIndex);
+  return {
+    settled: settled.mock.calls.map(([, piece]) => piece),
+    incoming: incoming.mock.calls.map(([, piece]) => piece),
+  };
+}
+
+const MODES = listRevealModes().map((m) => m.id);
+
+beforeAll(() => {
+  // pixelation scratch canvas
+  vi.stubGlobal(
+    "OffscreenCanvas",
+    class {
+      constructor(w, h) {
+        return createCanvas(w, h);
+      }
+    }
+  );
+});
+
+afterEach(() => vi.restoreAllMocks());
+
+describe("maskPieces", () => {
+  it("shows floor(step * pieces / steps) pieces, the earlier steps' ones settled", () => {
+    const order = [...Array(37).keys()];
+    let before = [];
+    for (let step = 0; step <= STEPS; step++) {
+      const { settled, incoming } = maskPieces(order, step, STEPS);
+      expect(settled).toEqual(before);
+      before = [...settled, ...incoming];
+      expect(before).toEqual(order.slice(0, Math.floor((step * order.length) / STEPS)));
+    }
+  });
+});
+
+it("draws the streak team's points as an extra HUD line", () => {
+  const canvas = createCanvas();
+  const streak = t("hud.streak", { team: "Rot", points: 18 });
+  drawHud(canvas.getContext("2d"), { stepIndex: 2, stepsTotal: 10, points: 12, streak });
+  const texts = canvas.log.filter(([call]) => call === "fillText").map(([, text]) => text);
+  expect(texts).toEqual([
+    t("hud.step", { step: 2, total: 10 }),
+    t("hud.points", { points: 12 }),
+    streak,
+  ]);
+});
+
+it("returns the HUD box, grown to fit its longest line", () => {
+  const ctx = createCanvas().getContext("2d");
+  expect(drawHud(ctx, { stepIndex: 1, stepsTotal: 10, points: 5 })).toEqual({
+    x: 10,
+    y: 10,
+    w: 300,
+    h: 2 * 23 + 21,
+  });
+  const legend = "x".repeat(60);
+  expect(drawHud(ctx, { stepIndex: 1, stepsTotal: 10, points: 5, legend }).w).toBe(60 * 8 + 20);
+});
+
+describe.each(MODES)("renderFrame, %s", (revealMode) => {
+  const pieceCount = getRevealMode(revealMode).pieceCount(settingsFor(revealMode));
+
+  it("draws the same frame for the same seed", () => {
+    expect(frame(revealMode, 42, 3).log).toEqual(frame(revealMode, 42, 3).log);
+    expect(frame(revealMode, 42, 3).log).not.toEqual(frame(revealMode, 43, 3).log);
+  });
+
+  it("uncovers every piece at the last step", () => {
+    const { settled, incoming } = drawnPieces(revealMode, 7, STEPS);
+    const shown = [...settled, ...incoming].sort((a, b) => a - b);
+    expect(shown).toEqual([...Array(pieceCount).keys()]);
+  });
+
+  it("uncovers the expected number of pieces with each step", () => {
+    let before = [];
+    for (let step = 1; step <= STEPS; step++) {
+      const { settled, incoming } = drawnPieces(revealMode, 7, step);
+      const expected =
+        Math.floor((step * pieceCount) / STEPS) - Math.floor(((step - 1) * pieceCount) / STEPS);
+      expect(settled).toEqual(before);
+      expect(incoming).toHaveLength(expected);
+      before = [...settled, ...incoming];
+      vi.restoreAllMocks();
+    }
+  });
+
+  it("animates the latest step until it has settled", () => {
+    expect(frame(revealMode, 7, 2, 0).animating).toBe(true);
+    expect(frame(revealMode, 7, 2, 10_000).animating).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+import { clamp, makeRandomOrder } from "./util.js";
+
+// Horizontal or vertical strips that open from their center line.
+const addStrip = (ctx, idx, g, open) => {
+  if (g.horizontal) {
+    const cy = g.y + (idx + 0.5) * g.stripSize;
+    const h = g.stripSize * open;
+    ctx.rect(g.x, cy - h / 2, g.w, h);
+  } else {
+    const cx = g.x + (idx + 0.5) * g.stripSize;
+    const w = g.stripSize * open;
+    ctx.rect(cx - w / 2, g.y, w, g.h);
+  }
+};
+
+export const BLINDS = {
+  id: "BLINDS",
+  label: { de: "Jalousie (BLINDS)", en: "Blinds (BLINDS)" },
+  settings: [
+    {
+      key: "blindCount",
+      label: { de: "Lamellen", en: "Slats" },
+      type: "number",
+      min: 4,
+      max: 40,
+      default: 12,
+    },
+    {
+      key: "blindOrientation",
+      label: { de: "Ausrichtung", en: "Orientation" },
+      type: "select",
+      default: "horizontal",
+      options: [
+        { value: "horizontal", label: { de: "Waagerecht", en: "Horizontal" } },
+        { value: "vertical", label: { de: "Senkrecht", en: "Vertical" } },
+      ],
+    },
+    {
+      key: "blindOrder",
+      label: { de: "Reihenfolge", en: "Order" },
+      type: "select",
+      default: "random",
+      options: [
+        { value: "random", label: { de: "Zufällig", en: "Random" } },
+        { value: "sequential", label: { de: "Der Reihe nach", en: "In sequence" } },
+      ],
+    },
+  ],
+  pieceCount: (cfg) => cfg.blindCount,
+  makeOrder: (cfg, seed) =>
+    cfg.blindOrder === "sequential"
+      ? Array.from({ length: cfg.blindCount }, (_, i) => i)
+      : makeRandomOrder(cfg.blindCount, seed),
+  layout: (rect, cfg) => {
+    const horizontal = cfg.blindOrientation !== "vertical";
+    return {
+      ...rect,
+      horizontal,
+      stripSize: (horizontal ? rect.h : rect.w) / cfg.blindCount,
+      stripCount: cfg.blindCount,
+    };
+  },
+  pieceAt: (g, x, y) => {
+    const offset = g.horizontal ? y - g.y : x - g.x;
+    return clamp(Math.floor(offset / g.stripSize), 0, g.stripCount - 1);
+  },
+  // a little overlap so settled strips join without seams
+  addSettledPath: (ctx, idx, g) => addStrip(ctx, idx, g, 1 + 1 / Math.max(g.stripSize, 1)),
+  addIncomingPath: (ctx, idx, g, progress) => addStrip(ctx, idx, g, progress),
+};
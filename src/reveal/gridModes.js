@@ -0,0 +1,123 @@
+import {
+  addRoundedRectPath,
+  clamp,
+  lerp,
+  makeRandomOrder,
+  makeSpiralOrder,
+  randForPiece,
+} from "./util.js";
+
+// Tile grid shared by all grid-based modes: tileN x tileN rounded tiles
+// that pop in with a small scale/rotation animation.
+export const gridLayout = (rect, cfg, seed) => ({
+  ...rect,
+  tileN: cfg.tileN,
+  tileW: rect.w / cfg.tileN,
+  tileH: rect.h / cfg.tileN,
+  seed,
+});
+
+const tileOrigin = (idx, g) => ({
+  x0: g.x + (idx % g.tileN) * g.tileW,
+  y0: g.y + Math.floor(idx / g.tileN) * g.tileH,
+});
+
+export const addSettledTile = (ctx, idx, g) => {
+  const { x0, y0 } = tileOrigin(idx, g);
+  const r = lerp(4, Math.min(g.tileW, g.tileH) * 0.3, randForPiece(idx, g.seed));
+  addRoundedRectPath(ctx, x0, y0, g.tileW + 0.5, g.tileH + 0.5, r);
+};
+
+export const addIncomingTile = (ctx, idx, g, progress) => {
+  const { x0, y0 } = tileOrigin(idx, g);
+  const rand = randForPiece(idx, g.seed);
+  const scale = lerp(0.25, 1.08, progress) * (0.9 + rand * 0.2);
+  const rot = (rand - 0.5) * lerp(0.18, 0, progress);
+  const w = g.tileW * scale;
+  const h = g.tileH * scale;
+  const r = lerp(6, Math.min(w, h) * 0.35, rand);
+
+  ctx.save();
+  ctx.translate(x0 + g.tileW / 2, y0 + g.tileH / 2);
+  ctx.rotate(rot);
+  addRoundedRectPath(ctx, -w * 0.5, -h * 0.5, w, h, r);
+  ctx.restore();
+};
+
+export const tileAt = (g, x, y) => {
+  const tx = clamp(Math.floor((x - g.x) / g.tileW), 0, g.tileN - 1);
+  const ty = clamp(Math.floor((y - g.y) / g.tileH), 0, g.tileN - 1);
+  return ty * g.tileN + tx;
+};
+
+const gridMode = (mode) => ({
+  pieceCount: (cfg) => cfg.tileN * cfg.tileN,
+  layout: gridLayout,
+  addSettledPath: addSettledTile,
+  addIncomingPath: addIncomingTile,
+  pieceAt: tileAt,
+  glMask: "grid",
+  ...mode,
+});
+
+export const GRID_RANDOM = gridMode({
+  id: "GRID_RANDOM",
+  label: { de: "Raster zufällig (GRID_RANDOM)", en: "Random grid (GRID_RANDOM)" },
+  settings: [],
+  makeOrder: (cfg, seed) => makeRandomOrder(cfg.tileN * cfg.tileN, seed),
+});
+
+export const SPIRAL_GRID = gridMode({
+  id: "SPIRAL_GRID",
+  label: { de: "Spirale (SPIRAL_GRID)", en: "Spiral (SPIRAL_GRID)" },
+  settings: [
+    {
+      key: "spiralDirection",
+      label: { de: "Spiralrichtung", en: "Spiral direction" },
+      type: "select",
+      default: "outside-in",
+      options: [
+        { value: "outside-in", label: { de: "Außen → Innen", en: "Outside → in" } },
+        { value: "inside-out", label: { de: "Innen → Außen", en: "Inside → out" } },
+      ],
+    },
+  ],
+  makeOrder: (cfg, seed) => makeSpiralOrder(cfg.tileN, cfg.spiralDirection, seed),
+});
+
+// tile distance from the chosen corner along the diagonal
+const diagonalIndex = (idx, tileN, corner) => {
+  const tx = idx % tileN;
+  const ty = Math.floor(idx / tileN);
+  const fx = corner.endsWith("right") ? tileN - 1 - tx : tx;
+  const fy = corner.startsWith("bottom") ? tileN - 1 - ty : ty;
+  return fx + fy;
+};
+
+export const DIAGONAL_SWEEP = gridMode({
+  id: "DIAGONAL_SWEEP",
+  label: { de: "Diagonal-Wischer (DIAGONAL_SWEEP)", en: "Diagonal sweep (DIAGONAL_SWEEP)" },
+  settings: [
+    {
+      key: "sweepCorner",
+      label: { de: "Startecke", en: "Start corner" },
+      type: "select",
+      default: "top-left",
+      options: [
+        { value: "top-left", label: { de: "Oben links", en: "Top left" } },
+        { value: "top-right", label: { de: "Oben rechts", en: "Top right" } },
+        { value: "bottom-left", label: { de: "Unten links", en: "Bottom left" } },
+        { value: "bottom-right", label: { de: "Unten rechts", en: "Bottom right" } },
+      ],
+    },
+  ],
+  // diagonal by diagonal; tiles within one diagonal in seeded random order
+  makeOrder: (cfg, seed) => {
+    const rank = new Map(makeRandomOrder(cfg.tileN * cfg.tileN, seed).map((idx, i) => [idx, i]));
+    return Array.from({ length: cfg.tileN * cfg.tileN }, (_, i) => i).sort(
+      (a, b) =>
+        diagonalIndex(a, cfg.tileN, cfg.sweepCorner) - diagonalIndex(b, cfg.tileN, cfg.sweepCorner) ||
+        rank.get(a) - rank.get(b)
+    );
+  },
+});
@@ -0,0 +1,86 @@
+// Reveal-mode registry.
+//
+// A mode describes how an image is cut into pieces and in which order they
+// appear; the draw loop only asks it for paths:
+//   id, label          identifier (stored in settings/packs) and <option> text;
+//                      labels are text or { de, en } (see localized() in i18n.js)
+//   settings           schema for mode-specific inputs on the start screen:
+//                      { key, label, type: "select" | "number", default,
+//                        options?: [{ value, label }], min?, max? }
+//   pieceCount(cfg)    number of pieces for the given settings
+//   makeOrder(cfg, seed)                 deterministic piece order
+//   layout(rect, cfg, seed)              per-frame geometry passed to the path builders
+//   addSettledPath(ctx, piece, layout)   adds a fully revealed piece to the mask
+//   addIncomingPath(ctx, piece, layout, progress)  piece revealed by the last step,
+//                                        progress 0..1 (eased) of its animation
+//   addGlowPath?(ctx, piece, layout)     optional highlight drawn over incoming pieces
+//   pieceAt?(layout, x, y)               piece under a point, used by the fair reveal
+//   glMask?            "grid" | "wedges": the WebGL renderer draws this mask in
+//                      its shader (see glReveal.js); other modes get their
+//                      paths rasterized into a mask texture
+// cfg holds the global tileN plus all mode settings.
+
+import { DIAGONAL_SWEEP, GRID_RANDOM, SPIRAL_GRID } from "./gridModes.js";
+import { WEDGES_RADIAL } from "./wedgeMode.js";
+import { VORONOI_SHARDS } from "./voronoiMode.js";
+import { RINGS_CONCENTRIC } from "./ringMode.js";
+import { BLINDS } from "./blindsMode.js";
+import { clamp } from "./util.js";
+
+const registry = new Map();
+
+export function registerRevealMode(mode) {
+  registry.set(mode.id, mode);
+}
+
+[
+  GRID_RANDOM,
+  WEDGES_RADIAL,
+  SPIRAL_GRID,
+  VORONOI_SHARDS,
+  RINGS_CONCENTRIC,
+  BLINDS,
+  DIAGONAL_SWEEP,
+].forEach(registerRevealMode);
+
+export const DEFAULT_REVEAL_MODE = GRID_RANDOM.id;
+
+export const listRevealModes = () => Array.from(registry.values());
+
+export const getRevealMode = (id) => registry.get(id) || registry.get(DEFAULT_REVEAL_MODE);
+
+const allSettings = () => listRevealModes().flatMap((m) => m.settings);
+
+export function coerceModeSetting(def, value) {
+  if (def.type === "number") {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) ? clamp(n, def.min ?? n, def.max ?? n) : def.default;
+  }
+  if (def.options) {
+    return def.options.some((o) => o.value === value) ? value : def.default;
+  }
+  return value ?? def.default;
+}
+
+// defaults for every registered mode setting, overridden by valid values from src
+export function readModeSettings(src = {}) {
+  const out = {};
+  allSettings().forEach((def) => {
+    out[def.key] = src[def.key] === undefined ? def.default : coerceModeSetting(def, src[def.key]);
+  });
+  return out;
+}
+
+// pieces fully shown at stepIndex, and how many of those were already shown a step earlier
+export function revealCounts(stepIndex, stepsTotal, pieceCount) {
+  const shown = Math.floor((stepIndex / stepsTotal) * pieceCount);
+  const settled = Math.floor((Math.max(stepIndex - 1, 0) / stepsTotal) * pieceCount);
+  return { shown, settled };
+}
+
+// pieces of the mask at stepIndex: settled ones (shown before this step) and
+// the ones this step adds (drawn with the incoming animation)
+export function maskPieces(order, stepIndex, stepsTotal, pieceCount = order.length) {
+  const { shown, settled } = revealCounts(stepIndex, stepsTotal, pieceCount);
+  return { settled: order.slice(0, settled), incoming: order.slice(settled, shown) };
+}
@@ -0,0 +1,72 @@
+import { createRng, lerp } from "./util.js";
+
+// Concentric rings around a seeded random center, growing outwards
+// (or closing in from the edge).
+const addRing = (ctx, g, inner, outer) => {
+  ctx.moveTo(g.cx + outer, g.cy);
+  ctx.arc(g.cx, g.cy, outer, 0, Math.PI * 2);
+  if (inner > 0) {
+    // opposite winding cuts the hole
+    ctx.moveTo(g.cx + inner, g.cy);
+    ctx.arc(g.cx, g.cy, inner, 0, Math.PI * 2, true);
+  }
+};
+
+export const RINGS_CONCENTRIC = {
+  id: "RINGS_CONCENTRIC",
+  label: { de: "Ringe (RINGS_CONCENTRIC)", en: "Rings (RINGS_CONCENTRIC)" },
+  settings: [
+    {
+      key: "ringCount",
+      label: { de: "Ringe", en: "Rings" },
+      type: "number",
+      min: 6,
+      max: 36,
+      default: 18,
+    },
+    {
+      key: "ringDirection",
+      label: { de: "Ringrichtung", en: "Ring direction" },
+      type: "select",
+      default: "inside-out",
+      options: [
+        { value: "inside-out", label: { de: "Innen → Außen", en: "Inside → out" } },
+        { value: "outside-in", label: { de: "Außen → Innen", en: "Outside → in" } },
+      ],
+    },
+  ],
+  pieceCount: (cfg) => cfg.ringCount,
+  makeOrder: (cfg) => {
+    const order = Array.from({ length: cfg.ringCount }, (_, i) => i);
+    return cfg.ringDirection === "outside-in" ? order.reverse() : order;
+  },
+  layout: (rect, cfg, seed) => {
+    const rnd = createRng(seed * 389 + cfg.ringCount);
+    const cx = rect.x + rect.w * lerp(0.25, 0.75, rnd());
+    const cy = rect.y + rect.h * lerp(0.25, 0.75, rnd());
+    // farthest image corner decides the outermost ring
+    const maxR = Math.max(
+      Math.hypot(cx - rect.x, cy - rect.y),
+      Math.hypot(cx - rect.x - rect.w, cy - rect.y),
+      Math.hypot(cx - rect.x, cy - rect.y - rect.h),
+      Math.hypot(cx - rect.x - rect.w, cy - rect.y - rect.h)
+    );
+    return {
+      cx,
+      cy,
+      ringW: maxR / cfg.ringCount,
+      ringCount: cfg.ringCount,
+      inward: cfg.ringDirection === "outside-in",
+    };
+  },
+  pieceAt: (g, x, y) =>
+    Math.min(Math.floor(Math.hypot(x - g.cx, y - g.cy) / g.ringW), g.ringCount - 1),
+  addSettledPath: (ctx, idx, g) =>
+    addRing(ctx, g, Math.max(idx * g.ringW - 0.5, 0), (idx + 1) * g.ringW + 0.5),
+  addIncomingPath: (ctx, idx, g, progress) => {
+    const inner = idx * g.ringW;
+    const outer = (idx + 1) * g.ringW;
+    if (g.inward) addRing(ctx, g, lerp(outer, inner, progress), outer + 0.5);
+    else addRing(ctx, g, Math.max(inner - 0.5, 0), lerp(inner, outer, progress));
+  },
+};
@@ -0,0 +1,101 @@
+import { clamp, createRng } from "./util.js";
+
+// "Fair reveal": estimate how much each piece gives away (edge density,
+// contrast, variance) and move the most telling pieces towards the end of
+// the reveal order. Everything runs locally on a small canvas copy of the image.
+
+const ANALYSIS_SIZE = 160; // longest side of the analysis bitmap in px
+
+// per-pixel luminance and gradient magnitude of a downscaled copy
+export function analyzeImage(img) {
+  const iw = img.naturalWidth || img.width;
+  const ih = img.naturalHeight || img.height;
+  const scale = Math.min(1, ANALYSIS_SIZE / Math.max(iw, ih));
+  const w = Math.max(1, Math.round(iw * scale));
+  const h = Math.max(1, Math.round(ih * scale));
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0, w, h);
+  const { data } = ctx.getImageData(0, 0, w, h);
+
+  const lum = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++) {
+    lum[i] = (0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255;
+  }
+  const grad = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      const gx = lum[y * w + Math.min(x + 1, w - 1)] - lum[y * w + Math.max(x - 1, 0)];
+      const gy = lum[Math.min(y + 1, h - 1) * w + x] - lum[Math.max(y - 1, 0) * w + x];
+      grad[i] = Math.hypot(gx, gy);
+    }
+  }
+  return { w, h, lum, grad };
+}
+
+const normalize = (arr) => {
+  const max = Math.max(...arr, 0);
+  const min = Math.min(...arr, max);
+  return arr.map((v) => (max > min ? (v - min) / (max - min) : 0));
+};
+
+// score 0..1 per piece; null when the mode cannot map pixels to pieces
+export function pieceSaliency(analysis, mode, cfg, seed) {
+  if (!analysis || !mode.pieceAt) return null;
+  const { w, h, lum, grad } = analysis;
+  const count = mode.pieceCount(cfg);
+  const layout = mode.layout({ x: 0, y: 0, w, h }, cfg, seed);
+  const n = new Float64Array(count);
+  const sum = new Float64Array(count);
+  const sumSq = new Float64Array(count);
+  const edges = new Float64Array(count);
+  const lo = new Float64Array(count).fill(1);
+  const hi = new Float64Array(count);
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const piece = mode.pieceAt(layout, x + 0.5, y + 0.5);
+      if (piece < 0 || piece >= count) continue;
+      const i = y * w + x;
+      const v = lum[i];
+      n[piece] += 1;
+      sum[piece] += v;
+      sumSq[piece] += v * v;
+      edges[piece] += grad[i];
+      if (v < lo[piece]) lo[piece] = v;
+      if (v > hi[piece]) hi[piece] = v;
+    }
+  }
+
+  const variance = [];
+  const contrast = [];
+  const edgeDensity = [];
+  for (let p = 0; p < count; p++) {
+    const mean = n[p] ? sum[p] / n[p] : 0;
+    variance.push(n[p] ? Math.max(sumSq[p] / n[p] - mean * mean, 0) : 0);
+    contrast.push(n[p] ? hi[p] - lo[p] : 0);
+    edgeDensity.push(n[p] ? edges[p] / n[p] : 0);
+  }
+  const nv = normalize(variance);
+  const nc = normalize(contrast);
+  const ne = normalize(edgeDensity);
+  return nv.map((_, p) => (nv[p] + nc[p] + ne[p] * 2) / 4);
+}
+
+// Blend the mode's own order with "least informative first".
+// strength 0 keeps the base order, 1 sorts purely by saliency.
+export function fairOrder(order, scores, strength, seed = 1) {
+  if (!scores || strength <= 0) return order;
+  const s = clamp(strength, 0, 1);
+  const rnd = createRng(seed * 71 + order.length);
+  const keyed = order.map((piece, i) => ({
+    piece,
+    // tiny seeded jitter keeps ties from following the grid layout
+    key: (1 - s) * (i / Math.max(order.length - 1, 1)) + s * (scores[piece] ?? 0) + rnd() * 1e-6,
+  }));
+  keyed.sort((a, b) => a.key - b.key);
+  return keyed.map((k) => k.piece);
+}
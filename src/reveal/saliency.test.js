@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { getRevealMode, readModeSettings } from "./index.js";
+import { fairOrder, pieceSaliency } from "./saliency.js";
+import { buildRevealOrder } from "../renderReveal.js";
+
+// 40x40 analysis (see analyzeImage) of a flat grey image with a checkered
+// subject in grid tiles 5 and 10 of a 4x4 grid
+const SIZE = 40;
+const SUBJECT = [5, 10];
+
+function analysis() {
+  const lum = new Float32Array(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const tile = Math.floor(y / 10) * 4 + Math.floor(x / 10);
+      lum[y * SIZE + x] = SUBJECT.includes(tile) ? (x + y) % 2 : 0.5;
+    }
+  }
+  const grad = new Float32Array(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const gx = lum[y * SIZE + Math.min(x + 1, SIZE - 1)] - lum[y * SIZE + Math.max(x - 1, 0)];
+      const gy = lum[Math.min(y + 1, SIZE - 1) * SIZE + x] - lum[Math.max(y - 1, 0) * SIZE + x];
+      grad[y * SIZE + x] = Math.hypot(gx, gy);
+    }
+  }
+  return { w: SIZE, h: SIZE, lum, grad };
+}
+
+const settings = { ...readModeSettings(), revealMode: "GRID_RANDOM", tileN: 4 };
+
+describe("pieceSaliency", () => {
+  it("scores the busy tiles highest", () => {
+    const scores = pieceSaliency(analysis(), getRevealMode("GRID_RANDOM"), settings, 1);
+    expect(scores).toHaveLength(16);
+    const rest = scores.filter((_, p) => !SUBJECT.includes(p));
+    SUBJECT.forEach((piece) => expect(scores[piece]).toBeGreaterThan(Math.max(...rest)));
+  });
+
+  it("is null without an analysis or a pixel-to-piece mapping", () => {
+    expect(pieceSaliency(null, getRevealMode("GRID_RANDOM"), settings, 1)).toBe(null);
+    const mode = { ...getRevealMode("GRID_RANDOM"), pieceAt: undefined };
+    expect(pieceSaliency(analysis(), mode, settings, 1)).toBe(null);
+  });
+});
+
+describe("buildRevealOrder with fair reveal", () => {
+  it("gives the same order for the same seed and analysis", () => {
+    expect(buildRevealOrder(settings, 3, analysis(), 6)).toEqual(
+      buildRevealOrder(settings, 3, analysis(), 6)
+    );
+    expect(buildRevealOrder(settings, 3, analysis(), 6)).not.toEqual(
+      buildRevealOrder(settings, 4, analysis(), 6)
+    );
+  });
+
+  it("keeps the mode's order at strength 0", () => {
+    const base = getRevealMode("GRID_RANDOM").makeOrder(settings, 3);
+    expect(buildRevealOrder(settings, 3, analysis(), 0)).toEqual(base);
+    expect(buildRevealOrder(settings, 3, null, 10)).toEqual(base);
+  });
+
+  it("shows the subject last at strength 10", () => {
+    const order = buildRevealOrder(settings, 3, analysis(), 10);
+    expect([...order].sort((a, b) => a - b)).toEqual([...Array(16).keys()]);
+    expect(order.slice(-2).sort((a, b) => a - b)).toEqual(SUBJECT);
+  });
+});
+
+describe("fairOrder", () => {
+  it("breaks ties the same way for the same seed", () => {
+    const order = [3, 1, 0, 2];
+    const scores = [0.5, 0.5, 0.5, 0.5];
+    expect(fairOrder(order, scores, 1, 9)).toEqual(fairOrder(order, scores, 1, 9));
+  });
+
+  it("clamps strength above 1 to a pure saliency sort", () => {
+    expect(fairOrder([0, 1, 2], [0.9, 0.1, 0.5], 5)).toEqual([1, 2, 0]);
+  });
+});
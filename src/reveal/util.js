@@ -0,0 +1,64 @@
+// Shared math and geometry helpers for the reveal modes and the draw loop.
+
+export const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+export const lerp = (a, b, t) => a + (b - a) * t;
+
+// simple deterministic RNG (LCG)
+export function createRng(seed = 1) {
+  let s = seed >>> 0;
+  return () => (s = (1664525 * s + 1013904223) >>> 0) / 2 ** 32;
+}
+
+// stable pseudo-random value in [0, 1) per piece and seed
+export const randForPiece = (idx, seed) => {
+  const x = Math.sin((idx + seed * 131) * 12.9898) * 43758.5453;
+  return x - Math.floor(x);
+};
+
+export const addRoundedRectPath = (ctx, x, y, w, h, r) => {
+  const radius = Math.min(r, w / 2, h / 2);
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + w, y, x + w, y + h, radius);
+  ctx.arcTo(x + w, y + h, x, y + h, radius);
+  ctx.arcTo(x, y + h, x, y, radius);
+  ctx.arcTo(x, y, x + w, y, radius);
+  ctx.closePath();
+};
+
+// Reveal order helper (pieces random)
+export function makeRandomOrder(count, seed = 1) {
+  const rnd = createRng(seed);
+  const arr = Array.from({ length: count }, (_, i) => i);
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rnd() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+export function makeSpiralOrder(tileN, direction = "outside-in", seed = 1) {
+  const order = [];
+  let top = 0;
+  let bottom = tileN - 1;
+  let left = 0;
+  let right = tileN - 1;
+
+  while (top <= bottom && left <= right) {
+    for (let x = left; x <= right; x++) order.push(top * tileN + x);
+    for (let y = top + 1; y <= bottom; y++) order.push(y * tileN + right);
+    if (top < bottom) {
+      for (let x = right - 1; x >= left; x--) order.push(bottom * tileN + x);
+    }
+    if (left < right) {
+      for (let y = bottom - 1; y > top; y--) order.push(y * tileN + left);
+    }
+    top += 1;
+    bottom -= 1;
+    left += 1;
+    right -= 1;
+  }
+
+  const baseOrder = direction === "inside-out" ? order.slice().reverse() : order;
+  const rotation = baseOrder.length ? seed % baseOrder.length : 0;
+  return baseOrder.slice(rotation).concat(baseOrder.slice(0, rotation));
+}
@@ -0,0 +1,103 @@
+import { createRng, lerp, makeRandomOrder } from "./util.js";
+
+// Irregular shards: Voronoi cells of seeded random points. Cells are built
+// in unit-square coordinates and scaled to the image, so they only depend on
+// shardCount and seed.
+
+// keep the part of poly that is closer to site a than to site b
+function clipToBisector(poly, ax, ay, bx, by) {
+  const mx = (ax + bx) / 2;
+  const my = (ay + by) / 2;
+  const nx = bx - ax;
+  const ny = by - ay;
+  const side = (p) => (p[0] - mx) * nx + (p[1] - my) * ny;
+  const out = [];
+  for (let i = 0; i < poly.length; i++) {
+    const cur = poly[i];
+    const prev = poly[(i + poly.length - 1) % poly.length];
+    const sc = side(cur);
+    const sp = side(prev);
+    if ((sc <= 0) !== (sp <= 0)) {
+      const t = sp / (sp - sc);
+      out.push([prev[0] + (cur[0] - prev[0]) * t, prev[1] + (cur[1] - prev[1]) * t]);
+    }
+    if (sc <= 0) out.push(cur);
+  }
+  return out;
+}
+
+export function makeVoronoiCells(count, seed) {
+  const rnd = createRng(seed * 613 + count);
+  const sites = Array.from({ length: count }, () => [rnd(), rnd()]);
+  return sites.map(([ax, ay], i) => {
+    let poly = [
+      [0, 0],
+      [1, 0],
+      [1, 1],
+      [0, 1],
+    ];
+    sites.forEach(([bx, by], j) => {
+      if (j !== i && poly.length) poly = clipToBisector(poly, ax, ay, bx, by);
+    });
+    const cx = poly.reduce((acc, p) => acc + p[0], 0) / Math.max(poly.length, 1);
+    const cy = poly.reduce((acc, p) => acc + p[1], 0) / Math.max(poly.length, 1);
+    return { poly, cx, cy, sx: ax, sy: ay };
+  });
+}
+
+// the draw loop asks for a layout every frame; cells only change with count/seed
+let cellCache = { key: "", cells: [] };
+const cachedCells = (count, seed) => {
+  const key = `${count}:${seed}`;
+  if (cellCache.key !== key) cellCache = { key, cells: makeVoronoiCells(count, seed) };
+  return cellCache.cells;
+};
+
+const addScaledPolygon = (ctx, cell, g, scale) => {
+  const cx = g.x + cell.cx * g.w;
+  const cy = g.y + cell.cy * g.h;
+  cell.poly.forEach(([px, py], i) => {
+    const x = cx + (g.x + px * g.w - cx) * scale;
+    const y = cy + (g.y + py * g.h - cy) * scale;
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.closePath();
+};
+
+export const VORONOI_SHARDS = {
+  id: "VORONOI_SHARDS",
+  label: { de: "Scherben (VORONOI_SHARDS)", en: "Shards (VORONOI_SHARDS)" },
+  settings: [
+    {
+      key: "shardCount",
+      label: { de: "Scherben", en: "Shards" },
+      type: "number",
+      min: 8,
+      max: 120,
+      default: 40,
+    },
+  ],
+  pieceCount: (cfg) => cfg.shardCount,
+  makeOrder: (cfg, seed) => makeRandomOrder(cfg.shardCount, seed),
+  layout: (rect, cfg, seed) => ({ ...rect, cells: cachedCells(cfg.shardCount, seed) }),
+  // slightly enlarged so neighbouring shards leave no hairline gaps
+  addSettledPath: (ctx, idx, g) => addScaledPolygon(ctx, g.cells[idx], g, 1.01),
+  addIncomingPath: (ctx, idx, g, progress) =>
+    addScaledPolygon(ctx, g.cells[idx], g, lerp(0.2, 1.04, progress)),
+  // nearest site owns the point
+  pieceAt: (g, x, y) => {
+    const u = (x - g.x) / g.w;
+    const v = (y - g.y) / g.h;
+    let best = -1;
+    let bestD = Infinity;
+    g.cells.forEach((c, i) => {
+      const d = (c.sx - u) ** 2 + (c.sy - v) ** 2;
+      if (d < bestD) {
+        bestD = d;
+        best = i;
+      }
+    });
+    return best;
+  },
+};
@@ -0,0 +1,44 @@
+import { createRng, makeRandomOrder } from "./util.js";
+
+// Pie slices around the image center, revealed in random order.
+const addWedge = (ctx, idx, g, radius) => {
+  const startAngle = g.angleOffset + idx * g.segmentAngle;
+  ctx.moveTo(g.cx, g.cy);
+  ctx.arc(g.cx, g.cy, radius, startAngle, startAngle + g.segmentAngle);
+  ctx.closePath();
+};
+
+export const WEDGES_RADIAL = {
+  id: "WEDGES_RADIAL",
+  label: { de: "Tortenstücke radial (WEDGES_RADIAL)", en: "Pie wedges (WEDGES_RADIAL)" },
+  settings: [
+    {
+      key: "wedgeSegments",
+      label: { de: "Segmente (Tortenstücke)", en: "Segments (wedges)" },
+      type: "number",
+      min: 6,
+      max: 36,
+      default: 18,
+    },
+  ],
+  pieceCount: (cfg) => cfg.wedgeSegments,
+  makeOrder: (cfg, seed) => makeRandomOrder(cfg.wedgeSegments, seed),
+  layout: (rect, cfg, seed) => ({
+    cx: rect.x + rect.w / 2,
+    cy: rect.y + rect.h / 2,
+    radius: Math.max(rect.w, rect.h) * 0.6,
+    angleOffset: createRng(seed * 173 + cfg.wedgeSegments)() * Math.PI * 2,
+    segmentAngle: (Math.PI * 2) / cfg.wedgeSegments,
+    segmentCount: cfg.wedgeSegments,
+  }),
+  addSettledPath: (ctx, idx, g) => addWedge(ctx, idx, g, g.radius),
+  addIncomingPath: (ctx, idx, g) => addWedge(ctx, idx, g, g.radius),
+  pieceAt: (g, x, y) => {
+    const turn = Math.PI * 2;
+    const angle = (((Math.atan2(y - g.cy, x - g.cx) - g.angleOffset) % turn) + turn) % turn;
+    return Math.min(Math.floor(angle / g.segmentAngle), g.segmentCount - 1);
+  },
+  // incoming wedges flash briefly instead of popping in
+  addGlowPath: (ctx, idx, g) => addWedge(ctx, idx, g, g.radius * 1.02),
+  glMask: "wedges",
+};
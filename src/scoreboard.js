@@ -0,0 +1,195 @@
+// Full-screen scoreboard on the game canvas: ranked rows that slide to their
+// new place after an award, scores that count up, a podium for the top three
+// (end of game) and optional points per round. Drawn in CSS pixels, so the
+// draw loop's DPR transform keeps it sharp. With reduced motion everything
+// jumps to its place and nothing flashes.
+
+import { addRoundedRectPath, clamp, lerp } from "./reveal/util.js";
+import { centerText, rankTeams } from "./planScreens.js";
+import { teamColorAlpha } from "./teams.js";
+import { t } from "./i18n.js";
+import { actionKeyName } from "./keyBindings.js";
+
+const SLIDE_MS = 220; // time constant of the row/score easing
+const FLASH_MS = 1200;
+const PODIUM_RISE_MS = 900;
+const PODIUM_COLORS = ["#ffd54a", "#cfd8dc", "#d7a26b"];
+
+// animation state kept across frames (and draw-loop restarts) by the caller
+export const createScoreboardAnim = () => ({ teams: new Map(), last: 0, podiumAt: 0 });
+
+// move every team's displayed row and score towards its current rank/score
+// (at once when still); true while any row still moves or flashes
+function stepAnim(anim, ranking, now, still) {
+  const dt = anim.last ? Math.min(now - anim.last, 100) : 0;
+  anim.last = now;
+  const k = still ? 1 : 1 - Math.exp(-dt / SLIDE_MS);
+  let moving = false;
+  ranking.forEach((r, pos) => {
+    let a = anim.teams.get(r.id);
+    if (!a) {
+      a = { pos, score: r.score, target: r.score, flashAt: 0 };
+      anim.teams.set(r.id, a);
+    }
+    if (a.target !== r.score) {
+      a.target = r.score;
+      if (!still) a.flashAt = now;
+    }
+    a.pos += (pos - a.pos) * k;
+    a.score += (r.score - a.score) * k;
+    if (Math.abs(r.score - a.score) < 0.5) a.score = r.score;
+    if (Math.abs(pos - a.pos) < 0.001) a.pos = pos;
+    moving ||= a.pos !== pos || a.score !== r.score || now - a.flashAt < FLASH_MS;
+  });
+  return moving;
+}
+
+function drawRows(ctx, rect, ranking, anim, now, { breakdown, roundTitles }) {
+  const rowH = clamp(rect.h / Math.max(1, ranking.length), 26, 64);
+  const best = Math.max(1, ...ranking.map((r) => r.score));
+  ranking.forEach((r) => {
+    const a = anim.teams.get(r.id);
+    const y = rect.y + a.pos * rowH;
+    const hh = rowH - 8;
+    const flash = clamp(1 - (now - a.flashAt) / FLASH_MS, 0, 1);
+
+    ctx.fillStyle = flash > 0 ? teamColorAlpha(r.color, 0.12 + 0.3 * flash) : "#1b1b1b";
+    ctx.beginPath();
+    addRoundedRectPath(ctx, rect.x, y, rect.w, hh, 8);
+    ctx.fill();
+    ctx.fillStyle = teamColorAlpha(r.color, 0.35);
+    ctx.beginPath();
+    addRoundedRectPath(ctx, rect.x, y, Math.max(16, (rect.w * Math.max(0, a.score)) / best), hh, 8);
+    ctx.fill();
+
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = "#fff";
+    ctx.font = `bold ${Math.round(hh * 0.45)}px system-ui`;
+    ctx.fillText(`${r.rank}. ${t("team.name", { name: r.name })}`, rect.x + 16, y + hh / 2);
+    ctx.textAlign = "end";
+    ctx.fillText(String(Math.round(a.score)), rect.x + rect.w - 16, y + hh / 2);
+    if (breakdown) {
+      ctx.font = `${Math.round(hh * 0.32)}px system-ui`;
+      ctx.fillStyle = "#bbb";
+      const parts = roundTitles.map((title, i) => `${title}: ${breakdown[r.team]?.[i] ?? 0}`);
+      ctx.fillText(parts.join(" · "), rect.x + rect.w - 90, y + hh / 2);
+    }
+    ctx.textAlign = "start";
+    ctx.textBaseline = "alphabetic";
+  });
+}
+
+function drawPodium(ctx, rect, ranking, anim, now) {
+  if (!anim.podiumAt) anim.podiumAt = now;
+  const rise = 1 - (1 - clamp((now - anim.podiumAt) / PODIUM_RISE_MS, 0, 1)) ** 3;
+  const slotW = rect.w / 3;
+  // 2nd left, 1st centre, 3rd right
+  [1, 0, 2].forEach((place, slot) => {
+    const r = ranking[place];
+    if (!r) return;
+    const level = Math.min(r.rank, 3) - 1;
+    const blockH = rect.h * 0.55 * [1, 0.72, 0.5][level] * rise;
+    const x = rect.x + slot * slotW + 12;
+    const bw = slotW - 24;
+    const by = rect.y + rect.h - blockH;
+    ctx.fillStyle = PODIUM_COLORS[level];
+    ctx.globalAlpha = 0.85;
+    ctx.beginPath();
+    addRoundedRectPath(ctx, x, by, bw, blockH, 10);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    if (blockH > 40)
+      centerText(ctx, String(r.rank), x + bw / 2, by + 44, "bold 36px system-ui", "#111");
+    const labelY = by - 16;
+    centerText(
+      ctx,
+      t("team.name", { name: r.name }),
+      x + bw / 2,
+      labelY - 30,
+      `bold ${level ? 26 : 34}px system-ui`,
+      "#fff"
+    );
+    centerText(
+      ctx,
+      t("board.points", { points: Math.round(lerp(0, r.score, rise)) }),
+      x + bw / 2,
+      labelY,
+      "20px system-ui",
+      "#ccc"
+    );
+  });
+}
+
+// teams: [{name, score}]; breakdown: per team, points per round (optional).
+// Returns true while rows, scores or the podium are still animating.
+export function drawScoreboard(
+  ctx,
+  w,
+  h,
+  anim,
+  { teams, podium, breakdown, roundTitles = [], reducedMotion = false }
+) {
+  const now = performance.now();
+  const ranking = rankTeams(teams);
+  const moving = stepAnim(anim, ranking, now, reducedMotion);
+  if (!podium) anim.podiumAt = 0;
+  // the podium stands at once
+  else if (reducedMotion && !anim.podiumAt) anim.podiumAt = now - PODIUM_RISE_MS;
+
+  ctx.fillStyle = "#0b0b0b";
+  ctx.fillRect(0, 0, w, h);
+  const boardW = Math.min(w - 60, 900);
+  const x = (w - boardW) / 2;
+
+  if (podium) {
+    const winners = ranking
+      .filter((r) => r.rank === 1)
+      .map((r) => t("team.name", { name: r.name }));
+    centerText(ctx, t("board.gameOver"), w / 2, 50, "20px system-ui", "#888");
+    centerText(
+      ctx,
+      winners.length > 1
+        ? t("board.tie", { teams: winners.join(" & ") })
+        : t("board.wins", { team: winners[0] ?? "" }),
+      w / 2,
+      95,
+      "bold 40px system-ui",
+      "#ffd54a"
+    );
+    const podiumH = Math.min(h * 0.5, 380);
+    drawPodium(ctx, { x, y: 120, w: boardW, h: podiumH }, ranking, anim, now);
+    const rest = ranking.slice(3);
+    if (rest.length) {
+      // rows of the podium teams stay above the visible list
+      const top = 120 + podiumH + 24;
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(0, top, w, h - top);
+      ctx.clip();
+      const rowsRect = { x, y: top, w: boardW, h: h - top - 20 };
+      const rowH = clamp(rowsRect.h / rest.length, 26, 64);
+      drawRows(
+        ctx,
+        { ...rowsRect, y: top - 3 * rowH, h: rowH * ranking.length },
+        ranking,
+        anim,
+        now,
+        {
+          breakdown,
+          roundTitles,
+        }
+      );
+      ctx.restore();
+    }
+    return moving || now - anim.podiumAt < PODIUM_RISE_MS;
+  }
+
+  centerText(ctx, t("board.title"), w / 2, 60, "bold 36px system-ui", "#fff");
+  drawRows(ctx, { x, y: 90, w: boardW, h: h - 130 }, ranking, anim, now, {
+    breakdown,
+    roundTitles,
+  });
+  const back = t("board.back", { key: actionKeyName("toggleScoreboard") });
+  centerText(ctx, back, w / 2, h - 20, "15px system-ui", "#777");
+  return moving;
+}
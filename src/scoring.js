@@ -0,0 +1,73 @@
+import { clamp, lerp } from "./reveal/util.js";
+
+// Scoring rules: how many points a correct answer is worth at a given step.
+// Streaks count consecutive images won by the same team; another team's
+// win resets them.
+
+export const DEFAULT_SCORING = {
+  maxPoints: 20,
+  minPoints: 1,
+  curve: "linear", // "linear" | "exponential" | "tiers"
+  tierCount: 4,
+  earlyBonus: 0, // extra points when guessed before earlyBonusStep
+  earlyBonusStep: 3,
+  streakBonus: 0, // +x (fraction) per consecutive win, e.g. 0.5 = +50 %
+  streakCap: 3, // max number of wins counted for the streak
+  wrongPoints: 0, // subtracted for a wrong answer
+};
+
+export const SCORING_CURVES = [
+  { value: "linear", label: { de: "Linear", en: "Linear" } },
+  {
+    value: "exponential",
+    label: { de: "Exponentiell (fällt schnell ab)", en: "Exponential (drops fast)" },
+  },
+  { value: "tiers", label: { de: "Stufen", en: "Tiers" } },
+];
+
+const num = (v, fallback, min, max) =>
+  Number.isFinite(Number(v)) ? clamp(Number(v), min, max) : fallback;
+
+// fills in defaults and keeps values in range (rules come from storage/packs)
+export function readScoring(src = {}) {
+  const d = DEFAULT_SCORING;
+  const maxPoints = Math.round(num(src.maxPoints, d.maxPoints, 1, 1000));
+  return {
+    maxPoints,
+    minPoints: Math.round(num(src.minPoints, d.minPoints, 0, maxPoints)),
+    curve: SCORING_CURVES.some((c) => c.value === src.curve) ? src.curve : d.curve,
+    tierCount: Math.round(num(src.tierCount, d.tierCount, 2, 10)),
+    earlyBonus: Math.round(num(src.earlyBonus, d.earlyBonus, 0, 1000)),
+    earlyBonusStep: Math.round(num(src.earlyBonusStep, d.earlyBonusStep, 1, 80)),
+    streakBonus: num(src.streakBonus, d.streakBonus, 0, 5),
+    streakCap: Math.round(num(src.streakCap, d.streakCap, 1, 20)),
+    wrongPoints: Math.round(num(src.wrongPoints, d.wrongPoints, 0, 1000)),
+  };
+}
+
+// curve value 1 (first step) .. 0 (last step)
+function curveFactor(t, rules) {
+  if (rules.curve === "exponential") {
+    const k = 3;
+    return (Math.exp(-k * t) - Math.exp(-k)) / (1 - Math.exp(-k));
+  }
+  if (rules.curve === "tiers") {
+    const tier = Math.min(Math.floor(t * rules.tierCount), rules.tierCount - 1);
+    return 1 - tier / (rules.tierCount - 1);
+  }
+  return 1 - t;
+}
+
+export function pointsForStep(stepIndex, stepsTotal, rules = DEFAULT_SCORING) {
+  // early = more points
+  const t = clamp(stepIndex / Math.max(stepsTotal - 1, 1), 0, 1);
+  const pts = Math.round(lerp(rules.minPoints, rules.maxPoints, curveFactor(t, rules)));
+  const bonus = stepIndex < rules.earlyBonusStep ? rules.earlyBonus : 0;
+  return clamp(pts, rules.minPoints, rules.maxPoints) + bonus;
+}
+
+// points including the streak multiplier; wins = consecutive wins so far
+export function pointsWithStreak(points, wins, rules = DEFAULT_SCORING) {
+  const factor = 1 + rules.streakBonus * Math.min(wins, rules.streakCap);
+  return Math.round(points * factor);
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_SCORING, pointsForStep, pointsWithStreak, readScoring } from "./scoring.js";
+
+const rules = (patch) => readScoring({ ...DEFAULT_SCORING, ...patch });
+
+describe("pointsForStep", () => {
+  it("falls linearly from max points at the first step to min points at the last", () => {
+    expect([0, 5, 10].map((s) => pointsForStep(s, 11))).toEqual([20, 11, 1]);
+  });
+
+  it("stays within max and min points outside the steps", () => {
+    expect(pointsForStep(-3, 10)).toBe(20);
+    expect(pointsForStep(25, 10)).toBe(1);
+    expect(pointsForStep(0, 1)).toBe(20);
+  });
+
+  it("drops faster on the exponential curve", () => {
+    const exponential = rules({ curve: "exponential" });
+    expect([0, 5, 10].map((s) => pointsForStep(s, 11, exponential))).toEqual([20, 4, 1]);
+  });
+
+  it("keeps the points within a tier", () => {
+    const tiers = rules({ curve: "tiers", tierCount: 4 });
+    expect([0, 1, 2, 4, 7, 8].map((s) => pointsForStep(s, 9, tiers))).toEqual([
+      20, 20, 14, 7, 1, 1,
+    ]);
+  });
+
+  it("adds the early bonus before the bonus step only", () => {
+    const early = rules({ earlyBonus: 5, earlyBonusStep: 3 });
+    expect(pointsForStep(2, 10, early)).toBe(pointsForStep(2, 10) + 5);
+    expect(pointsForStep(3, 10, early)).toBe(pointsForStep(3, 10));
+  });
+});
+
+describe("pointsWithStreak", () => {
+  const streak = rules({ streakBonus: 0.5, streakCap: 3 });
+
+  it("adds the bonus per consecutive win up to the cap", () => {
+    expect([0, 1, 2, 3, 5].map((wins) => pointsWithStreak(10, wins, streak))).toEqual([
+      10, 15, 20, 25, 25,
+    ]);
+  });
+
+  it("rounds to whole points and leaves points alone without a bonus", () => {
+    expect(pointsWithStreak(7, 1, streak)).toBe(11);
+    expect(pointsWithStreak(7, 3)).toBe(7);
+  });
+});
+
+describe("readScoring", () => {
+  it("fills in the defaults", () => {
+    expect(readScoring()).toEqual(DEFAULT_SCORING);
+    expect(readScoring({ maxPoints: "abc", curve: "nope" })).toEqual(DEFAULT_SCORING);
+  });
+
+  it("keeps values in range", () => {
+    expect(
+      readScoring({ maxPoints: 5000, tierCount: 1, streakCap: 99, earlyBonusStep: 0 })
+    ).toMatchObject({ maxPoints: 1000, tierCount: 2, streakCap: 20, earlyBonusStep: 1 });
+    expect(readScoring({ maxPoints: 10, minPoints: 50 })).toMatchObject({
+      maxPoints: 10,
+      minPoints: 10,
+    });
+  });
+
+  it("parses numbers and rounds whole-point values", () => {
+    expect(readScoring({ maxPoints: "7.6", streakBonus: "0.5" })).toMatchObject({
+      maxPoints: 8,
+      streakBonus: 0.5,
+    });
+  });
+});
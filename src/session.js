@@ -0,0 +1,96 @@
+// Local persistence of a running game: image blobs in IndexedDB,
+// everything else (settings, teams, position) as JSON in localStorage.
+
+const DB_NAME = "dalliklick";
+const DB_VERSION = 1;
+const IMAGE_STORE = "images"; // image id -> { name, blob }
+const ORDER_STORE = "order"; // ORDER_KEY -> [image id] in play order
+const ORDER_KEY = "images";
+const SESSION_KEY = "dalliklick.session";
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(IMAGE_STORE);
+      req.result.createObjectStore(ORDER_STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function runTx(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([IMAGE_STORE, ORDER_STORE], mode);
+    fn(tx.objectStore(IMAGE_STORE), tx.objectStore(ORDER_STORE));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Stores the image set [{id, name, blob}]. Blobs are written once per id and
+// deleted with their image; reordering only rewrites the id list.
+export async function saveImages(images) {
+  const ids = images.map((img) => img.id);
+  const db = await openDb();
+  try {
+    await runTx(db, "readwrite", (blobs, order) => {
+      const keys = blobs.getAllKeys();
+      keys.onsuccess = () => {
+        const stored = new Set(keys.result);
+        keys.result.forEach((id) => !ids.includes(id) && blobs.delete(id));
+        images.forEach(
+          (img) => !stored.has(img.id) && blobs.put({ name: img.name, blob: img.blob }, img.id)
+        );
+      };
+      order.put(ids, ORDER_KEY);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// Returns [{id, name, blob}] in play order.
+export async function loadImages() {
+  const db = await openDb();
+  let ids, rows, keys;
+  try {
+    await runTx(db, "readonly", (blobs, order) => {
+      ids = order.get(ORDER_KEY);
+      rows = blobs.getAll();
+      keys = blobs.getAllKeys();
+    });
+  } finally {
+    db.close();
+  }
+  const byId = new Map(keys.result.map((id, i) => [id, rows.result[i]]));
+  return (ids.result || []).filter((id) => byId.has(id)).map((id) => ({ id, ...byId.get(id) }));
+}
+
+export function saveSession(session) {
+  try {
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ ...session, savedAt: Date.now() }));
+  } catch {
+    // storage full or disabled: the game keeps running without persistence
+  }
+}
+
+export function loadSession() {
+  try {
+    const raw = localStorage.getItem(SESSION_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+// the image set was emptied: nothing left to resume
+export function clearSession() {
+  try {
+    localStorage.removeItem(SESSION_KEY);
+  } catch {
+    // storage disabled: there is no saved session either
+  }
+}
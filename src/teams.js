@@ -0,0 +1,69 @@
+// Teams: names, colors, award hotkeys and optional player lists.
+//
+// team: { id, name, color, hotkey, players: [string], score, buzzKey }
+// id is stable across renames and reordering (React keys, animations).
+
+import { defaultBuzzKey } from "./buzzer.js";
+import { t } from "./i18n.js";
+import { actionLabel, boundAction, keyName, sameKey } from "./keyBindings.js";
+
+export const TEAM_COLORS = [
+  "#e53935",
+  "#1e88e5",
+  "#43a047",
+  "#fdd835",
+  "#8e24aa",
+  "#fb8c00",
+  "#00acc1",
+  "#d81b60",
+];
+
+let nextId = 1;
+const makeTeamId = () => `t${Date.now().toString(36)}${nextId++}`;
+
+// first letter A..Z not taken by another team (or a buzz key)
+function freeHotkey(teams) {
+  for (let c = 65; c <= 90; c++) {
+    const k = String.fromCharCode(c);
+    const taken = teams.some((t) => sameKey(t.hotkey, k) || sameKey(t.buzzKey, k));
+    if (!taken && !boundAction(k)) return k;
+  }
+  return "";
+}
+
+export function makeTeam(teams) {
+  const hotkey = freeHotkey(teams);
+  return {
+    id: makeTeamId(),
+    name: hotkey || String(teams.length + 1),
+    color: TEAM_COLORS[teams.length % TEAM_COLORS.length],
+    hotkey,
+    players: [],
+    score: 0,
+    buzzKey: defaultBuzzKey(teams.length),
+  };
+}
+
+// returns an error message, or "" when the key can award points to this team
+export function validateHotkey(key, teamIdx, teams) {
+  if (!key) return "";
+  const name = keyName(key);
+  const action = boundAction(key);
+  if (action) return t("keys.reserved", { key: name, action: actionLabel(action) });
+  const other = teams.findIndex((team, i) => i !== teamIdx && sameKey(team.hotkey, key));
+  if (other >= 0) return t("keys.awardsTeam", { key: name, team: teams[other].name });
+  if (teams.some((team) => sameKey(team.buzzKey, key))) {
+    return t("keys.isBuzzer", { key: name });
+  }
+  return "";
+}
+
+export const findHotkeyTeam = (key, teams) => teams.findIndex((t) => sameKey(t.hotkey, key));
+
+// "#rrggbb" -> "rgba(r, g, b, a)" for canvas overlays
+export function teamColorAlpha(color, alpha) {
+  const m = /^#([0-9a-f]{6})$/i.exec(color || "");
+  if (!m) return `rgba(255, 213, 74, ${alpha})`;
+  const n = parseInt(m[1], 16);
+  return `rgba(${n >> 16}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
@@ -1,7 +1,22 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { DEFAULT_BUZZER_PORT, startBuzzerServer } from './server/buzzer-server.js'
+
+// `vite --mode buzzer` also starts the LAN buzzer server for phones
+const buzzerServer = () => ({
+  name: 'dalliklick-buzzer',
+  apply: 'serve',
+  configureServer(server) {
+    if (server.config.mode !== 'buzzer') return
+    const buzzer = startBuzzerServer({
+      port: Number(process.env.BUZZER_PORT) || DEFAULT_BUZZER_PORT,
+      log: (msg) => server.config.logger.info(msg),
+    })
+    server.httpServer?.on('close', buzzer.close)
+  },
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), buzzerServer()],
 })